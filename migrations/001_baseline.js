@@ -0,0 +1,162 @@
+/**
+ * Baseline: the schema as it stood when versioned migrations were introduced.
+ *
+ * Written with IF NOT EXISTS so it can be applied both to a fresh database and to
+ * deployments created by the old initDatabase(), which it then brings up to date.
+ */
+
+module.exports = {
+  async up(client) {
+    // App Users table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS app_users (
+        id SERIAL PRIMARY KEY,
+        username VARCHAR(64) UNIQUE NOT NULL,
+        password_hash VARCHAR(255) NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        role VARCHAR(16) DEFAULT 'user' CHECK (role IN ('user', 'admin')),
+        is_active BOOLEAN DEFAULT true,
+        must_change_password BOOLEAN DEFAULT false,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('ALTER TABLE app_users ADD COLUMN IF NOT EXISTS must_change_password BOOLEAN DEFAULT false');
+
+    // Sessions table (only a SHA-256 of the bearer token is stored)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS app_sessions (
+        id SERIAL PRIMARY KEY,
+        token_hash VARCHAR(64) UNIQUE NOT NULL,
+        user_id INTEGER NOT NULL REFERENCES app_users(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT NOW(),
+        expires_at TIMESTAMP NOT NULL
+      )
+    `);
+
+    // Visitor Records table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS visitor_records (
+        id SERIAL PRIMARY KEY,
+        record_id VARCHAR(64) UNIQUE NOT NULL,
+        photo_uri TEXT,
+        full_name VARCHAR(255) NOT NULL,
+        type VARCHAR(32) DEFAULT 'visitor' CHECK (type IN ('visitor', 'casual', 'organizer', 'contractor')),
+        id_number VARCHAR(64),
+        phone VARCHAR(32),
+        company VARCHAR(255),
+        visitor_card_photo_uri TEXT,
+        id_card_photo_uri TEXT,
+        purpose TEXT,
+        access_area VARCHAR(255),
+        notes TEXT,
+        vehicle_plate VARCHAR(64),
+        check_in_time TIMESTAMP DEFAULT NOW(),
+        check_out_time TIMESTAMP,
+        status VARCHAR(8) DEFAULT 'IN' CHECK (status IN ('IN', 'OUT')),
+        recorded_by VARCHAR(64) NOT NULL,
+        consent_type VARCHAR(16) DEFAULT 'checkbox' CHECK (consent_type IN ('signature', 'checkbox')),
+        consent_time TIMESTAMP DEFAULT NOW(),
+        consent_signature TEXT,
+        qr_code TEXT,
+        qr_expiry TIMESTAMP,
+        qr_revoked_at TIMESTAMP,
+        anonymized_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('ALTER TABLE visitor_records ADD COLUMN IF NOT EXISTS anonymized_at TIMESTAMP');
+    await client.query('ALTER TABLE visitor_records ADD COLUMN IF NOT EXISTS qr_revoked_at TIMESTAMP');
+
+    // Attachments: metadata here, bytes in the configured blob storage
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS attachments (
+        id SERIAL PRIMARY KEY,
+        attachment_id VARCHAR(64) UNIQUE NOT NULL,
+        record_id VARCHAR(64) NOT NULL,
+        kind VARCHAR(32) NOT NULL CHECK (kind IN ('photo', 'visitor_card_photo', 'id_card_photo', 'consent_signature')),
+        content_type VARCHAR(64) NOT NULL,
+        size_bytes INTEGER NOT NULL,
+        storage_key VARCHAR(128) NOT NULL,
+        thumbnail_key VARCHAR(128),
+        sha256 VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX IF NOT EXISTS idx_attachments_record_id ON attachments (record_id)');
+
+    // Blob storage used when ATTACHMENT_STORAGE=db
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS attachment_blobs (
+        key VARCHAR(128) PRIMARY KEY,
+        data BYTEA NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Visitor list / search indexes
+    await client.query('CREATE INDEX IF NOT EXISTS idx_visitor_records_check_in ON visitor_records (check_in_time DESC, id DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_visitor_records_status ON visitor_records (status, check_in_time DESC)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_visitor_records_type ON visitor_records (type)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_visitor_records_access_area ON visitor_records (access_area)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_visitor_records_recorded_by ON visitor_records (recorded_by)');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_visitor_records_company ON visitor_records (LOWER(company))');
+    // Trigram indexes make the ILIKE '%term%' search usable on large tables. The extension
+    // may not be installable, so try it under a savepoint to keep the transaction usable.
+    await client.query('SAVEPOINT pg_trgm');
+    try {
+      await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm');
+      for (const column of ['full_name', 'phone', 'id_number', 'vehicle_plate']) {
+        await client.query(
+          `CREATE INDEX IF NOT EXISTS idx_visitor_records_${column}_trgm ON visitor_records USING gin (${column} gin_trgm_ops)`
+        );
+      }
+      await client.query('RELEASE SAVEPOINT pg_trgm');
+    } catch (error) {
+      await client.query('ROLLBACK TO SAVEPOINT pg_trgm');
+      console.warn('[Migrations] pg_trgm not available, search indexes skipped:', error.message);
+    }
+
+    // Audit Logs table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS audit_logs (
+        id SERIAL PRIMARY KEY,
+        record_id VARCHAR(64),
+        user_id VARCHAR(64) NOT NULL,
+        action VARCHAR(32) NOT NULL,
+        details TEXT,
+        timestamp TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // App Settings table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS app_settings (
+        id SERIAL PRIMARY KEY,
+        key VARCHAR(64) UNIQUE NOT NULL,
+        value TEXT,
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    // Error Logs table
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS error_logs (
+        id SERIAL PRIMARY KEY,
+        type VARCHAR(64) NOT NULL,
+        message TEXT NOT NULL,
+        source VARCHAR(64) NOT NULL,
+        metadata TEXT,
+        resolved BOOLEAN DEFAULT false,
+        resolved_at TIMESTAMP,
+        resolved_by VARCHAR(64),
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+  },
+
+  async down() {
+    throw new Error('The baseline migration cannot be rolled back (it would drop every table)');
+  },
+};
@@ -0,0 +1,30 @@
+/**
+ * Alerts raised about a visitor (starting with overstays) that staff acknowledge.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE visitor_alerts (
+        id SERIAL PRIMARY KEY,
+        record_id VARCHAR(64) NOT NULL REFERENCES visitor_records(record_id) ON DELETE CASCADE,
+        kind VARCHAR(32) NOT NULL,
+        details TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        acknowledged_at TIMESTAMP,
+        acknowledged_by VARCHAR(64),
+        acknowledge_note TEXT
+      )
+    `);
+    // At most one open alert of each kind per visitor
+    await client.query(`
+      CREATE UNIQUE INDEX idx_visitor_alerts_open
+      ON visitor_alerts (record_id, kind) WHERE acknowledged_at IS NULL
+    `);
+    await client.query('CREATE INDEX idx_visitor_alerts_created_at ON visitor_alerts (created_at DESC)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS visitor_alerts');
+  },
+};
@@ -0,0 +1,28 @@
+/**
+ * Watchlist of people and vehicles screened at check-in.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE watchlist_entries (
+        id SERIAL PRIMARY KEY,
+        match_type VARCHAR(16) NOT NULL CHECK (match_type IN ('id_number', 'name', 'phone', 'vehicle_plate')),
+        value VARCHAR(255) NOT NULL,
+        normalized_value VARCHAR(255) NOT NULL,
+        reason TEXT NOT NULL,
+        severity VARCHAR(8) NOT NULL DEFAULT 'block' CHECK (severity IN ('block', 'warn')),
+        expires_at TIMESTAMP,
+        is_active BOOLEAN DEFAULT true,
+        created_by VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX idx_watchlist_entries_match ON watchlist_entries (match_type, normalized_value)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS watchlist_entries');
+  },
+};
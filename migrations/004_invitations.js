@@ -0,0 +1,45 @@
+/**
+ * Invitations: visitors pre-registered by a host, redeemed at arrival.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE invitations (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(16) UNIQUE NOT NULL,
+        host_username VARCHAR(64) NOT NULL,
+        full_name VARCHAR(255) NOT NULL,
+        type VARCHAR(32) DEFAULT 'visitor' CHECK (type IN ('visitor', 'casual', 'organizer', 'contractor')),
+        id_number VARCHAR(64),
+        phone VARCHAR(32),
+        company VARCHAR(255),
+        purpose TEXT,
+        access_area VARCHAR(255),
+        vehicle_plate VARCHAR(64),
+        notes TEXT,
+        expected_from TIMESTAMP NOT NULL,
+        expected_until TIMESTAMP NOT NULL,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'redeemed', 'cancelled', 'no_show')),
+        redeemed_at TIMESTAMP,
+        cancelled_at TIMESTAMP,
+        cancelled_by VARCHAR(64),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX idx_invitations_expected_from ON invitations (expected_from)');
+    await client.query('CREATE INDEX idx_invitations_host ON invitations (host_username)');
+
+    await client.query(`
+      ALTER TABLE visitor_records
+      ADD COLUMN invitation_id INTEGER REFERENCES invitations(id) ON DELETE SET NULL
+    `);
+    await client.query('CREATE INDEX idx_visitor_records_invitation_id ON visitor_records (invitation_id)');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE visitor_records DROP COLUMN IF EXISTS invitation_id');
+    await client.query('DROP TABLE IF EXISTS invitations');
+  },
+};
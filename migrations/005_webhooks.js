@@ -0,0 +1,64 @@
+/**
+ * Visitor lifecycle events and their outgoing webhook deliveries.
+ *
+ * `events` is an append-only log (ids are the order events happened in); each webhook
+ * subscription interested in an event gets one row in `webhook_deliveries`, which doubles
+ * as the delivery queue and its history.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE events (
+        id BIGSERIAL PRIMARY KEY,
+        type VARCHAR(32) NOT NULL,
+        record_id VARCHAR(64),
+        payload JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query('CREATE INDEX idx_events_created_at ON events (created_at)');
+
+    await client.query(`
+      CREATE TABLE webhook_subscriptions (
+        id SERIAL PRIMARY KEY,
+        url TEXT NOT NULL,
+        description VARCHAR(255),
+        events TEXT[] NOT NULL,
+        secret VARCHAR(128) NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        created_by VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE webhook_deliveries (
+        id BIGSERIAL PRIMARY KEY,
+        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+        event_id BIGINT NOT NULL REFERENCES events(id) ON DELETE CASCADE,
+        status VARCHAR(16) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'delivered', 'failed', 'replayed')),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        next_attempt_at TIMESTAMP DEFAULT NOW(),
+        last_attempt_at TIMESTAMP,
+        response_status INTEGER,
+        response_body TEXT,
+        last_error TEXT,
+        delivered_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    await client.query(`
+      CREATE INDEX idx_webhook_deliveries_due
+      ON webhook_deliveries (next_attempt_at) WHERE status = 'pending'
+    `);
+    await client.query('CREATE INDEX idx_webhook_deliveries_subscription ON webhook_deliveries (subscription_id, id DESC)');
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS webhook_deliveries');
+    await client.query('DROP TABLE IF EXISTS webhook_subscriptions');
+    await client.query('DROP TABLE IF EXISTS events');
+  },
+};
@@ -0,0 +1,84 @@
+/**
+ * Structured, tamper-evident audit trail.
+ *
+ * Every audit_logs row gets the SHA-256 of the previous row's hash plus its own fields, so
+ * editing or deleting a row breaks the chain from that point on. The hash is computed by a
+ * trigger, which also hands out ids (instead of the column default) in chain order under
+ * advisory lock 72010003 (the other lock ids are in server.js), so concurrent inserts cannot
+ * fork the chain.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE audit_logs
+      ADD COLUMN changes JSONB,
+      ADD COLUMN ip_address VARCHAR(64),
+      ADD COLUMN user_agent VARCHAR(512),
+      ADD COLUMN prev_hash CHAR(64),
+      ADD COLUMN hash CHAR(64)
+    `);
+
+    // The hashed fields, as a JSON array so no two different rows encode the same way
+    await client.query(`
+      CREATE FUNCTION audit_log_hash(prev_hash TEXT, entry audit_logs) RETURNS TEXT AS $$
+        SELECT encode(sha256(convert_to(jsonb_build_array(
+          prev_hash, entry.id, entry.record_id, entry.user_id, entry.action, entry.details,
+          entry.changes, entry.ip_address, entry.user_agent,
+          to_char(entry.timestamp, 'YYYY-MM-DD"T"HH24:MI:SS.US')
+        )::text, 'UTF8')), 'hex')
+      $$ LANGUAGE sql IMMUTABLE
+    `);
+
+    await client.query(`
+      DO $$
+      DECLARE
+        entry audit_logs;
+        prev TEXT;
+      BEGIN
+        FOR entry IN SELECT * FROM audit_logs ORDER BY id LOOP
+          UPDATE audit_logs SET prev_hash = prev, hash = audit_log_hash(prev, entry) WHERE id = entry.id;
+          prev := audit_log_hash(prev, entry);
+        END LOOP;
+      END $$
+    `);
+
+    await client.query(`
+      CREATE FUNCTION audit_logs_chain() RETURNS trigger AS $$
+      BEGIN
+        PERFORM pg_advisory_xact_lock(72010003);
+        NEW.id := nextval(pg_get_serial_sequence('audit_logs', 'id'));
+        NEW.prev_hash := (SELECT hash FROM audit_logs ORDER BY id DESC LIMIT 1);
+        NEW.hash := audit_log_hash(NEW.prev_hash, NEW);
+        RETURN NEW;
+      END
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query('ALTER TABLE audit_logs ALTER COLUMN id DROP DEFAULT');
+    await client.query(`
+      CREATE TRIGGER audit_logs_chain BEFORE INSERT ON audit_logs
+      FOR EACH ROW EXECUTE FUNCTION audit_logs_chain()
+    `);
+
+    await client.query('CREATE INDEX idx_audit_logs_record_id ON audit_logs (record_id)');
+    await client.query('CREATE INDEX idx_audit_logs_user_id ON audit_logs (user_id)');
+    await client.query('CREATE INDEX idx_audit_logs_action ON audit_logs (action)');
+    await client.query('CREATE INDEX idx_audit_logs_timestamp ON audit_logs (timestamp)');
+  },
+
+  async down(client) {
+    await client.query('DROP TRIGGER IF EXISTS audit_logs_chain ON audit_logs');
+    await client.query('DROP FUNCTION IF EXISTS audit_logs_chain()');
+    await client.query("ALTER TABLE audit_logs ALTER COLUMN id SET DEFAULT nextval('audit_logs_id_seq')");
+    await client.query('DROP FUNCTION IF EXISTS audit_log_hash(TEXT, audit_logs)');
+    await client.query('DROP INDEX IF EXISTS idx_audit_logs_record_id');
+    await client.query('DROP INDEX IF EXISTS idx_audit_logs_user_id');
+    await client.query('DROP INDEX IF EXISTS idx_audit_logs_action');
+    await client.query('DROP INDEX IF EXISTS idx_audit_logs_timestamp');
+    await client.query(`
+      ALTER TABLE audit_logs
+      DROP COLUMN changes, DROP COLUMN ip_address, DROP COLUMN user_agent,
+      DROP COLUMN prev_hash, DROP COLUMN hash
+    `);
+  },
+};
@@ -0,0 +1,63 @@
+/**
+ * Group error logs by fingerprint: one row per distinct error, with an occurrence count.
+ *
+ * The fingerprint recipe must match errorFingerprint() in server.js. Existing duplicates are
+ * folded into their newest row; rolling back keeps the folded rows (the duplicates are gone).
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE error_logs
+      ADD COLUMN fingerprint CHAR(64),
+      ADD COLUMN occurrences INTEGER NOT NULL DEFAULT 1,
+      ADD COLUMN last_seen_at TIMESTAMP DEFAULT NOW()
+    `);
+
+    await client.query(`
+      UPDATE error_logs SET
+        fingerprint = encode(sha256(convert_to(
+          source || E'\\n' || type || E'\\n' || regexp_replace(message, '[0-9]+', '#', 'g'), 'UTF8'
+        )), 'hex'),
+        last_seen_at = created_at
+    `);
+
+    // A group stays resolved only if every occurrence was
+    await client.query(`
+      WITH groups AS (
+        SELECT fingerprint, MAX(id) AS keep_id, COUNT(*)::int AS occurrences,
+          MIN(created_at) AS first_seen, MAX(created_at) AS last_seen, bool_and(resolved) AS resolved
+        FROM error_logs
+        GROUP BY fingerprint
+        HAVING COUNT(*) > 1
+      )
+      UPDATE error_logs e SET
+        occurrences = g.occurrences,
+        created_at = g.first_seen,
+        last_seen_at = g.last_seen,
+        resolved = g.resolved,
+        resolved_at = CASE WHEN g.resolved THEN e.resolved_at END,
+        resolved_by = CASE WHEN g.resolved THEN e.resolved_by END
+      FROM groups g
+      WHERE e.id = g.keep_id
+    `);
+    await client.query(`
+      DELETE FROM error_logs e
+      USING error_logs newer
+      WHERE newer.fingerprint = e.fingerprint AND newer.id > e.id
+    `);
+
+    await client.query('ALTER TABLE error_logs ALTER COLUMN fingerprint SET NOT NULL');
+    await client.query('CREATE UNIQUE INDEX idx_error_logs_fingerprint ON error_logs (fingerprint)');
+    await client.query('CREATE INDEX idx_error_logs_last_seen ON error_logs (last_seen_at DESC)');
+  },
+
+  async down(client) {
+    await client.query('DROP INDEX IF EXISTS idx_error_logs_last_seen');
+    await client.query('DROP INDEX IF EXISTS idx_error_logs_fingerprint');
+    await client.query(`
+      ALTER TABLE error_logs
+      DROP COLUMN fingerprint, DROP COLUMN occurrences, DROP COLUMN last_seen_at
+    `);
+  },
+};
@@ -0,0 +1,157 @@
+/**
+ * Properties: one deployment serving several hotels of a group.
+ *
+ * Everything that existed before belongs to the 'default' property created here. Visitor
+ * records, invitations, events, webhook subscriptions, audit entries, sessions and the
+ * per-hotel settings carry a property_id; users are assigned to properties through
+ * user_properties. The QR signing key stays the one setting without a property.
+ *
+ * A watchlist entry with a property_id screens the check-ins of that property only and is
+ * managed by its admins; one without (every entry that existed before) screens the whole group
+ * and only group admins manage it.
+ *
+ * Admins of a single-hotel deployment were in charge of everything, so they become
+ * group_admin (rolling back turns them into plain admins again).
+ *
+ * The audit chain stays one chain across the group, but audit_logs.property_id joins its
+ * hashed fields: per-property audit views and exports filter on it, so moving an entry to
+ * another property must show. The chain is re-hashed (only if it verifies first) and an
+ * AUDIT_CHAIN_REHASHED entry records the old head, so an anchor kept from before still
+ * means something.
+ */
+
+// The fields migrations/006 hashes, plus property_id when withProperty
+function auditHashFunction(withProperty) {
+  return `
+    CREATE OR REPLACE FUNCTION audit_log_hash(prev_hash TEXT, entry audit_logs) RETURNS TEXT AS $$
+      SELECT encode(sha256(convert_to(jsonb_build_array(
+        prev_hash, entry.id, entry.record_id, entry.user_id, entry.action, entry.details,
+        entry.changes, entry.ip_address, entry.user_agent,
+        to_char(entry.timestamp, 'YYYY-MM-DD"T"HH24:MI:SS.US')${withProperty ? ', entry.property_id' : ''}
+      )::text, 'UTF8')), 'hex')
+    $$ LANGUAGE sql IMMUTABLE
+  `;
+}
+
+// Recompute the chain with a new audit_log_hash, refusing to bless a chain that is already broken
+async function rehashAuditChain(client, withProperty) {
+  const broken = await client.query(`
+    SELECT id FROM (
+      SELECT id, hash IS DISTINCT FROM audit_log_hash(prev_hash, a)
+        OR prev_hash IS DISTINCT FROM LAG(hash) OVER (ORDER BY id) AS broken
+      FROM audit_logs a
+    ) checked
+    WHERE broken ORDER BY id LIMIT 1
+  `);
+  if (broken.rows[0]) {
+    throw new Error(`Cannot re-hash the audit trail: its chain is broken at entry #${broken.rows[0].id}`);
+  }
+  const head = await client.query('SELECT id, hash FROM audit_logs ORDER BY id DESC LIMIT 1');
+
+  await client.query(auditHashFunction(withProperty));
+  await client.query(`
+    DO $$
+    DECLARE
+      entry audit_logs;
+      prev TEXT;
+    BEGIN
+      FOR entry IN SELECT * FROM audit_logs ORDER BY id LOOP
+        UPDATE audit_logs SET prev_hash = prev, hash = audit_log_hash(prev, entry) WHERE id = entry.id;
+        prev := audit_log_hash(prev, entry);
+      END LOOP;
+    END $$
+  `);
+
+  if (head.rows[0]) {
+    await client.query(
+      "INSERT INTO audit_logs (user_id, action, details) VALUES ('system', 'AUDIT_CHAIN_REHASHED', $1)",
+      [`Audit chain re-hashed ${withProperty ? 'with' : 'without'} property IDs; head was #${head.rows[0].id} ${head.rows[0].hash}`]
+    );
+  }
+}
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE properties (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(32) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        timezone VARCHAR(64) NOT NULL,
+        is_active BOOLEAN DEFAULT true,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      )
+    `);
+    const property = await client.query(
+      "INSERT INTO properties (code, name, timezone) VALUES ('default', 'Default', $1) RETURNING id",
+      [process.env.HOTEL_TIMEZONE || 'Asia/Bangkok']
+    );
+    const defaultId = property.rows[0].id;
+
+    await client.query(`
+      CREATE TABLE user_properties (
+        user_id INTEGER NOT NULL REFERENCES app_users(id) ON DELETE CASCADE,
+        property_id INTEGER NOT NULL REFERENCES properties(id) ON DELETE CASCADE,
+        PRIMARY KEY (user_id, property_id)
+      )
+    `);
+    await client.query('INSERT INTO user_properties (user_id, property_id) SELECT id, $1 FROM app_users', [defaultId]);
+
+    await client.query('ALTER TABLE app_users DROP CONSTRAINT app_users_role_check');
+    await client.query("ALTER TABLE app_users ADD CONSTRAINT app_users_role_check CHECK (role IN ('user', 'admin', 'group_admin'))");
+    await client.query("UPDATE app_users SET role = 'group_admin' WHERE role = 'admin'");
+
+    for (const table of ['visitor_records', 'invitations', 'events', 'webhook_subscriptions', 'audit_logs', 'app_sessions']) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN property_id INTEGER REFERENCES properties(id)`);
+      await client.query(`UPDATE ${table} SET property_id = $1`, [defaultId]);
+    }
+    // Audit entries written outside any property (e.g. managing the properties) stay NULL
+    for (const table of ['visitor_records', 'invitations', 'events', 'webhook_subscriptions', 'app_sessions']) {
+      await client.query(`ALTER TABLE ${table} ALTER COLUMN property_id SET NOT NULL`);
+    }
+    await client.query('CREATE INDEX idx_visitor_records_property ON visitor_records (property_id, check_in_time DESC, id DESC)');
+    await client.query('CREATE INDEX idx_invitations_property ON invitations (property_id, expected_from)');
+    await client.query('CREATE INDEX idx_events_property ON events (property_id, id)');
+    await client.query('CREATE INDEX idx_audit_logs_property ON audit_logs (property_id, id DESC)');
+    await rehashAuditChain(client, true);
+
+    await client.query('ALTER TABLE watchlist_entries ADD COLUMN property_id INTEGER REFERENCES properties(id)');
+    await client.query('CREATE INDEX idx_watchlist_entries_property_id ON watchlist_entries (property_id)');
+
+    // Settings are per property, except the global ones (property_id NULL)
+    await client.query('ALTER TABLE app_settings ADD COLUMN property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE');
+    await client.query("UPDATE app_settings SET property_id = $1 WHERE key <> 'qrSigningSecret'", [defaultId]);
+    await client.query('ALTER TABLE app_settings DROP CONSTRAINT app_settings_key_key');
+    await client.query('CREATE UNIQUE INDEX idx_app_settings_global_key ON app_settings (key) WHERE property_id IS NULL');
+    await client.query('CREATE UNIQUE INDEX idx_app_settings_property_key ON app_settings (property_id, key) WHERE property_id IS NOT NULL');
+  },
+
+  async down(client) {
+    // Only the default property's data can go back to a single-hotel schema
+    const others = await client.query("SELECT COUNT(*)::int AS count FROM properties WHERE code <> 'default'");
+    if (others.rows[0].count > 0) {
+      throw new Error('Cannot roll back: more than one property exists');
+    }
+
+    await client.query('DROP INDEX IF EXISTS idx_app_settings_property_key');
+    await client.query('DROP INDEX IF EXISTS idx_app_settings_global_key');
+    await client.query('ALTER TABLE app_settings DROP COLUMN property_id');
+    await client.query('ALTER TABLE app_settings ADD CONSTRAINT app_settings_key_key UNIQUE (key)');
+
+    // With a single property its own entries may as well screen the whole group
+    await client.query('ALTER TABLE watchlist_entries DROP COLUMN property_id');
+
+    await rehashAuditChain(client, false);
+    for (const table of ['visitor_records', 'invitations', 'events', 'webhook_subscriptions', 'audit_logs', 'app_sessions']) {
+      await client.query(`ALTER TABLE ${table} DROP COLUMN property_id`);
+    }
+
+    await client.query("UPDATE app_users SET role = 'admin' WHERE role = 'group_admin'");
+    await client.query('ALTER TABLE app_users DROP CONSTRAINT app_users_role_check');
+    await client.query("ALTER TABLE app_users ADD CONSTRAINT app_users_role_check CHECK (role IN ('user', 'admin'))");
+
+    await client.query('DROP TABLE IF EXISTS user_properties');
+    await client.query('DROP TABLE IF EXISTS properties');
+  },
+};
@@ -0,0 +1,87 @@
+/**
+ * Lockers and their assignments to visitors.
+ *
+ * A locker's stored status is whether it can be handed out at all (available, lost_key,
+ * out_of_service); it is occupied while it has an assignment that has not been returned, and
+ * the partial unique indexes allow one such assignment per locker and per visitor.
+ *
+ * Self check-ins used to keep their locker number in visitor_records.vehicle_plate. Those
+ * numbers become lockers of the visitor's property with the matching assignments (returned at
+ * check-out; of two visitors still inside with the same number only the latest keeps it), and
+ * vehicle_plate is cleared. Rolling back puts the self check-in locker numbers back there
+ * (their latest assignment, and only where no plate has been recorded since) and loses every
+ * other assignment.
+ */
+
+// Rows of the old self check-in form, where vehicle_plate held the locker number
+const LEGACY_LOCKER_ROWS = "record_id LIKE 'SELF-%' AND COALESCE(vehicle_plate, '') <> ''";
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE lockers (
+        id SERIAL PRIMARY KEY,
+        property_id INTEGER NOT NULL REFERENCES properties(id),
+        number VARCHAR(64) NOT NULL,
+        zone VARCHAR(64),
+        status VARCHAR(16) NOT NULL DEFAULT 'available' CHECK (status IN ('available', 'lost_key', 'out_of_service')),
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (property_id, number)
+      )
+    `);
+
+    await client.query(`
+      CREATE TABLE locker_assignments (
+        id SERIAL PRIMARY KEY,
+        locker_id INTEGER NOT NULL REFERENCES lockers(id) ON DELETE CASCADE,
+        record_id VARCHAR(64) NOT NULL REFERENCES visitor_records(record_id) ON DELETE CASCADE,
+        assigned_by VARCHAR(64) NOT NULL,
+        assigned_at TIMESTAMP DEFAULT NOW(),
+        due_at TIMESTAMP,
+        returned_at TIMESTAMP,
+        returned_by VARCHAR(64)
+      )
+    `);
+    await client.query('CREATE UNIQUE INDEX idx_locker_assignments_open_locker ON locker_assignments (locker_id) WHERE returned_at IS NULL');
+    await client.query('CREATE UNIQUE INDEX idx_locker_assignments_open_record ON locker_assignments (record_id) WHERE returned_at IS NULL');
+    await client.query('CREATE INDEX idx_locker_assignments_record_id ON locker_assignments (record_id)');
+
+    await client.query(`
+      INSERT INTO lockers (property_id, number)
+      SELECT DISTINCT property_id, vehicle_plate FROM visitor_records WHERE ${LEGACY_LOCKER_ROWS}
+    `);
+    await client.query(`
+      INSERT INTO locker_assignments (locker_id, record_id, assigned_by, assigned_at, returned_at)
+      SELECT locker_id, record_id, 'self-checkin', check_in_time,
+        CASE
+          WHEN status = 'OUT' THEN COALESCE(check_out_time, check_in_time)
+          WHEN newest > 1 THEN NOW()
+        END
+      FROM (
+        SELECT l.id AS locker_id, v.record_id, v.check_in_time, v.check_out_time, v.status,
+          row_number() OVER (PARTITION BY l.id, v.status ORDER BY v.check_in_time DESC, v.id DESC) AS newest
+        FROM visitor_records v
+        JOIN lockers l ON l.property_id = v.property_id AND l.number = v.vehicle_plate
+        WHERE v.record_id LIKE 'SELF-%' AND COALESCE(v.vehicle_plate, '') <> ''
+      ) legacy
+    `);
+    await client.query(`UPDATE visitor_records SET vehicle_plate = NULL WHERE ${LEGACY_LOCKER_ROWS}`);
+  },
+
+  async down(client) {
+    await client.query(`
+      UPDATE visitor_records v SET vehicle_plate = latest.number
+      FROM (
+        SELECT DISTINCT ON (a.record_id) a.record_id, l.number
+        FROM locker_assignments a
+        JOIN lockers l ON l.id = a.locker_id
+        ORDER BY a.record_id, a.assigned_at DESC, a.id DESC
+      ) latest
+      WHERE latest.record_id = v.record_id AND v.record_id LIKE 'SELF-%' AND COALESCE(v.vehicle_plate, '') = ''
+    `);
+    await client.query('DROP TABLE IF EXISTS locker_assignments');
+    await client.query('DROP TABLE IF EXISTS lockers');
+  },
+};
@@ -0,0 +1,85 @@
+/**
+ * Versioned consent texts, and the version each visitor accepted.
+ *
+ * A version is a draft until it is published; from then on a trigger refuses to change or
+ * delete it, so a visitor record's consent_version_id always points at the exact wording.
+ * The version in force is the newest published one whose effective_from has passed.
+ *
+ * Each property's consentText setting becomes its version 1, effective since the setting was
+ * last changed (the default wording, with its English translation, where it was never set).
+ * Which text older records were shown cannot be proven, so they stay unlinked. Rolling back
+ * puts each property's current Thai text back into consentText.
+ */
+
+const DEFAULT_TEXT_TH = 'ข้าพเจ้ายินยอมให้เก็บข้อมูลส่วนบุคคลเพื่อวัตถุประสงค์ด้านความปลอดภัย';
+const DEFAULT_TEXT_EN = 'I consent to the collection of my personal data for security purposes.';
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE consent_versions (
+        id SERIAL PRIMARY KEY,
+        property_id INTEGER NOT NULL REFERENCES properties(id),
+        version INTEGER NOT NULL,
+        text_th TEXT NOT NULL,
+        text_en TEXT,
+        effective_from TIMESTAMP,
+        created_by VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        published_by VARCHAR(64),
+        published_at TIMESTAMP,
+        UNIQUE (property_id, version)
+      )
+    `);
+    await client.query(`
+      CREATE INDEX idx_consent_versions_effective
+      ON consent_versions (property_id, effective_from DESC) WHERE published_at IS NOT NULL
+    `);
+
+    await client.query(`
+      CREATE FUNCTION consent_versions_immutable() RETURNS trigger AS $$
+      BEGIN
+        IF OLD.published_at IS NOT NULL THEN
+          RAISE EXCEPTION 'consent version % is published and cannot be changed', OLD.id;
+        END IF;
+        RETURN COALESCE(NEW, OLD);
+      END
+      $$ LANGUAGE plpgsql
+    `);
+    await client.query(`
+      CREATE TRIGGER consent_versions_immutable BEFORE UPDATE OR DELETE ON consent_versions
+      FOR EACH ROW EXECUTE FUNCTION consent_versions_immutable()
+    `);
+
+    await client.query(`
+      INSERT INTO consent_versions (
+        property_id, version, text_th, text_en, effective_from, created_by, published_by, published_at
+      )
+      SELECT p.id, 1, COALESCE(s.value, $1), CASE WHEN s.value IS NULL THEN $2 END,
+        COALESCE(s.updated_at, p.created_at), 'system', 'system', NOW()
+      FROM properties p
+      LEFT JOIN app_settings s ON s.property_id = p.id AND s.key = 'consentText'
+    `, [DEFAULT_TEXT_TH, DEFAULT_TEXT_EN]);
+    await client.query("DELETE FROM app_settings WHERE key = 'consentText'");
+
+    await client.query(`
+      ALTER TABLE visitor_records
+      ADD COLUMN consent_version_id INTEGER REFERENCES consent_versions(id),
+      ADD COLUMN consent_language VARCHAR(2) CHECK (consent_language IN ('th', 'en'))
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      INSERT INTO app_settings (property_id, key, value)
+      SELECT DISTINCT ON (property_id) property_id, 'consentText', text_th
+      FROM consent_versions
+      WHERE published_at IS NOT NULL AND effective_from <= NOW()
+      ORDER BY property_id, effective_from DESC, version DESC
+    `);
+    await client.query('ALTER TABLE visitor_records DROP COLUMN consent_version_id, DROP COLUMN consent_language');
+    await client.query('DROP TABLE IF EXISTS consent_versions');
+    await client.query('DROP FUNCTION IF EXISTS consent_versions_immutable()');
+  },
+};
@@ -0,0 +1,39 @@
+/**
+ * PDPA data-subject requests: a guest asking for a copy of their data (access) or for its
+ * erasure, tracked from receipt to fulfilment against the statutory 30-day deadline.
+ *
+ * The person is identified by ID number and/or phone as they gave them. Once an erasure is
+ * fulfilled those identifiers are masked here as well, so the request log itself keeps only
+ * what proves the request was handled.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE data_subject_requests (
+        id SERIAL PRIMARY KEY,
+        property_id INTEGER NOT NULL REFERENCES properties(id),
+        kind VARCHAR(16) NOT NULL CHECK (kind IN ('access', 'erasure')),
+        requester_name VARCHAR(255) NOT NULL,
+        id_number VARCHAR(64),
+        phone VARCHAR(32),
+        status VARCHAR(16) NOT NULL DEFAULT 'received' CHECK (status IN ('received', 'fulfilled', 'rejected')),
+        notes TEXT,
+        received_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        due_at TIMESTAMP NOT NULL,
+        result JSONB,
+        created_by VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        closed_by VARCHAR(64),
+        closed_at TIMESTAMP,
+        CHECK (id_number IS NOT NULL OR phone IS NOT NULL)
+      )
+    `);
+    await client.query("CREATE INDEX idx_data_subject_requests_open ON data_subject_requests (property_id, due_at) WHERE status = 'received'");
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS data_subject_requests');
+  },
+};
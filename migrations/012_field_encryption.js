@@ -0,0 +1,88 @@
+/**
+ * Room for encrypted ID numbers and phones, and their blind indexes.
+ *
+ * The values are encrypted by the server, which holds the keys: on startup it encrypts
+ * whatever is still plaintext (see "Field Encryption" in server.js), so this migration only
+ * widens the columns and adds the blind indexes (HMACs of the normalized values, for exact
+ * lookups) and the key id of encrypted attachment blobs. Rolling back needs the plaintext
+ * back first: run `node server.js decrypt-fields`.
+ *
+ * Watchlist rules matching id_number or phone keep their value encrypted the same way and are
+ * matched on a blind index (value_bidx) instead of normalized_value, which is left empty for
+ * them.
+ */
+
+// Columns holding the encrypted values, with their width before this migration
+const ENCRYPTED_COLUMNS = {
+  visitor_records: { id_number: 64, phone: 32 },
+  invitations: { id_number: 64, phone: 32 },
+  data_subject_requests: { id_number: 64, phone: 32 },
+};
+// Tables whose values are looked up by blind index
+const INDEXED_TABLES = ['visitor_records', 'invitations'];
+
+module.exports = {
+  async up(client) {
+    for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+      for (const column of Object.keys(columns)) {
+        await client.query(`ALTER TABLE ${table} ALTER COLUMN ${column} TYPE TEXT`);
+      }
+    }
+
+    for (const table of INDEXED_TABLES) {
+      await client.query(`ALTER TABLE ${table} ADD COLUMN id_number_bidx CHAR(64), ADD COLUMN phone_bidx CHAR(64)`);
+      await client.query(`CREATE INDEX idx_${table}_id_number_bidx ON ${table} (property_id, id_number_bidx)`);
+      await client.query(`CREATE INDEX idx_${table}_phone_bidx ON ${table} (property_id, phone_bidx)`);
+    }
+
+    await client.query(`
+      ALTER TABLE watchlist_entries
+      ALTER COLUMN value TYPE TEXT,
+      ALTER COLUMN normalized_value DROP NOT NULL,
+      ADD COLUMN value_bidx CHAR(64)
+    `);
+    await client.query('CREATE INDEX idx_watchlist_entries_bidx ON watchlist_entries (match_type, value_bidx)');
+
+    await client.query('ALTER TABLE attachments ADD COLUMN key_id VARCHAR(16)');
+  },
+
+  async down(client) {
+    for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+      const encrypted = await client.query(`
+        SELECT COUNT(*)::int AS count FROM ${table}
+        WHERE ${Object.keys(columns).map(column => `${column} LIKE 'enc:%'`).join(' OR ')}
+      `);
+      if (encrypted.rows[0].count > 0) {
+        throw new Error(`Cannot roll back: ${table} holds encrypted values (run node server.js decrypt-fields first)`);
+      }
+    }
+    const rules = await client.query(`
+      SELECT COUNT(*)::int AS count FROM watchlist_entries
+      WHERE value LIKE 'enc:%' OR normalized_value IS NULL
+    `);
+    if (rules.rows[0].count > 0) {
+      throw new Error('Cannot roll back: watchlist_entries holds encrypted values (run node server.js decrypt-fields first)');
+    }
+    const blobs = await client.query('SELECT COUNT(*)::int AS count FROM attachments WHERE key_id IS NOT NULL');
+    if (blobs.rows[0].count > 0) {
+      throw new Error('Cannot roll back: attachments are encrypted (run node server.js decrypt-fields first)');
+    }
+
+    await client.query('ALTER TABLE attachments DROP COLUMN key_id');
+    await client.query('DROP INDEX IF EXISTS idx_watchlist_entries_bidx');
+    await client.query(`
+      ALTER TABLE watchlist_entries
+      DROP COLUMN value_bidx,
+      ALTER COLUMN normalized_value SET NOT NULL,
+      ALTER COLUMN value TYPE VARCHAR(255)
+    `);
+    for (const table of INDEXED_TABLES) {
+      await client.query(`ALTER TABLE ${table} DROP COLUMN id_number_bidx, DROP COLUMN phone_bidx`);
+    }
+    for (const [table, columns] of Object.entries(ENCRYPTED_COLUMNS)) {
+      for (const [column, width] of Object.entries(columns)) {
+        await client.query(`ALTER TABLE ${table} ALTER COLUMN ${column} TYPE VARCHAR(${width})`);
+      }
+    }
+  },
+};
@@ -0,0 +1,48 @@
+/**
+ * Brute-force protection: account lockout, kiosk keys and shared rate limit counters.
+ *
+ * A user is locked for a while after too many failed logins in a row (locked_until); an admin
+ * can unlock them earlier. Self check-in kiosks authenticate with a key issued per device, of
+ * which only the SHA-256 is kept. rate_limit_buckets holds the rate limiter's counters when
+ * RATE_LIMIT_STORE=db; it is unlogged, as losing them in a crash costs nothing.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE app_users
+      ADD COLUMN failed_login_count INTEGER NOT NULL DEFAULT 0,
+      ADD COLUMN locked_until TIMESTAMP
+    `);
+
+    await client.query(`
+      CREATE TABLE kiosk_keys (
+        id SERIAL PRIMARY KEY,
+        property_id INTEGER NOT NULL REFERENCES properties(id),
+        name VARCHAR(255) NOT NULL,
+        key_hash CHAR(64) NOT NULL UNIQUE,
+        key_prefix VARCHAR(16) NOT NULL,
+        created_by VARCHAR(64) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        last_used_at TIMESTAMP,
+        revoked_by VARCHAR(64),
+        revoked_at TIMESTAMP
+      )
+    `);
+    await client.query('CREATE INDEX idx_kiosk_keys_property_id ON kiosk_keys (property_id)');
+
+    await client.query(`
+      CREATE UNLOGGED TABLE rate_limit_buckets (
+        key VARCHAR(255) PRIMARY KEY,
+        count INTEGER NOT NULL,
+        reset_at TIMESTAMP NOT NULL
+      )
+    `);
+  },
+
+  async down(client) {
+    await client.query('DROP TABLE IF EXISTS rate_limit_buckets');
+    await client.query('DROP TABLE IF EXISTS kiosk_keys');
+    await client.query('ALTER TABLE app_users DROP COLUMN failed_login_count, DROP COLUMN locked_until');
+  },
+};
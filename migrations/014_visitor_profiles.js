@@ -0,0 +1,49 @@
+/**
+ * Visitor profiles: one per person and property, keyed on the ID number, so a returning
+ * visitor's details can be filled in and their visits counted.
+ *
+ * A profile's id_number and phone are encrypted and blind-indexed like those of visitor_records
+ * (see "Field Encryption" in server.js). A profile merged into another stays as an alias
+ * (merged_into_id), so its ID number keeps leading to the profile it was merged into and a
+ * split can bring it back. Existing visitor records are linked by the server on startup, once
+ * their blind indexes are in place: profiles are built from each ID number's latest visit.
+ * Records without an ID number get no profile.
+ */
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE visitor_profiles (
+        id SERIAL PRIMARY KEY,
+        property_id INTEGER NOT NULL REFERENCES properties(id),
+        full_name VARCHAR(255) NOT NULL,
+        type VARCHAR(32) DEFAULT 'visitor' CHECK (type IN ('visitor', 'casual', 'organizer', 'contractor')),
+        id_number TEXT,
+        id_number_bidx CHAR(64),
+        phone TEXT,
+        phone_bidx CHAR(64),
+        company VARCHAR(255),
+        vehicle_plate VARCHAR(64),
+        merged_into_id INTEGER REFERENCES visitor_profiles(id) ON DELETE CASCADE,
+        merged_by VARCHAR(64),
+        merged_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (property_id, id_number_bidx)
+      )
+    `);
+    await client.query('CREATE INDEX idx_visitor_profiles_phone_bidx ON visitor_profiles (property_id, phone_bidx)');
+    await client.query('CREATE INDEX idx_visitor_profiles_merged_into_id ON visitor_profiles (merged_into_id)');
+
+    await client.query(`
+      ALTER TABLE visitor_records
+      ADD COLUMN profile_id INTEGER REFERENCES visitor_profiles(id) ON DELETE SET NULL
+    `);
+    await client.query('CREATE INDEX idx_visitor_records_profile_id ON visitor_records (profile_id)');
+  },
+
+  async down(client) {
+    await client.query('ALTER TABLE visitor_records DROP COLUMN profile_id');
+    await client.query('DROP TABLE IF EXISTS visitor_profiles');
+  },
+};
@@ -5,20 +5,72 @@
  * Deploy to Railway with PostgreSQL database
  */
 
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const fs = require('fs');
+const path = require('path');
+const { Readable } = require('stream');
+const { promisify } = require('util');
+const { AsyncLocalStorage, AsyncResource } = require('async_hooks');
 const express = require('express');
 const cors = require('cors');
 const { Pool } = require('pg');
+const { Jimp } = require('jimp');
+const ExcelJS = require('exceljs');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS || '12');
+const RETENTION_INTERVAL_HOURS = parseFloat(process.env.RETENTION_INTERVAL_HOURS || '24');
+const QR_VALIDITY_HOURS = parseInt(process.env.QR_VALIDITY_HOURS || '24');
+const ATTACHMENT_STORAGE = process.env.ATTACHMENT_STORAGE || 'db'; // 'db' or 'fs'
+const ATTACHMENT_DIR = process.env.ATTACHMENT_DIR || path.join(__dirname, 'data', 'attachments');
+const ATTACHMENT_MAX_BYTES = parseFloat(process.env.ATTACHMENT_MAX_MB || '5') * 1048576;
+const HOTEL_TIMEZONE = process.env.HOTEL_TIMEZONE || 'Asia/Bangkok'; // default for new properties
+const TRUST_PROXY = process.env.TRUST_PROXY || ''; // hops / 'true' / subnets, as Express's 'trust proxy'
+const RATE_LIMIT_STORE = process.env.RATE_LIMIT_STORE || 'memory'; // 'memory' or 'db' (shared by every instance)
+const LOGIN_LOCKOUT_THRESHOLD = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD || '5');
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15');
+// Calls per 15 minutes (see RATE_LIMITS)
+const RATE_LIMIT_LOGIN = parseInt(process.env.RATE_LIMIT_LOGIN || '20');
+const RATE_LIMIT_LOGIN_USERNAME = parseInt(process.env.RATE_LIMIT_LOGIN_USERNAME || '10');
+const RATE_LIMIT_SELF_CHECK_IN = parseInt(process.env.RATE_LIMIT_SELF_CHECK_IN || '30');
+const RATE_LIMIT_KIOSK = parseInt(process.env.RATE_LIMIT_KIOSK || '300');
+const RATE_LIMIT_INVITATION_CODE = parseInt(process.env.RATE_LIMIT_INVITATION_CODE || '30');
+const RATE_LIMIT_ERROR_REPORT = parseInt(process.env.RATE_LIMIT_ERROR_REPORT || '60');
+const RATE_LIMIT_KIOSK_KEY = parseInt(process.env.RATE_LIMIT_KIOSK_KEY || '10');
+
+// Throws RangeError at startup on an unknown IANA zone, instead of failing every stats query
+new Intl.DateTimeFormat('en-US', { timeZone: HOTEL_TIMEZONE });
+
+// Check-in bodies carry up to four base64 images (base64 adds a third), plus the form fields.
+// Callers who are not logged in (the self check-in web) send a photo and a signature at most.
+const JSON_BODY_LIMIT = Math.ceil(ATTACHMENT_MAX_BYTES * 4 * 4 / 3) + 1048576;
+const PUBLIC_JSON_BODY_LIMIT = Math.ceil(ATTACHMENT_MAX_BYTES * 2 * 4 / 3) + 1048576;
+
+// HMAC key for visitor QR codes; falls back to a generated key kept in app_settings
+let qrSecret = process.env.QR_SECRET || null;
+
+const scrypt = promisify(crypto.scrypt);
+
+// Client IPs come from X-Forwarded-For only behind a trusted proxy (e.g. Railway: TRUST_PROXY=1)
+if (TRUST_PROXY) {
+  app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? parseInt(TRUST_PROXY) : TRUST_PROXY === 'true' || TRUST_PROXY);
+}
 
 // Middleware
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Last-Event-ID', 'X-Property', 'X-Kiosk-Key'],
 }));
-app.use(express.json({ limit: '50mb' }));
+
+// The caller's IP, user agent and property (set by authenticate), for audit entries and
+// events written anywhere while handling the request
+const requestContext = new AsyncLocalStorage();
+app.use((req, res, next) => {
+  requestContext.run({ ip: req.ip, userAgent: req.get('User-Agent')?.slice(0, 512) || null, propertyId: null }, next);
+});
 
 // Database connection
 const pool = new Pool({
@@ -26,104 +78,185 @@ const pool = new Pool({
   ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
 });
 
-// Initialize database tables
-async function initDatabase() {
-  const client = await pool.connect();
+// ============================================
+// Schema Migrations
+// ============================================
+
+// migrations/<version>_<name>.js, each exporting { up(client), down(client) }.
+// Applied versions are recorded in schema_migrations; never edit a file once deployed.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const MIGRATION_LOCK_ID = 72010000; // pg advisory lock so two instances never migrate at once
+
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+    .sort()
+    .map(file => {
+      const [, version, name] = file.match(/^(\d+)_([\w-]+)\.js$/);
+      const fullPath = path.join(MIGRATIONS_DIR, file);
+      const checksum = crypto.createHash('sha256').update(fs.readFileSync(fullPath)).digest('hex');
+      return { version, name, file, checksum, ...require(fullPath) };
+    });
+}
+
+async function withMigrationLock(client, fn) {
+  await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
   try {
-    // App Users table
     await client.query(`
-      CREATE TABLE IF NOT EXISTS app_users (
-        id SERIAL PRIMARY KEY,
-        username VARCHAR(64) UNIQUE NOT NULL,
-        password_hash VARCHAR(255) NOT NULL,
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        version VARCHAR(32) PRIMARY KEY,
         name VARCHAR(255) NOT NULL,
-        role VARCHAR(16) DEFAULT 'user' CHECK (role IN ('user', 'admin')),
-        is_active BOOLEAN DEFAULT true,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
+        checksum VARCHAR(64) NOT NULL,
+        applied_at TIMESTAMP DEFAULT NOW()
       )
     `);
+    return await fn();
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]);
+  }
+}
 
-    // Visitor Records table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS visitor_records (
-        id SERIAL PRIMARY KEY,
-        record_id VARCHAR(64) UNIQUE NOT NULL,
-        photo_uri TEXT,
-        full_name VARCHAR(255) NOT NULL,
-        type VARCHAR(32) DEFAULT 'visitor' CHECK (type IN ('visitor', 'casual', 'organizer', 'contractor')),
-        id_number VARCHAR(64),
-        phone VARCHAR(32),
-        company VARCHAR(255),
-        visitor_card_photo_uri TEXT,
-        id_card_photo_uri TEXT,
-        purpose TEXT,
-        access_area VARCHAR(255),
-        notes TEXT,
-        vehicle_plate VARCHAR(64),
-        check_in_time TIMESTAMP DEFAULT NOW(),
-        check_out_time TIMESTAMP,
-        status VARCHAR(8) DEFAULT 'IN' CHECK (status IN ('IN', 'OUT')),
-        recorded_by VARCHAR(64) NOT NULL,
-        consent_type VARCHAR(16) DEFAULT 'checkbox' CHECK (consent_type IN ('signature', 'checkbox')),
-        consent_time TIMESTAMP DEFAULT NOW(),
-        consent_signature TEXT,
-        qr_code TEXT,
-        qr_expiry TIMESTAMP,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
+async function getAppliedMigrations(client) {
+  const result = await client.query('SELECT * FROM schema_migrations ORDER BY version');
+  return new Map(result.rows.map(row => [row.version, row]));
+}
 
-    // Audit Logs table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS audit_logs (
-        id SERIAL PRIMARY KEY,
-        record_id VARCHAR(64),
-        user_id VARCHAR(64) NOT NULL,
-        action VARCHAR(32) NOT NULL,
-        details TEXT,
-        timestamp TIMESTAMP DEFAULT NOW()
-      )
-    `);
+// Apply every pending migration in order, each in its own transaction
+async function runMigrations(client) {
+  return withMigrationLock(client, async () => {
+    const applied = await getAppliedMigrations(client);
+    let count = 0;
 
-    // App Settings table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS app_settings (
-        id SERIAL PRIMARY KEY,
-        key VARCHAR(64) UNIQUE NOT NULL,
-        value TEXT,
-        updated_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
+    for (const migration of loadMigrations()) {
+      const row = applied.get(migration.version);
+      if (row) {
+        if (row.checksum !== migration.checksum) {
+          console.warn(`[Migrations] ${migration.file} has changed since it was applied`);
+        }
+        continue;
+      }
 
-    // Error Logs table
-    await client.query(`
-      CREATE TABLE IF NOT EXISTS error_logs (
-        id SERIAL PRIMARY KEY,
-        type VARCHAR(64) NOT NULL,
-        message TEXT NOT NULL,
-        source VARCHAR(64) NOT NULL,
-        metadata TEXT,
-        resolved BOOLEAN DEFAULT false,
-        resolved_at TIMESTAMP,
-        resolved_by VARCHAR(64),
-        created_at TIMESTAMP DEFAULT NOW()
-      )
-    `);
+      await client.query('BEGIN');
+      try {
+        await migration.up(client);
+        await client.query(
+          'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+          [migration.version, migration.name, migration.checksum]
+        );
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        error.message = `Migration ${migration.file} failed: ${error.message}`;
+        throw error;
+      }
+
+      console.log(`[Migrations] Applied ${migration.file}`);
+      count++;
+    }
+
+    return count;
+  });
+}
+
+async function migrationStatus(client) {
+  return withMigrationLock(client, async () => {
+    const applied = await getAppliedMigrations(client);
+    const migrations = loadMigrations();
+    const status = migrations.map(migration => {
+      const row = applied.get(migration.version);
+      return {
+        version: migration.version,
+        name: migration.name,
+        appliedAt: row?.applied_at?.toISOString() || null,
+        changed: !!row && row.checksum !== migration.checksum,
+      };
+    });
+
+    // Applied in the database but no longer on disk
+    for (const [version, row] of applied) {
+      if (!migrations.some(m => m.version === version)) {
+        status.push({ version, name: row.name, appliedAt: row.applied_at?.toISOString(), missing: true });
+      }
+    }
+    return status;
+  });
+}
+
+// Roll back the most recently applied migration
+async function rollbackMigration(client) {
+  return withMigrationLock(client, async () => {
+    const result = await client.query('SELECT * FROM schema_migrations ORDER BY version DESC LIMIT 1');
+    const last = result.rows[0];
+    if (!last) return null;
+
+    const migration = loadMigrations().find(m => m.version === last.version);
+    if (!migration) {
+      throw new Error(`Migration file for version ${last.version} (${last.name}) not found`);
+    }
 
-    // Initialize default users
+    await client.query('BEGIN');
+    try {
+      await migration.down(client);
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    }
+
+    console.log(`[Migrations] Rolled back ${migration.file}`);
+    return migration;
+  });
+}
+
+// Apply migrations and seed default data
+async function initDatabase() {
+  const client = await pool.connect();
+  try {
+    await runMigrations(client);
+
+    await loadFieldKeys(client);
+
+    // QR signing key (only used when QR_SECRET is not set)
+    if (!qrSecret) {
+      await client.query(
+        "INSERT INTO app_settings (key, value) VALUES ('qrSigningSecret', $1) ON CONFLICT (key) WHERE property_id IS NULL DO NOTHING",
+        [crypto.randomBytes(32).toString('hex')]
+      );
+      const secretResult = await client.query("SELECT value FROM app_settings WHERE key = 'qrSigningSecret' AND property_id IS NULL");
+      qrSecret = secretResult.rows[0].value;
+      console.log('[Database] QR_SECRET not set, using generated signing key');
+    }
+
+    // Initialize default users (must change password on first login), assigned to the
+    // property created by the migrations
     const usersResult = await client.query('SELECT COUNT(*) FROM app_users');
     if (parseInt(usersResult.rows[0].count) === 0) {
       await client.query(`
-        INSERT INTO app_users (username, password_hash, name, role, is_active)
-        VALUES 
-          ('admin', 'admin123', 'Administrator', 'admin', true),
-          ('user', 'user123', 'Staff User', 'user', true)
+        INSERT INTO app_users (username, password_hash, name, role, is_active, must_change_password)
+        VALUES
+          ('admin', $1, 'Administrator', 'group_admin', true, true),
+          ('user', $2, 'Staff User', 'user', true, true)
+      `, [await hashPassword('admin123'), await hashPassword('user123')]);
+      await client.query(`
+        INSERT INTO user_properties (user_id, property_id)
+        SELECT u.id, p.id FROM app_users u, (SELECT id FROM properties ORDER BY id LIMIT 1) p
       `);
       console.log('[Database] Default users created');
     }
 
+    // Older deployments seeded the defaults in plaintext; force a change if still unchanged
+    await client.query(`
+      UPDATE app_users SET must_change_password = true
+      WHERE (username = 'admin' AND password_hash = 'admin123')
+         OR (username = 'user' AND password_hash = 'user123')
+    `);
+
+    // ID numbers and phones still in plaintext or under a retired key
+    await rewriteEncryptedFields();
+    // Visits not linked to a profile yet (every existing one after migration 014)
+    await linkVisitorProfiles(client);
+
     console.log('[Database] Tables initialized');
   } finally {
     client.release();
@@ -144,678 +277,7029 @@ app.get('/health', async (req, res) => {
 // tRPC-compatible API endpoints
 // ============================================
 
-// Helper to wrap response in tRPC batch format
-function trpcResponse(data) {
-  return [{ result: { data: { json: data } } }];
+// data is merged into the error's "data" (e.g. fieldErrors for validation failures)
+class TRPCError extends Error {
+  constructor(code, message, data = {}) {
+    super(message);
+    this.code = code;
+    this.data = data;
+  }
+}
+
+// tRPC error code -> [JSON-RPC code, HTTP status]
+const TRPC_ERROR_CODES = {
+  PARSE_ERROR: [-32700, 400],
+  BAD_REQUEST: [-32600, 400],
+  UNAUTHORIZED: [-32001, 401],
+  FORBIDDEN: [-32003, 403],
+  NOT_FOUND: [-32004, 404],
+  METHOD_NOT_SUPPORTED: [-32005, 405],
+  CONFLICT: [-32009, 409],
+  PAYLOAD_TOO_LARGE: [-32013, 413],
+  TOO_MANY_REQUESTS: [-32029, 429],
+  INTERNAL_SERVER_ERROR: [-32603, 500],
+};
+
+function trpcHttpStatus(error) {
+  return (TRPC_ERROR_CODES[error.code] || TRPC_ERROR_CODES.INTERNAL_SERVER_ERROR)[1];
+}
+
+function trpcResult(data) {
+  return { result: { data: { json: data } } };
 }
 
-function trpcError(error) {
-  return [{ error: { message: error, code: 'BAD_REQUEST' } }];
+// Error item in the shape tRPC clients (with the superjson transformer) expect
+function trpcErrorItem(error, path = null) {
+  const [code, httpStatus] = TRPC_ERROR_CODES[error.code] || TRPC_ERROR_CODES.INTERNAL_SERVER_ERROR;
+  return {
+    error: {
+      json: {
+        message: error.message,
+        code,
+        data: { code: error.code, httpStatus, path, ...error.data },
+      },
+    },
+  };
 }
 
-// Parse tRPC batch request
-function parseTrpcInput(req) {
-  if (req.method === 'POST' && req.body && req.body['0']) {
-    return req.body['0'].json || req.body['0'];
+// Single error in tRPC batch format (used by non-tRPC middleware)
+function trpcError(message, code = 'BAD_REQUEST') {
+  return [trpcErrorItem(new TRPCError(code, message))];
+}
+
+// Answer a request with one TRPCError from middleware, telling rate-limited callers when to retry
+function sendTrpcError(res, error) {
+  if (error.data.retryAfter) res.set('Retry-After', String(error.data.retryAfter));
+  res.status(trpcHttpStatus(error)).json([trpcErrorItem(error)]);
+}
+
+// Known failures that are not TRPCErrors; anything else is an INTERNAL_SERVER_ERROR
+function toTrpcError(error) {
+  if (error instanceof TRPCError) return error;
+  if (error instanceof AttachmentError) {
+    return new TRPCError('BAD_REQUEST', error.message);
   }
-  if (req.query.input) {
-    try {
-      const parsed = JSON.parse(req.query.input);
-      return parsed['0']?.json || parsed['0'] || parsed;
-    } catch {
-      return {};
-    }
+  // Postgres: unique violation / not-null, check or data format violations
+  if (error.code === '23505') {
+    return new TRPCError('CONFLICT', 'ข้อมูลนี้มีอยู่แล้ว');
   }
-  return {};
+  if (error.code === '23502' || error.code === '23514' || /^22/.test(error.code || '')) {
+    return new TRPCError('BAD_REQUEST', 'ข้อมูลไม่ถูกต้อง');
+  }
+  return null;
 }
 
 // ============================================
-// App Users Routes
+// Input Validation
 // ============================================
 
-// Login
-app.post('/api/trpc/appUsers.login', async (req, res) => {
-  try {
-    const input = parseTrpcInput(req);
-    const { username, password } = input;
+// Declarative input schemas: { field: { type, required, min, max, enum, pattern } }
+//   type: 'string' (max = length), 'integer' / 'number' (min / max = value),
+//         'boolean', 'date' (ISO string), 'object', 'array' (max = length, items = spec), 'any'
+// Fields not in the schema are dropped. Optional fields may be null or omitted; an empty
+// string is kept for 'string' fields (so it can clear a value) and treated as omitted otherwise.
+// Numeric and 'true' / 'false' strings are coerced, so query-string input validates too.
+function validateInput(schema, input) {
+  if (input === null || typeof input !== 'object' || Array.isArray(input)) {
+    throw new TRPCError('BAD_REQUEST', 'ข้อมูลไม่ถูกต้อง');
+  }
 
-    if (!username || !password) {
-      return res.json(trpcResponse({ success: false, error: 'กรุณากรอกชื่อผู้ใช้และรหัสผ่าน' }));
-    }
+  const output = {};
+  const fieldErrors = {};
 
-    const result = await pool.query(
-      'SELECT * FROM app_users WHERE username = $1 AND password_hash = $2 AND is_active = true',
-      [username, password]
-    );
+  for (const [field, spec] of Object.entries(schema)) {
+    let value = input[field];
+    if (value === '' && spec.type !== 'string') value = undefined;
+    if (typeof value === 'string' && (spec.type === 'integer' || spec.type === 'number') && value.trim() !== '') {
+      value = Number(value);
+    }
+    if (spec.type === 'boolean' && (value === 'true' || value === 'false')) {
+      value = value === 'true';
+    }
 
-    if (result.rows.length === 0) {
-      return res.json(trpcResponse({ success: false, error: 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง' }));
+    if (value === undefined || value === null) {
+      if (spec.required) fieldErrors[field] = 'จำเป็นต้องระบุ';
+      else if (value === null) output[field] = null;
+      continue;
     }
 
-    const user = result.rows[0];
+    const error = checkField(spec, value);
+    if (error) {
+      fieldErrors[field] = error;
+    } else {
+      output[field] = value;
+    }
+  }
 
-    // Log login
-    await pool.query(
-      'INSERT INTO audit_logs (user_id, action, details) VALUES ($1, $2, $3)',
-      [user.username, 'USER_LOGIN', `User ${user.username} logged in`]
-    );
+  const fields = Object.keys(fieldErrors);
+  if (fields.length > 0) {
+    throw new TRPCError('BAD_REQUEST', `ข้อมูลไม่ถูกต้อง: ${fields[0]} ${fieldErrors[fields[0]]}`, { fieldErrors });
+  }
+  return output;
+}
 
-    res.json(trpcResponse({
-      success: true,
-      user: {
-        id: user.id,
-        username: user.username,
-        name: user.name,
-        role: user.role,
-        isActive: user.is_active,
+// Returns an error message for one field value, or null
+function checkField(spec, value) {
+  switch (spec.type) {
+    case 'string':
+      if (typeof value !== 'string') return 'ต้องเป็นข้อความ';
+      if (spec.required && value.trim() === '') return 'จำเป็นต้องระบุ';
+      if (spec.max !== undefined && value.length > spec.max) return `ต้องไม่เกิน ${spec.max} ตัวอักษร`;
+      if (spec.pattern && value !== '' && !spec.pattern.test(value)) return spec.patternMessage || 'รูปแบบไม่ถูกต้อง';
+      break;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return 'ต้องเป็นตัวเลข';
+      if (spec.type === 'integer' && !Number.isInteger(value)) return 'ต้องเป็นจำนวนเต็ม';
+      if (spec.min !== undefined && value < spec.min) return `ต้องไม่น้อยกว่า ${spec.min}`;
+      if (spec.max !== undefined && value > spec.max) return `ต้องไม่เกิน ${spec.max}`;
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') return 'ต้องเป็น true หรือ false';
+      break;
+    case 'date':
+      if (typeof value !== 'string' || Number.isNaN(Date.parse(value))) return 'รูปแบบวันที่ไม่ถูกต้อง';
+      break;
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) return 'ต้องเป็น object';
+      break;
+    case 'array':
+      if (!Array.isArray(value)) return 'ต้องเป็น array';
+      if (spec.max !== undefined && value.length > spec.max) return `ต้องไม่เกิน ${spec.max} รายการ`;
+      for (const item of value) {
+        const error = spec.items && checkField(spec.items, item);
+        if (error) return error;
       }
-    }));
-  } catch (error) {
-    console.error('[appUsers.login] Error:', error);
-    res.json(trpcResponse({ success: false, error: 'เกิดข้อผิดพลาด' }));
+      break;
+    default:
+      break;
   }
-});
 
-// List users
-app.get('/api/trpc/appUsers.list', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM app_users ORDER BY created_at DESC');
-    const users = result.rows.map(u => ({
-      id: u.id,
-      username: u.username,
-      name: u.name,
-      role: u.role,
-      isActive: u.is_active,
-      createdAt: u.created_at?.toISOString(),
-    }));
-    res.json(trpcResponse(users));
-  } catch (error) {
-    console.error('[appUsers.list] Error:', error);
-    res.json(trpcResponse([]));
+  if (spec.enum && !spec.enum.includes(value)) {
+    return `ต้องเป็นหนึ่งใน: ${spec.enum.join(', ')}`;
   }
-});
+  return null;
+}
 
-// Create user
-app.post('/api/trpc/appUsers.create', async (req, res) => {
-  try {
-    const input = parseTrpcInput(req);
-    const { username, password, name, role = 'user' } = input;
+// Allowed values, matching the CHECK constraints in the schema
+const USER_ROLES = ['user', 'admin', 'group_admin'];
+const VISITOR_TYPES = ['visitor', 'casual', 'organizer', 'contractor'];
+const VISITOR_STATUSES = ['IN', 'OUT'];
+const CONSENT_TYPES = ['signature', 'checkbox'];
+const WATCHLIST_MATCH_TYPES = ['id_number', 'name', 'phone', 'vehicle_plate'];
+const WATCHLIST_SEVERITIES = ['block', 'warn'];
+const INVITATION_STATUSES = ['pending', 'redeemed', 'cancelled', 'no_show'];
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'replayed'];
 
-    // Check if exists
-    const existing = await pool.query('SELECT id FROM app_users WHERE username = $1', [username]);
-    if (existing.rows.length > 0) {
-      return res.json(trpcResponse({ success: false, error: 'ชื่อผู้ใช้นี้มีอยู่แล้ว' }));
-    }
+// Retention: 'anonymize' keeps the row for statistics but blanks every personal
+// field; 'delete' removes the row entirely.
+const RETENTION_MODES = ['anonymize', 'delete'];
 
-    const result = await pool.query(
-      'INSERT INTO app_users (username, password_hash, name, role, is_active) VALUES ($1, $2, $3, $4, true) RETURNING id',
-      [username, password, name, role]
-    );
+// ============================================
+// Procedure Router
+// ============================================
 
-    await pool.query(
-      'INSERT INTO audit_logs (user_id, action, details) VALUES ($1, $2, $3)',
-      ['system', 'USER_CREATED', `User ${username} created`]
-    );
+// Procedure registry: name -> { type, access, input, handler(input, ctx) }
+// access is one of the levels understood by checkAccess ('public', 'kiosk', 'session', 'user',
+// 'admin', 'group_admin'); input is an optional schema for validateInput. ctx.property is the
+// property the call acts on (see authenticate).
+const router = {
+  procedures: new Map(),
+  query(name, access, input, handler) {
+    this.add(name, 'query', access, input, handler);
+  },
+  mutation(name, access, input, handler) {
+    this.add(name, 'mutation', access, input, handler);
+  },
+  add(name, type, access, input, handler) {
+    if (typeof input === 'function') {
+      handler = input;
+      input = null;
+    }
+    this.procedures.set(name, { type, access, input, handler });
+  },
+};
 
-    res.json(trpcResponse({ success: true, id: result.rows[0].id }));
-  } catch (error) {
-    console.error('[appUsers.create] Error:', error);
-    res.json(trpcResponse({ success: false, error: 'เกิดข้อผิดพลาด' }));
+// Inputs may arrive in the superjson envelope { json, meta } or raw
+function unwrapInput(value) {
+  if (value && typeof value === 'object' && !Array.isArray(value) && 'json' in value
+    && Object.keys(value).every(key => key === 'json' || key === 'meta')) {
+    return value.json ?? {};
   }
-});
+  return value ?? {};
+}
 
-// Update user
-app.post('/api/trpc/appUsers.update', async (req, res) => {
-  try {
-    const input = parseTrpcInput(req);
-    const { id, name, password, role, isActive } = input;
+// One input per called procedure. GET carries them in ?input=, POST in the body;
+// batches are keyed by index ({ "0": ..., "1": ... }).
+function readTrpcInputs(req, count, batch) {
+  let payload = req.method === 'GET'
+    ? (req.query.input === undefined ? undefined : JSON.parse(req.query.input))
+    : req.body;
 
-    const updates = [];
-    const values = [];
-    let paramIndex = 1;
+  if (batch) {
+    return Array.from({ length: count }, (_, index) => unwrapInput(payload?.[index]));
+  }
 
-    if (name !== undefined) {
-      updates.push(`name = $${paramIndex++}`);
-      values.push(name);
-    }
-    if (password !== undefined) {
-      updates.push(`password_hash = $${paramIndex++}`);
-      values.push(password);
-    }
-    if (role !== undefined) {
-      updates.push(`role = $${paramIndex++}`);
-      values.push(role);
-    }
-    if (isActive !== undefined) {
-      updates.push(`is_active = $${paramIndex++}`);
-      values.push(isActive);
-    }
+  // Older clients wrap single calls as { "0": input } without ?batch=1
+  if (payload && typeof payload === 'object' && Object.keys(payload).length === 1 && '0' in payload) {
+    payload = payload['0'];
+  }
+  return [unwrapInput(payload)];
+}
 
-    if (updates.length > 0) {
-      values.push(id);
-      await pool.query(
-        `UPDATE app_users SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${paramIndex}`,
-        values
-      );
-    }
+async function callProcedure(path, req, input) {
+  const procedure = router.procedures.get(path);
+  if (!procedure) {
+    throw new TRPCError('NOT_FOUND', `No procedure found on path "${path}"`);
+  }
 
-    res.json(trpcResponse({ success: true }));
-  } catch (error) {
-    console.error('[appUsers.update] Error:', error);
-    res.json(trpcResponse({ success: false, error: 'เกิดข้อผิดพลาด' }));
+  const method = procedure.type === 'query' ? 'GET' : 'POST';
+  if (req.method !== method) {
+    throw new TRPCError('METHOD_NOT_SUPPORTED', `Unsupported ${req.method}-request to ${procedure.type} procedure at path "${path}"`);
   }
-});
 
-// Delete user
-app.post('/api/trpc/appUsers.delete', async (req, res) => {
-  try {
-    const input = parseTrpcInput(req);
-    const { id } = input;
+  checkAccess(procedure.access, req.user, req.kiosk);
+  const parsed = procedure.input ? validateInput(procedure.input, input) : input;
+  return procedure.handler(parsed, { req, user: req.user, sessionId: req.sessionId, property: req.property, kiosk: req.kiosk });
+}
 
-    await pool.query('DELETE FROM app_users WHERE id = $1', [id]);
-    res.json(trpcResponse({ success: true }));
-  } catch (error) {
-    console.error('[appUsers.delete] Error:', error);
-    res.json(trpcResponse({ success: false, error: 'เกิดข้อผิดพลาด' }));
+// /api/trpc/<path>[,<path>...][?batch=1]
+// Always answers with an array, one item per path, so single calls stay compatible with
+// clients written against the original batch-of-one responses.
+async function handleTrpcRequest(req, res) {
+  const batch = req.query.batch === '1' || req.query.batch === 'true';
+  const paths = batch ? req.params.path.split(',') : [req.params.path];
+
+  let inputs;
+  try {
+    inputs = readTrpcInputs(req, paths.length, batch);
+  } catch {
+    const error = new TRPCError('PARSE_ERROR', 'input ไม่ใช่ JSON ที่ถูกต้อง');
+    return res.status(400).json(paths.map(path => trpcErrorItem(error, path)));
   }
-});
+
+  const outcomes = await Promise.all(paths.map(async (path, index) => {
+    try {
+      return { status: 200, item: trpcResult(await callProcedure(path, req, inputs[index])) };
+    } catch (caught) {
+      const error = toTrpcError(caught);
+      if (!error) {
+        console.error(`[${path}] Error:`, caught);
+        captureServerError(path, caught, req, inputs[index]);
+      }
+      const failure = error || new TRPCError('INTERNAL_SERVER_ERROR', 'เกิดข้อผิดพลาด');
+      if (failure.data.retryAfter) res.set('Retry-After', String(failure.data.retryAfter));
+      return { status: trpcHttpStatus(failure), item: trpcErrorItem(failure, path) };
+    }
+  }));
+
+  // Mixed outcomes in one batch are reported as 207 Multi-Status, like tRPC does
+  const statuses = new Set(outcomes.map(outcome => outcome.status));
+  res.status(statuses.size === 1 ? outcomes[0].status : 207).json(outcomes.map(outcome => outcome.item));
+}
 
 // ============================================
-// Visitors Routes (for Mobile App)
+// Passwords
 // ============================================
 
-// List all visitors
-app.get('/api/trpc/visitors.list', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM visitor_records ORDER BY check_in_time DESC');
-    const records = result.rows.map(r => ({
-      id: r.record_id,
-      dbId: r.id,
-      hasPhoto: !!r.photo_uri,
-      fullName: r.full_name,
-      type: r.type,
-      idNumber: r.id_number,
-      phone: r.phone,
-      company: r.company,
-      hasVisitorCardPhoto: !!r.visitor_card_photo_uri,
-      hasIdCardPhoto: !!r.id_card_photo_uri,
-      purpose: r.purpose,
-      accessArea: r.access_area,
-      notes: r.notes,
-      vehiclePlate: r.vehicle_plate,
-      checkInTime: r.check_in_time?.toISOString(),
-      checkOutTime: r.check_out_time?.toISOString(),
-      status: r.status,
-      recordedBy: r.recorded_by,
-      consentType: r.consent_type,
-      consentTime: r.consent_time?.toISOString(),
-      hasConsentSignature: !!r.consent_signature,
-      qrCode: r.qr_code,
-      qrExpiry: r.qr_expiry?.toISOString(),
-    }));
-    res.json(trpcResponse(records));
-  } catch (error) {
-    console.error('[visitors.list] Error:', error);
-    res.json(trpcResponse([]));
-  }
-});
+// Stored as "scrypt$<salt hex>$<key hex>". Anything without the prefix is a legacy
+// plaintext row and gets re-hashed on the next successful login.
+const PASSWORD_PREFIX = 'scrypt$';
 
-// Get active visitors
-app.get('/api/trpc/visitors.active', async (req, res) => {
-  try {
-    const result = await pool.query(
-      "SELECT * FROM visitor_records WHERE status = 'IN' ORDER BY check_in_time DESC"
-    );
-    const records = result.rows.map(r => ({
-      id: r.record_id,
-      dbId: r.id,
-      fullName: r.full_name,
-      type: r.type,
-      checkInTime: r.check_in_time?.toISOString(),
-      status: r.status,
-    }));
-    res.json(trpcResponse(records));
-  } catch (error) {
-    console.error('[visitors.active] Error:', error);
-    res.json(trpcResponse([]));
-  }
-});
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const key = await scrypt(password, salt, 64);
+  return `${PASSWORD_PREFIX}${salt.toString('hex')}$${key.toString('hex')}`;
+}
 
-// Get visitor by ID
-app.get('/api/trpc/visitors.byId', async (req, res) => {
-  try {
-    const input = parseTrpcInput(req);
-    const recordId = input.recordId || req.query.recordId;
+// Logins for unknown usernames are checked against this, so they take as long as a wrong
+// password and response times do not tell which usernames exist
+const dummyPasswordHash = hashPassword(crypto.randomBytes(16).toString('hex'));
 
-    const result = await pool.query('SELECT * FROM visitor_records WHERE record_id = $1', [recordId]);
-    
-    if (result.rows.length === 0) {
-      return res.json(trpcResponse(null));
-    }
+// Returns { valid, legacy }
+async function verifyPassword(password, stored) {
+  if (!stored) return { valid: false, legacy: false };
 
-    const r = result.rows[0];
-    res.json(trpcResponse({
-      id: r.record_id,
-      dbId: r.id,
-      photoUri: r.photo_uri,
-      fullName: r.full_name,
-      type: r.type,
-      idNumber: r.id_number,
-      phone: r.phone,
-      company: r.company,
-      visitorCardPhotoUri: r.visitor_card_photo_uri,
-      idCardPhotoUri: r.id_card_photo_uri,
-      purpose: r.purpose,
-      accessArea: r.access_area,
-      notes: r.notes,
-      vehiclePlate: r.vehicle_plate,
-      checkInTime: r.check_in_time?.toISOString(),
-      checkOutTime: r.check_out_time?.toISOString(),
-      status: r.status,
-      recordedBy: r.recorded_by,
-      consentType: r.consent_type,
-      consentTime: r.consent_time?.toISOString(),
-      consentSignature: r.consent_signature,
-      qrCode: r.qr_code,
-      qrExpiry: r.qr_expiry?.toISOString(),
-    }));
-  } catch (error) {
-    console.error('[visitors.byId] Error:', error);
-    res.json(trpcResponse(null));
+  if (!stored.startsWith(PASSWORD_PREFIX)) {
+    const a = crypto.createHash('sha256').update(String(password)).digest();
+    const b = crypto.createHash('sha256').update(stored).digest();
+    return { valid: crypto.timingSafeEqual(a, b), legacy: true };
   }
-});
-
-// Check-in visitor (from Mobile App)
-app.post('/api/trpc/visitors.checkIn', async (req, res) => {
-  try {
-    const input = parseTrpcInput(req);
-    const {
-      recordId, photoUri, fullName, type, idNumber, phone, company,
-      visitorCardPhotoUri, idCardPhotoUri, purpose, accessArea, notes,
-      vehiclePlate, recordedBy, consentType, consentSignature, qrCode, qrExpiry
-    } = input;
 
-    const result = await pool.query(`
-      INSERT INTO visitor_records (
-        record_id, photo_uri, full_name, type, id_number, phone, company,
-        visitor_card_photo_uri, id_card_photo_uri, purpose, access_area, notes,
-        vehicle_plate, recorded_by, consent_type, consent_signature, qr_code, qr_expiry, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, 'IN')
-      RETURNING id
-    `, [
-      recordId, photoUri, fullName, type || 'visitor', idNumber, phone, company,
-      visitorCardPhotoUri, idCardPhotoUri, purpose, accessArea, notes,
-      vehiclePlate, recordedBy, consentType || 'checkbox', consentSignature, qrCode, qrExpiry
-    ]);
+  const [saltHex, keyHex] = stored.slice(PASSWORD_PREFIX.length).split('$');
+  const expected = Buffer.from(keyHex || '', 'hex');
+  if (!saltHex || expected.length === 0) return { valid: false, legacy: false };
 
-    await pool.query(
-      'INSERT INTO audit_logs (record_id, user_id, action, details) VALUES ($1, $2, $3, $4)',
-      [recordId, recordedBy, 'CHECK_IN', `${fullName} checked in`]
-    );
+  const key = await scrypt(String(password), Buffer.from(saltHex, 'hex'), expected.length);
+  return { valid: crypto.timingSafeEqual(key, expected), legacy: false };
+}
 
-    res.json(trpcResponse({ success: true, id: result.rows[0].id, recordId }));
-  } catch (error) {
-    console.error('[visitors.checkIn] Error:', error);
-    res.json(trpcResponse({ success: false, error: 'เกิดข้อผิดพลาด' }));
+// Password policy: returns an error message, or null if acceptable
+function validatePassword(password, username) {
+  if (typeof password !== 'string' || password.length < 8) {
+    return 'รหัสผ่านต้องมีอย่างน้อย 8 ตัวอักษร';
   }
-});
-
-// Check-out visitor
-app.post('/api/trpc/visitors.checkOut', async (req, res) => {
-  try {
-    const input = parseTrpcInput(req);
-    const { recordId, userId } = input;
+  if (password.length > 128) {
+    return 'รหัสผ่านต้องไม่เกิน 128 ตัวอักษร';
+  }
+  if (!/[A-Za-z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'รหัสผ่านต้องมีทั้งตัวอักษรและตัวเลข';
+  }
+  if (username && password.toLowerCase().includes(String(username).toLowerCase())) {
+    return 'รหัสผ่านต้องไม่มีชื่อผู้ใช้อยู่ในรหัสผ่าน';
+  }
+  return null;
+}
 
-    await pool.query(
-      "UPDATE visitor_records SET status = 'OUT', check_out_time = NOW() WHERE record_id = $1",
-      [recordId]
-    );
+// ============================================
+// Sessions & Access Control
+// ============================================
 
-    await pool.query(
-      'INSERT INTO audit_logs (record_id, user_id, action, details) VALUES ($1, $2, $3, $4)',
-      [recordId, userId, 'CHECK_OUT', `Visitor checked out`]
-    );
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-    res.json(trpcResponse({ success: true }));
-  } catch (error) {
-    console.error('[visitors.checkOut] Error:', error);
-    res.json(trpcResponse({ success: false, error: 'เกิดข้อผิดพลาด' }));
-  }
-});
+// Issue a new session token for a user, working in one property. The raw token is only
+// ever returned to the client.
+async function createSession(userId, propertyId) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 3600000);
+  await pool.query(
+    'INSERT INTO app_sessions (token_hash, user_id, expires_at, property_id) VALUES ($1, $2, $3, $4)',
+    [hashToken(token), userId, expiresAt, propertyId]
+  );
+  return { token, expiresAt: expiresAt.toISOString() };
+}
 
-// Update visitor
-app.post('/api/trpc/visitors.update', async (req, res) => {
-  try {
-    const input = parseTrpcInput(req);
-    const { recordId, userId, ...updateData } = input;
-
-    const fieldMap = {
-      fullName: 'full_name',
-      idNumber: 'id_number',
-      phone: 'phone',
-      company: 'company',
-      purpose: 'purpose',
-      accessArea: 'access_area',
-      notes: 'notes',
-      vehiclePlate: 'vehicle_plate',
-      type: 'type',
-    };
+// Resolve the caller from "Authorization: Bearer <token>" and the property the request acts
+// on: the session's property, or for anonymous callers the property of their kiosk key
+// (X-Kiosk-Key), else the one named by the X-Property header (default: the first property).
+// Anonymous callers simply have no req.user; checkAccess decides what they may call.
+async function authenticate(req, res, next) {
+  req.user = null;
+  req.kiosk = null;
+  req.property = null;
+  const header = req.headers.authorization || '';
+  const match = header.match(/^Bearer\s+(\S+)$/i);
 
-    const updates = [];
-    const values = [];
-    let paramIndex = 1;
+  try {
+    // A session stops working once its property is deactivated or the user is unassigned from it
+    const result = match ? await pool.query(`
+      SELECT s.id AS session_id, u.id, u.username, u.name, u.role, u.must_change_password,
+        p.id AS property_id, p.code, p.name AS property_name, p.timezone
+      FROM app_sessions s
+      JOIN app_users u ON u.id = s.user_id
+      JOIN properties p ON p.id = s.property_id
+      WHERE s.token_hash = $1 AND s.expires_at > NOW() AND u.is_active = true AND p.is_active = true
+        AND (u.role = 'group_admin' OR EXISTS (
+          SELECT 1 FROM user_properties up WHERE up.user_id = u.id AND up.property_id = p.id
+        ))
+    `, [hashToken(match[1])]) : { rows: [] };
 
-    for (const [key, dbField] of Object.entries(fieldMap)) {
-      if (updateData[key] !== undefined) {
-        updates.push(`${dbField} = $${paramIndex++}`);
-        values.push(updateData[key]);
+    if (result.rows.length > 0) {
+      const row = result.rows[0];
+      req.sessionId = row.session_id;
+      req.user = {
+        id: row.id,
+        username: row.username,
+        name: row.name,
+        role: row.role,
+        mustChangePassword: row.must_change_password,
+      };
+      req.property = formatProperty({ id: row.property_id, code: row.code, name: row.property_name, timezone: row.timezone });
+    } else if (req.get('X-Kiosk-Key')) {
+      req.kiosk = await findKioskKey(req.get('X-Kiosk-Key'));
+      if (!req.kiosk) {
+        await rejectKioskKey(req.ip);
+        return res.status(401).json(trpcError('รหัสเครื่องคีออสก์ไม่ถูกต้องหรือถูกยกเลิกแล้ว', 'UNAUTHORIZED'));
+      }
+      req.property = req.kiosk.property;
+    } else {
+      const code = req.get('X-Property');
+      req.property = await findProperty(code);
+      if (code && !req.property) {
+        return res.status(404).json(trpcError('ไม่พบโรงแรมที่ระบุ', 'NOT_FOUND'));
       }
     }
 
-    if (updates.length > 0) {
-      values.push(recordId);
-      await pool.query(
-        `UPDATE visitor_records SET ${updates.join(', ')}, updated_at = NOW() WHERE record_id = $${paramIndex}`,
-        values
-      );
+    const context = requestContext.getStore();
+    if (context) context.propertyId = req.property?.id ?? null;
+    next();
+  } catch (error) {
+    if (error instanceof TRPCError) return sendTrpcError(res, error);
+    console.error('[authenticate] Error:', error);
+    res.status(500).json(trpcError('เกิดข้อผิดพลาด', 'INTERNAL_SERVER_ERROR'));
+  }
+}
 
-      await pool.query(
-        'INSERT INTO audit_logs (record_id, user_id, action, details) VALUES ($1, $2, $3, $4)',
-        [recordId, userId, 'EDIT_RECORD', 'Record updated']
-      );
-    }
+// Who may call a procedure. 'public' is anyone, 'kiosk' a self check-in kiosk with a valid
+// kiosk key or a logged-in user, 'session' any logged-in user (including one who still has to
+// change their password). 'group_admin' is an admin of every property in the group.
+const ACCESS_ROLES = {
+  kiosk: ['user', 'admin', 'group_admin'],
+  user: ['user', 'admin', 'group_admin'],
+  admin: ['admin', 'group_admin'],
+  group_admin: ['group_admin'],
+};
 
-    res.json(trpcResponse({ success: true }));
-  } catch (error) {
-    console.error('[visitors.update] Error:', error);
-    res.json(trpcResponse({ success: false, error: 'เกิดข้อผิดพลาด' }));
+function checkAccess(access, user, kiosk = null) {
+  if (access === 'public') return;
+  if (access === 'kiosk' && !user) {
+    if (kiosk) return;
+    throw new TRPCError('UNAUTHORIZED', 'เครื่องนี้ยังไม่ได้ลงทะเบียนเป็นคีออสก์');
   }
-});
+  if (!user) {
+    throw new TRPCError('UNAUTHORIZED', 'กรุณาเข้าสู่ระบบ');
+  }
+  if (access === 'session') return;
+  if (!ACCESS_ROLES[access]?.includes(user.role)) {
+    throw new TRPCError('FORBIDDEN', 'ไม่มีสิทธิ์เข้าถึง');
+  }
+  if (user.mustChangePassword) {
+    throw new TRPCError('FORBIDDEN', 'กรุณาเปลี่ยนรหัสผ่านก่อนใช้งาน');
+  }
+}
 
-// Delete visitor
-app.post('/api/trpc/visitors.delete', async (req, res) => {
-  try {
-    const input = parseTrpcInput(req);
-    const { recordId, userId } = input;
+// checkAccess as Express middleware, for routes outside the tRPC router
+function requireAccess(access) {
+  return (req, res, next) => {
+    try {
+      checkAccess(access, req.user);
+      next();
+    } catch (error) {
+      res.status(trpcHttpStatus(error)).json(trpcError(error.message, error.code));
+    }
+  };
+}
 
-    await pool.query('DELETE FROM visitor_records WHERE record_id = $1', [recordId]);
+// Bodies are read once the caller is known, so anonymous callers get the smaller limit and are
+// rate limited before they upload anything. next is bound to keep the request context, which
+// would otherwise be lost in the stream callbacks.
+const parseJsonBody = express.json({ limit: JSON_BODY_LIMIT });
+const parsePublicJsonBody = express.json({ limit: PUBLIC_JSON_BODY_LIMIT });
 
-    await pool.query(
-      'INSERT INTO audit_logs (record_id, user_id, action, details) VALUES ($1, $2, $3, $4)',
-      [recordId, userId, 'DELETE_RECORD', 'Record deleted']
-    );
+function parseTrpcBody(req, res, next) {
+  (req.user ? parseJsonBody : parsePublicJsonBody)(req, res, AsyncResource.bind(next));
+}
 
-    res.json(trpcResponse({ success: true }));
-  } catch (error) {
-    console.error('[visitors.delete] Error:', error);
-    res.json(trpcResponse({ success: false, error: 'เกิดข้อผิดพลาด' }));
+app.use('/api/trpc', authenticate, limitPublicCalls, parseTrpcBody);
+app.get('/api/trpc/:path', handleTrpcRequest);
+app.post('/api/trpc/:path', handleTrpcRequest);
+
+// Malformed or oversized JSON bodies
+app.use('/api/trpc', (error, req, res, next) => {
+  if (error.type === 'entity.too.large') {
+    return res.status(413).json(trpcError('ข้อมูลมีขนาดใหญ่เกินไป', 'PAYLOAD_TOO_LARGE'));
+  }
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json(trpcError('ข้อมูลไม่ใช่ JSON ที่ถูกต้อง', 'PARSE_ERROR'));
   }
+  next(error);
 });
 
 // ============================================
-// Self Check-in Routes (for Web)
+// Rate Limiting
 // ============================================
 
-// Get consent text
-app.get('/api/trpc/selfCheckIn.getConsent', async (req, res) => {
-  try {
-    const result = await pool.query("SELECT value FROM app_settings WHERE key = 'consentText'");
-    const consentText = result.rows[0]?.value || 'ข้าพเจ้ายินยอมให้เก็บข้อมูลส่วนบุคคลเพื่อวัตถุประสงค์ด้านความปลอดภัย';
-    res.json(trpcResponse({ consentText }));
-  } catch (error) {
-    console.error('[selfCheckIn.getConsent] Error:', error);
-    res.json(trpcResponse({ consentText: 'ข้าพเจ้ายินยอมให้เก็บข้อมูลส่วนบุคคลเพื่อวัตถุประสงค์ด้านความปลอดภัย' }));
-  }
+// Fixed windows: at most max calls per windowMinutes for each subject (an IP or a username)
+const RATE_LIMITS = {
+  login: { max: RATE_LIMIT_LOGIN, windowMinutes: 15 }, // per IP
+  loginUsername: { max: RATE_LIMIT_LOGIN_USERNAME, windowMinutes: 15 }, // per username, from any IP
+  selfCheckIn: { max: RATE_LIMIT_SELF_CHECK_IN, windowMinutes: 15 }, // per IP
+  kiosk: { max: RATE_LIMIT_KIOSK, windowMinutes: 15 }, // public calls of a registered kiosk, per kiosk
+  invitationCode: { max: RATE_LIMIT_INVITATION_CODE, windowMinutes: 15 }, // lookups and redemptions by code, per IP
+  errorReport: { max: RATE_LIMIT_ERROR_REPORT, windowMinutes: 15 }, // per IP
+  kioskKey: { max: RATE_LIMIT_KIOSK_KEY, windowMinutes: 15 }, // rejected kiosk keys, per IP
+};
+
+// Limits anonymous callers of these procedures hit per IP, before their body is read
+const PUBLIC_RATE_LIMITS = {
+  'appUsers.login': 'login',
+  'selfCheckIn.submit': 'selfCheckIn',
+  'invitations.byCode': 'invitationCode',
+  'invitations.redeem': 'invitationCode',
+  'errorLog.create': 'errorReport',
+};
+
+const RATE_LIMIT_SWEEP_MS = 5 * 60000;
+
+// Counter store interface: hit(key, windowMs) -> { count, resetAt }, reset(key), sweep()
+// (drops expired counters). The memory store is per instance; the db store is shared.
+function createMemoryRateLimitStore() {
+  const buckets = new Map();
+
+  return {
+    async hit(key, windowMs) {
+      const now = Date.now();
+      let bucket = buckets.get(key);
+      if (!bucket || bucket.resetAt <= now) {
+        bucket = { count: 0, resetAt: now + windowMs };
+        buckets.set(key, bucket);
+      }
+      bucket.count++;
+      return { count: bucket.count, resetAt: new Date(bucket.resetAt) };
+    },
+    async reset(key) {
+      buckets.delete(key);
+    },
+    async sweep() {
+      const now = Date.now();
+      for (const [key, bucket] of buckets) {
+        if (bucket.resetAt <= now) buckets.delete(key);
+      }
+    },
+  };
+}
+
+function createDatabaseRateLimitStore() {
+  return {
+    async hit(key, windowMs) {
+      const result = await pool.query(`
+        INSERT INTO rate_limit_buckets (key, count, reset_at) VALUES ($1, 1, NOW() + $2::int * INTERVAL '1 millisecond')
+        ON CONFLICT (key) DO UPDATE SET
+          count = CASE WHEN rate_limit_buckets.reset_at <= NOW() THEN 1 ELSE rate_limit_buckets.count + 1 END,
+          reset_at = CASE WHEN rate_limit_buckets.reset_at <= NOW() THEN EXCLUDED.reset_at ELSE rate_limit_buckets.reset_at END
+        RETURNING count, reset_at
+      `, [key, windowMs]);
+      return { count: result.rows[0].count, resetAt: result.rows[0].reset_at };
+    },
+    async reset(key) {
+      await pool.query('DELETE FROM rate_limit_buckets WHERE key = $1', [key]);
+    },
+    async sweep() {
+      await pool.query('DELETE FROM rate_limit_buckets WHERE reset_at <= NOW()');
+    },
+  };
+}
+
+const rateLimitStore = RATE_LIMIT_STORE === 'db'
+  ? createDatabaseRateLimitStore()
+  : createMemoryRateLimitStore();
+
+// Count one call against a limit; over it, TOO_MANY_REQUESTS with the seconds until the window
+// ends. Only the first blocked call of a window is audited, so a flood adds a single entry.
+async function enforceRateLimit(name, subject, userId = 'anonymous') {
+  const { max, windowMinutes } = RATE_LIMITS[name];
+  const { count, resetAt } = await rateLimitStore.hit(`${name}:${subject}`, windowMinutes * 60000);
+  if (count <= max) return;
+
+  if (count === max + 1) {
+    await writeAuditLog({
+      userId,
+      action: 'RATE_LIMITED',
+      details: `Rate limit ${name} (${max} per ${windowMinutes} min) reached by ${subject}`,
+    });
+  }
+  throw new TRPCError('TOO_MANY_REQUESTS', 'มีการเรียกใช้งานบ่อยเกินไป กรุณาลองใหม่ภายหลัง', {
+    retryAfter: Math.max(1, Math.ceil((resetAt - Date.now()) / 1000)),
+  });
+}
+
+// PUBLIC_RATE_LIMITS for anonymous callers, once per limit even when a batch names it twice. A
+// registered kiosk serves a whole lobby from one IP, so its calls count against the kiosk limit
+// of that kiosk instead.
+async function limitPublicCalls(req, res, next) {
+  if (req.user) return next();
+
+  const limits = new Set(req.path.slice(1).split(',').map(path => PUBLIC_RATE_LIMITS[path]).filter(Boolean));
+  try {
+    if (req.kiosk && limits.size > 0) {
+      await enforceRateLimit('kiosk', `kiosk ${req.kiosk.id}`);
+    } else {
+      for (const name of limits) {
+        await enforceRateLimit(name, req.ip);
+      }
+    }
+    next();
+  } catch (error) {
+    if (error instanceof TRPCError) return sendTrpcError(res, error);
+    console.error('[RateLimit] Error:', error);
+    res.status(500).json(trpcError('เกิดข้อผิดพลาด', 'INTERNAL_SERVER_ERROR'));
+  }
+}
+
+function startRateLimitJob() {
+  setInterval(async () => {
+    try {
+      await rateLimitStore.sweep();
+    } catch (error) {
+      console.error('[RateLimit] Sweep failed:', error);
+    }
+  }, RATE_LIMIT_SWEEP_MS).unref();
+}
+
+// ============================================
+// Visitor QR Codes
+// ============================================
+
+// Payload: "VMS2:<recordId>:<expiry ms>:<HMAC-SHA256 base64url>"
+const QR_PREFIX = 'VMS2';
+
+// prefix lets other signed codes (e.g. invitations) share the key without being interchangeable
+function signQr(recordId, expiryMs, prefix = QR_PREFIX) {
+  return crypto.createHmac('sha256', qrSecret)
+    .update(`${prefix}:${recordId}:${expiryMs}`)
+    .digest('base64url');
+}
+
+function createQrCode(recordId, expiry) {
+  const expiryMs = expiry.getTime();
+  return `${QR_PREFIX}:${recordId}:${expiryMs}:${signQr(recordId, expiryMs)}`;
+}
+
+function parseQrCode(qrCode) {
+  if (typeof qrCode !== 'string') return null;
+  const parts = qrCode.trim().split(':');
+  if (parts.length < 4 || parts[0] !== QR_PREFIX) return null;
+
+  // Record IDs may themselves contain ':'
+  const signature = parts.pop();
+  const expiryMs = Number(parts.pop());
+  const recordId = parts.slice(1).join(':');
+  if (!recordId || !Number.isFinite(expiryMs)) return null;
+
+  return { recordId, expiryMs, signature };
+}
+
+const QR_REJECT_MESSAGES = {
+  INVALID_FORMAT: 'รูปแบบ QR Code ไม่ถูกต้อง',
+  INVALID_SIGNATURE: 'QR Code ไม่ถูกต้องหรือถูกปลอมแปลง',
+  NOT_FOUND: 'ไม่พบข้อมูลผู้มาติดต่อ',
+  REVOKED: 'QR Code นี้ถูกยกเลิกแล้ว',
+  EXPIRED: 'QR Code หมดอายุแล้ว',
+};
+
+// Validate a scanned code against the records of one property. Returns { valid, reason, record };
+// rejections are audit logged.
+async function verifyQrCode(qrCode, userId, propertyId) {
+  let reason = null;
+  let record = null;
+  const parsed = parseQrCode(qrCode);
+
+  if (!parsed) {
+    reason = 'INVALID_FORMAT';
+  } else {
+    const expected = Buffer.from(signQr(parsed.recordId, parsed.expiryMs));
+    const given = Buffer.from(parsed.signature);
+    if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+      reason = 'INVALID_SIGNATURE';
+    }
+  }
+
+  if (!reason) {
+    const result = await pool.query(
+      'SELECT * FROM visitor_records WHERE record_id = $1 AND property_id = $2',
+      [parsed.recordId, propertyId]
+    );
+    record = result.rows[0] || null;
+
+    if (!record) {
+      reason = 'NOT_FOUND';
+    } else if (record.qr_code !== qrCode.trim() || record.qr_revoked_at || record.status !== 'IN') {
+      reason = 'REVOKED';
+    } else if (parsed.expiryMs < Date.now() || (record.qr_expiry && record.qr_expiry.getTime() < Date.now())) {
+      reason = 'EXPIRED';
+    }
+  }
+
+  if (reason) {
+    await writeAuditLog({
+      recordId: parsed?.recordId || null,
+      userId,
+      action: 'QR_REJECTED',
+      details: `QR code rejected: ${reason}`,
+    });
+  }
+
+  return { valid: !reason, reason, record };
+}
+
+// ============================================
+// Field Encryption
+// ============================================
+
+// ID numbers and phones are stored AES-256-GCM encrypted as "enc:<key id>:<iv>:<tag>:<data>"
+// (base64url), with the column name as associated data so a value cannot be moved to another
+// column. FIELD_ENCRYPTION_KEYS lists "<id>:<64 hex chars>" keys, newest first: the first one
+// encrypts, all of them decrypt. Exact lookups use blind indexes, an HMAC (BLIND_INDEX_KEY) of
+// the value normalized as the watchlist normalizes it.
+const ENCRYPTED_PREFIX = 'enc:';
+const FIELD_KEY_PATTERN = /^([\w-]{1,16}):([0-9a-fA-F]{64})$/;
+const GENERATED_FIELD_KEY_ID = 'db';
+const FIELD_ENCRYPTION_LOCK_ID = 72010004; // pg advisory lock so one instance re-encrypts at a time
+const FIELD_ENCRYPTION_BATCH_SIZE = 500;
+
+const ENCRYPTED_FIELDS = ['id_number', 'phone'];
+// Tables holding ENCRYPTED_FIELDS; indexed ones have a <field>_bidx column per field
+const ENCRYPTED_TABLES = {
+  visitor_records: { indexed: true },
+  invitations: { indexed: true },
+  data_subject_requests: { indexed: false },
+  visitor_profiles: { indexed: true },
+};
+// Attachment kinds whose blobs (and thumbnails) are encrypted as well
+const ENCRYPTED_ATTACHMENT_KINDS = ['id_card_photo'];
+
+// key id -> 32-byte key, in FIELD_ENCRYPTION_KEYS order
+const fieldKeys = new Map();
+for (const entry of (process.env.FIELD_ENCRYPTION_KEYS || '').split(',').map(e => e.trim()).filter(Boolean)) {
+  const match = entry.match(FIELD_KEY_PATTERN);
+  if (!match) {
+    throw new Error('FIELD_ENCRYPTION_KEYS must be a comma-separated list of <id>:<64 hex characters>');
+  }
+  fieldKeys.set(match[1], Buffer.from(match[2], 'hex'));
+}
+if (process.env.BLIND_INDEX_KEY && !/^[0-9a-fA-F]{64}$/.test(process.env.BLIND_INDEX_KEY)) {
+  throw new Error('BLIND_INDEX_KEY must be 64 hex characters');
+}
+let blindIndexKey = process.env.BLIND_INDEX_KEY ? Buffer.from(process.env.BLIND_INDEX_KEY, 'hex') : null;
+// A generated key sits in the same database as the values it protects
+if (process.env.NODE_ENV === 'production' && (fieldKeys.size === 0 || !blindIndexKey)) {
+  throw new Error('FIELD_ENCRYPTION_KEYS and BLIND_INDEX_KEY must be set when NODE_ENV=production');
+}
+
+// Without FIELD_ENCRYPTION_KEYS / BLIND_INDEX_KEY, generated keys kept in app_settings are used.
+// That protects nothing against a stolen database, so production refuses to start without them.
+// A generated encryption key stays readable after keys are configured, so its values can be
+// re-encrypted.
+async function loadFieldKeys(db) {
+  const generate = [];
+  if (fieldKeys.size === 0) generate.push('fieldEncryptionKey');
+  if (!blindIndexKey) generate.push('blindIndexKey');
+  for (const key of generate) {
+    await db.query(
+      'INSERT INTO app_settings (key, value) VALUES ($1, $2) ON CONFLICT (key) WHERE property_id IS NULL DO NOTHING',
+      [key, crypto.randomBytes(32).toString('hex')]
+    );
+  }
+
+  const stored = await db.query(
+    "SELECT key, value FROM app_settings WHERE property_id IS NULL AND key IN ('fieldEncryptionKey', 'blindIndexKey')"
+  );
+  for (const row of stored.rows) {
+    if (row.key === 'fieldEncryptionKey' && !fieldKeys.has(GENERATED_FIELD_KEY_ID)) {
+      fieldKeys.set(GENERATED_FIELD_KEY_ID, Buffer.from(row.value, 'hex'));
+    } else if (row.key === 'blindIndexKey' && !blindIndexKey) {
+      blindIndexKey = Buffer.from(row.value, 'hex');
+    }
+  }
+  if (generate.length > 0) {
+    console.log(`[Database] ${generate.join(' / ')} not configured, using generated key (FIELD_ENCRYPTION_KEYS and BLIND_INDEX_KEY are required in production)`);
+  }
+}
+
+function currentFieldKeyId() {
+  return fieldKeys.keys().next().value;
+}
+
+// Identifies the blind index key without revealing it; indexes are rebuilt when it changes
+function blindIndexKeyId() {
+  return crypto.createHash('sha256').update(blindIndexKey).digest('hex').slice(0, 16);
+}
+
+function encryptField(field, value) {
+  if (!value) return null;
+  const keyId = currentFieldKeyId();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', fieldKeys.get(keyId), iv);
+  cipher.setAAD(Buffer.from(field));
+  const data = Buffer.concat([cipher.update(String(value), 'utf8'), cipher.final()]);
+  return [ENCRYPTED_PREFIX + keyId, iv, cipher.getAuthTag(), data]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join(':');
+}
+
+// Values written before encryption was introduced (or masked ones) are returned as they are
+function decryptField(field, value) {
+  if (typeof value !== 'string' || !value.startsWith(ENCRYPTED_PREFIX)) return value;
+  const [, keyId, iv, tag, data] = value.split(':');
+  const key = fieldKeys.get(keyId);
+  if (!key) {
+    throw new Error(`Field encryption key "${keyId}" is not configured`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(field));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+// Decrypt the ENCRYPTED_FIELDS of a row in place
+function decryptRow(row) {
+  for (const field of ENCRYPTED_FIELDS) {
+    if (field in row) row[field] = decryptField(field, row[field]);
+  }
+  return row;
+}
+
+// How lists show an encrypted field: the last 4 characters only
+function maskedField(field, value) {
+  return maskIdNumber(decryptField(field, value));
+}
+
+// null when the value has nothing to compare (no letters or digits)
+function blindIndex(field, value) {
+  const normalized = normalizeWatchlistValue(field, value);
+  if (!normalized) return null;
+  return crypto.createHmac('sha256', blindIndexKey).update(`${field}:${normalized}`).digest('hex');
+}
+
+// Blobs: iv (12 bytes) + tag (16 bytes) + data, under the key recorded in attachments.key_id
+function encryptBlob(buffer, keyId) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', fieldKeys.get(keyId), iv);
+  const data = Buffer.concat([cipher.update(buffer), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), data]);
+}
+
+function decryptBlob(buffer, keyId) {
+  const key = fieldKeys.get(keyId);
+  if (!key) {
+    throw new Error(`Field encryption key "${keyId}" is not configured`);
+  }
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, buffer.subarray(0, 12));
+  decipher.setAuthTag(buffer.subarray(12, 28));
+  return Buffer.concat([decipher.update(buffer.subarray(28)), decipher.final()]);
+}
+
+// Contents of a stored blob (null if it is gone), decrypted when keyId is given
+async function readBlob(storageKey, keyId) {
+  const stream = await attachmentStorage.get(storageKey);
+  if (!stream) return null;
+  const buffer = Buffer.concat(await stream.toArray());
+  return keyId ? decryptBlob(buffer, keyId) : buffer;
+}
+
+// Bring every stored value under the current key: plaintext left from before encryption and
+// values of retired keys are (re-)encrypted, blind indexes rebuilt when BLIND_INDEX_KEY changed,
+// and watchlist rules on those fields and the blobs of ENCRYPTED_ATTACHMENT_KINDS likewise. With
+// decrypt: true everything goes back to plaintext instead (before rolling back the field
+// encryption migrations).
+async function rewriteEncryptedFields({ decrypt = false } = {}) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [FIELD_ENCRYPTION_LOCK_ID]);
+
+    const keyId = currentFieldKeyId();
+    const marker = await client.query("SELECT value FROM app_settings WHERE key = 'blindIndexKeyId' AND property_id IS NULL");
+    const reindex = !decrypt && marker.rows[0]?.value !== blindIndexKeyId();
+    const prefix = decrypt ? ENCRYPTED_PREFIX : `${ENCRYPTED_PREFIX}${keyId}:`;
+    let rewritten = 0;
+
+    for (const [table, { indexed }] of Object.entries(ENCRYPTED_TABLES)) {
+      // Tables of later migrations may be rolled back already when decrypting
+      const exists = await client.query('SELECT to_regclass($1) AS name', [table]);
+      if (!exists.rows[0].name) continue;
+
+      const pending = ENCRYPTED_FIELDS.map(field => (decrypt
+        ? `starts_with(${field}, $1)`
+        : `(${field} IS NOT NULL AND NOT starts_with(${field}, $1))`)).join(' OR ');
+      let lastId = 0;
+      for (;;) {
+        const batch = await client.query(`
+          SELECT id, ${ENCRYPTED_FIELDS.join(', ')} FROM ${table}
+          WHERE id > $2 AND ($4 OR ${pending})
+          ORDER BY id
+          LIMIT $3
+        `, [prefix, lastId, FIELD_ENCRYPTION_BATCH_SIZE, reindex && indexed]);
+        if (batch.rows.length === 0) break;
+
+        for (const row of batch.rows) {
+          const updates = [];
+          const values = [row.id];
+          for (const field of ENCRYPTED_FIELDS) {
+            const plain = decryptField(field, row[field]);
+            values.push(decrypt ? plain : encryptField(field, plain));
+            updates.push(`${field} = $${values.length}`);
+            if (indexed) {
+              values.push(decrypt ? null : blindIndex(field, plain));
+              updates.push(`${field}_bidx = $${values.length}`);
+            }
+          }
+          await client.query(`UPDATE ${table} SET ${updates.join(', ')} WHERE id = $1`, values);
+        }
+        rewritten += batch.rows.length;
+        lastId = batch.rows[batch.rows.length - 1].id;
+      }
+    }
+
+    // Watchlist rules on ENCRYPTED_FIELDS hold the value in `value`, its field being the match
+    // type; decrypted, they are matched on normalized_value again
+    let lastId = 0;
+    for (;;) {
+      const batch = await client.query(`
+        SELECT id, match_type, value FROM watchlist_entries
+        WHERE id > $2 AND match_type = ANY($4) AND ($5 OR ${decrypt ? '' : 'NOT '}starts_with(value, $1))
+        ORDER BY id
+        LIMIT $3
+      `, [prefix, lastId, FIELD_ENCRYPTION_BATCH_SIZE, ENCRYPTED_FIELDS, reindex]);
+      if (batch.rows.length === 0) break;
+
+      for (const rule of batch.rows) {
+        const plain = decryptField(rule.match_type, rule.value);
+        await client.query(
+          'UPDATE watchlist_entries SET value = $2, normalized_value = $3, value_bidx = $4 WHERE id = $1',
+          decrypt
+            ? [rule.id, plain, normalizeWatchlistValue(rule.match_type, plain), null]
+            : [rule.id, encryptField(rule.match_type, plain), null, blindIndex(rule.match_type, plain)]
+        );
+      }
+      rewritten += batch.rows.length;
+      lastId = batch.rows[batch.rows.length - 1].id;
+    }
+
+    lastId = 0;
+    for (;;) {
+      const batch = await client.query(`
+        SELECT id, storage_key, thumbnail_key, key_id FROM attachments
+        WHERE id > $1 AND ${decrypt ? 'key_id IS NOT NULL' : 'kind = ANY($3) AND key_id IS DISTINCT FROM $4'}
+        ORDER BY id
+        LIMIT $2
+      `, [lastId, FIELD_ENCRYPTION_BATCH_SIZE, ...(decrypt ? [] : [ENCRYPTED_ATTACHMENT_KINDS, keyId])]);
+      if (batch.rows.length === 0) break;
+
+      for (const attachment of batch.rows) {
+        for (const storageKey of [attachment.storage_key, attachment.thumbnail_key].filter(Boolean)) {
+          const buffer = await readBlob(storageKey, attachment.key_id);
+          if (buffer) await attachmentStorage.put(storageKey, decrypt ? buffer : encryptBlob(buffer, keyId));
+        }
+        await client.query('UPDATE attachments SET key_id = $2 WHERE id = $1', [attachment.id, decrypt ? null : keyId]);
+      }
+      rewritten += batch.rows.length;
+      lastId = batch.rows[batch.rows.length - 1].id;
+    }
+
+    if (decrypt) {
+      await client.query("DELETE FROM app_settings WHERE key = 'blindIndexKeyId' AND property_id IS NULL");
+    } else if (reindex) {
+      await client.query(`
+        INSERT INTO app_settings (key, value) VALUES ('blindIndexKeyId', $1)
+        ON CONFLICT (key) WHERE property_id IS NULL DO UPDATE SET value = $1, updated_at = NOW()
+      `, [blindIndexKeyId()]);
+    }
+    if (rewritten > 0) {
+      console.log(`[Encryption] ${rewritten} row(s) ${decrypt ? 'decrypted' : `brought under key "${keyId}"`}`);
+    }
+    return rewritten;
+  } finally {
+    await client.query('SELECT pg_advisory_unlock($1)', [FIELD_ENCRYPTION_LOCK_ID]).catch(() => {});
+    client.release();
+  }
+}
+
+// ============================================
+// Attachments (visitor photos & signatures)
+// ============================================
+
+// Input/column name for each attachment kind
+const ATTACHMENT_KINDS = {
+  photo: 'photo_uri',
+  visitor_card_photo: 'visitor_card_photo_uri',
+  id_card_photo: 'id_card_photo_uri',
+  consent_signature: 'consent_signature',
+};
+
+const ATTACHMENT_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const THUMBNAIL_SIZE = 320;
+// A few MB of compressed image can declare a huge canvas; decoding it would take ~4 bytes a pixel
+const THUMBNAIL_MAX_PIXELS = 40 * 1000 * 1000;
+
+class AttachmentError extends Error {}
+
+// Blob storage interface: put(key, buffer), get(key) -> Readable | null, remove(key)
+function createDatabaseStorage() {
+  return {
+    async put(key, data) {
+      await pool.query(
+        'INSERT INTO attachment_blobs (key, data) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET data = $2',
+        [key, data]
+      );
+    },
+    async get(key) {
+      const result = await pool.query('SELECT data FROM attachment_blobs WHERE key = $1', [key]);
+      return result.rows.length > 0 ? Readable.from([result.rows[0].data]) : null;
+    },
+    async remove(key) {
+      await pool.query('DELETE FROM attachment_blobs WHERE key = $1', [key]);
+    },
+  };
+}
+
+function createFilesystemStorage(dir) {
+  // Keys are generated by us, but never let one escape the directory
+  const resolve = key => path.join(dir, path.basename(key));
+
+  return {
+    async put(key, data) {
+      await fs.promises.mkdir(dir, { recursive: true });
+      await fs.promises.writeFile(resolve(key), data);
+    },
+    async get(key) {
+      try {
+        await fs.promises.access(resolve(key));
+      } catch {
+        return null;
+      }
+      return fs.createReadStream(resolve(key));
+    },
+    async remove(key) {
+      await fs.promises.rm(resolve(key), { force: true });
+    },
+  };
+}
+
+const attachmentStorage = ATTACHMENT_STORAGE === 'fs'
+  ? createFilesystemStorage(ATTACHMENT_DIR)
+  : createDatabaseStorage();
+
+// Content type from the file's magic bytes; the client's declared type is not trusted
+function sniffImageType(buffer) {
+  if (buffer.length > 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return 'image/jpeg';
+  }
+  if (buffer.length > 8 && buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+    return 'image/png';
+  }
+  if (buffer.length > 12 && buffer.toString('ascii', 0, 4) === 'RIFF' && buffer.toString('ascii', 8, 12) === 'WEBP') {
+    return 'image/webp';
+  }
+  return null;
+}
+
+// Accepts "data:image/jpeg;base64,..." or bare base64. Returns null for anything else
+// (e.g. a device-local file:// path), which cannot be turned into an attachment.
+function decodeImageData(value) {
+  if (typeof value !== 'string' || value.length === 0) return null;
+
+  const match = value.match(/^data:([\w.+-]+\/[\w.+-]+)?(;[^,]*)?;base64,/);
+  const declaredType = match?.[1] || null;
+  const base64 = match ? value.slice(match[0].length) : value;
+  if (!/^[A-Za-z0-9+/_-]+={0,2}$/.test(base64.replace(/\s/g, ''))) return null;
+
+  return { buffer: Buffer.from(base64, 'base64'), declaredType };
+}
+
+// Validate one upload. Throws AttachmentError with a user-facing message.
+function prepareAttachment(kind, value) {
+  const decoded = decodeImageData(value);
+  if (!decoded || decoded.buffer.length === 0) {
+    throw new AttachmentError('ไฟล์รูปภาพไม่ถูกต้อง');
+  }
+  if (decoded.buffer.length > ATTACHMENT_MAX_BYTES) {
+    throw new AttachmentError(`ไฟล์รูปภาพต้องมีขนาดไม่เกิน ${ATTACHMENT_MAX_BYTES / 1048576} MB`);
+  }
+
+  const contentType = sniffImageType(decoded.buffer);
+  if (!contentType || (decoded.declaredType && decoded.declaredType !== contentType)) {
+    throw new AttachmentError('รองรับเฉพาะไฟล์ JPEG, PNG หรือ WebP');
+  }
+
+  return { kind, buffer: decoded.buffer, contentType };
+}
+
+// Collect the uploads present in a check-in input, keyed by attachment kind
+function prepareAttachments(uploads) {
+  return Object.entries(uploads)
+    .filter(([, value]) => value)
+    .map(([kind, value]) => prepareAttachment(kind, value));
+}
+
+// Width and height from a PNG or JPEG header, without decoding the image; null if unreadable
+function imageDimensions(buffer) {
+  if (sniffImageType(buffer) === 'image/png' && buffer.length >= 24) {
+    return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+  }
+  if (sniffImageType(buffer) !== 'image/jpeg') return null;
+
+  // Walk the segments up to the frame header (SOF0-SOF15 except DHT, JPG and DAC)
+  let offset = 2;
+  while (offset + 9 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset += 1;
+    } else if (marker >= 0xd0 && marker <= 0xd9) {
+      offset += 2;
+    } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    } else {
+      offset += 2 + buffer.readUInt16BE(offset + 2);
+    }
+  }
+  return null;
+}
+
+async function createThumbnail(buffer) {
+  const size = imageDimensions(buffer);
+  if (!size || size.width * size.height > THUMBNAIL_MAX_PIXELS) {
+    // WebP (Jimp cannot decode it), an unreadable header or too many pixels to decode safely
+    if (size) console.warn(`[Attachments] No thumbnail for a ${size.width}x${size.height} image`);
+    return null;
+  }
+
+  try {
+    const image = await Jimp.read(buffer);
+    image.scaleToFit({ w: THUMBNAIL_SIZE, h: THUMBNAIL_SIZE });
+    return await image.getBuffer('image/jpeg', { quality: 70 });
+  } catch (error) {
+    // Not fatal: the original is still stored
+    console.warn('[Attachments] Thumbnail failed:', error.message);
+    return null;
+  }
+}
+
+// Write the blobs (and thumbnails) of prepared uploads. Returns them for insertAttachments; a
+// check-in writes them before its transaction, so a storage failure fails the whole check-in.
+async function putAttachmentBlobs(prepared) {
+  const stored = [];
+  try {
+    for (const item of prepared) {
+      const attachmentId = crypto.randomBytes(16).toString('hex');
+      const thumbnail = await createThumbnail(item.buffer);
+      const keyId = ENCRYPTED_ATTACHMENT_KINDS.includes(item.kind) ? currentFieldKeyId() : null;
+      const encode = buffer => (keyId ? encryptBlob(buffer, keyId) : buffer);
+
+      // Tracked before writing, so a half-written upload is removed too (removing a missing key is a no-op)
+      const entry = { ...item, attachmentId, thumbnailKey: thumbnail ? `${attachmentId}-thumb` : null, keyId };
+      stored.push(entry);
+      await attachmentStorage.put(attachmentId, encode(item.buffer));
+      if (thumbnail) {
+        await attachmentStorage.put(entry.thumbnailKey, encode(thumbnail));
+      }
+    }
+  } catch (error) {
+    await removeAttachmentBlobs(stored);
+    throw error;
+  }
+  return stored;
+}
+
+// Undo putAttachmentBlobs when the record they were for was not saved. Failures are only logged:
+// the caller is already reporting the original error.
+async function removeAttachmentBlobs(stored) {
+  for (const item of stored) {
+    try {
+      await attachmentStorage.remove(item.attachmentId);
+      if (item.thumbnailKey) await attachmentStorage.remove(item.thumbnailKey);
+    } catch (error) {
+      console.error(`[Attachments] Failed to remove unused blob ${item.attachmentId}:`, error.message);
+    }
+  }
+}
+
+// Attachment rows for blobs written by putAttachmentBlobs
+async function insertAttachments(db, recordId, stored) {
+  for (const item of stored) {
+    await db.query(`
+      INSERT INTO attachments (
+        attachment_id, record_id, kind, content_type, size_bytes, storage_key, thumbnail_key, sha256, key_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      item.attachmentId, recordId, item.kind, item.contentType, item.buffer.length, item.attachmentId,
+      item.thumbnailKey,
+      crypto.createHash('sha256').update(item.buffer).digest('hex'),
+      item.keyId,
+    ]);
+  }
+}
+
+// Store prepared uploads for an existing record, replacing any existing attachment of the same kind
+async function storeAttachments(recordId, prepared) {
+  const stored = await putAttachmentBlobs(prepared);
+  for (const item of stored) {
+    await deleteAttachments([recordId], item.kind);
+    await insertAttachments(pool, recordId, [item]);
+  }
+}
+
+// Remove attachments (metadata and blobs) for the given records, optionally of one kind only
+async function deleteAttachments(recordIds, kind = null) {
+  if (recordIds.length === 0) return;
+
+  const result = await pool.query(
+    'DELETE FROM attachments WHERE record_id = ANY($1) AND ($2::text IS NULL OR kind = $2) RETURNING storage_key, thumbnail_key',
+    [recordIds, kind]
+  );
+  for (const row of result.rows) {
+    await attachmentStorage.remove(row.storage_key);
+    if (row.thumbnail_key) await attachmentStorage.remove(row.thumbnail_key);
+  }
+}
+
+// deleteAttachments for records whose change is already committed: the change stands either way,
+// so a storage failure is logged rather than reported to the caller as a failed request
+async function deleteAttachmentsAfterCommit(recordIds) {
+  try {
+    await deleteAttachments(recordIds);
+  } catch (error) {
+    console.error(`[Attachments] Failed to delete attachments of ${recordIds.length} record(s):`, error.message);
+  }
+}
+
+function attachmentUrl(attachmentId, thumbnail = false) {
+  return `/api/attachments/${attachmentId}${thumbnail ? '?size=thumbnail' : ''}`;
+}
+
+async function getAttachments(recordId) {
+  const result = await pool.query(
+    'SELECT * FROM attachments WHERE record_id = $1 ORDER BY created_at',
+    [recordId]
+  );
+  return result.rows.map(a => ({
+    id: a.attachment_id,
+    kind: a.kind,
+    contentType: a.content_type,
+    size: a.size_bytes,
+    url: attachmentUrl(a.attachment_id),
+    thumbnailUrl: a.thumbnail_key ? attachmentUrl(a.attachment_id, true) : null,
+    createdAt: a.created_at?.toISOString(),
+  }));
+}
+
+// SQL expression: record has an attachment of this kind (or a not yet migrated inline value)
+function hasAttachmentSql(kind, alias = 'visitor_records') {
+  return `(${alias}.${ATTACHMENT_KINDS[kind]} IS NOT NULL OR EXISTS (
+    SELECT 1 FROM attachments a WHERE a.record_id = ${alias}.record_id AND a.kind = '${kind}'
+  ))`;
+}
+
+app.use('/api/attachments', authenticate);
+
+// Stream an attachment (?size=thumbnail for the thumbnail)
+app.get('/api/attachments/:attachmentId', requireAccess('user'), async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT a.* FROM attachments a
+      JOIN visitor_records v ON v.record_id = a.record_id
+      WHERE a.attachment_id = $1 AND v.property_id = $2
+    `, [req.params.attachmentId, req.property.id]);
+    const attachment = result.rows[0];
+    const thumbnail = req.query.size === 'thumbnail';
+    const key = thumbnail ? attachment?.thumbnail_key : attachment?.storage_key;
+
+    const stream = key ? await attachmentStorage.get(key) : null;
+    if (!stream) {
+      return res.status(404).json({ error: 'Attachment not found' });
+    }
+
+    res.set({
+      'Content-Type': thumbnail ? 'image/jpeg' : attachment.content_type,
+      'Cache-Control': 'private, max-age=86400',
+      'X-Content-Type-Options': 'nosniff',
+    });
+    if (!thumbnail) {
+      res.set({ 'Content-Length': attachment.size_bytes, ETag: `"${attachment.sha256}"` });
+    }
+
+    // Encrypted blobs are decrypted in memory (they are at most ATTACHMENT_MAX_MB)
+    if (attachment.key_id) {
+      return res.send(decryptBlob(Buffer.concat(await stream.toArray()), attachment.key_id));
+    }
+
+    stream.on('error', error => {
+      console.error('[attachments.get] Stream error:', error);
+      res.destroy(error);
+    });
+    stream.pipe(res);
+  } catch (error) {
+    console.error('[attachments.get] Error:', error);
+    captureServerError('attachments.get', error, req, req.params);
+    res.status(500).json({ error: 'เกิดข้อผิดพลาด' });
+  }
+});
+
+// One-off: move base64 images still stored inline in visitor_records into the attachment store.
+// Values that are not decodable images (e.g. device file:// paths) are left untouched and reported.
+async function migrateInlineAttachments() {
+  const columns = Object.values(ATTACHMENT_KINDS);
+  let lastId = 0;
+  let moved = 0;
+  let skipped = 0;
+
+  for (;;) {
+    const batch = await pool.query(`
+      SELECT id, record_id, ${columns.join(', ')} FROM visitor_records
+      WHERE id > $1 AND (${columns.map(c => `${c} IS NOT NULL`).join(' OR ')})
+      ORDER BY id LIMIT 20
+    `, [lastId]);
+    if (batch.rows.length === 0) break;
+
+    for (const row of batch.rows) {
+      lastId = row.id;
+      for (const [kind, column] of Object.entries(ATTACHMENT_KINDS)) {
+        if (!row[column]) continue;
+
+        let prepared;
+        try {
+          prepared = prepareAttachment(kind, row[column]);
+        } catch (error) {
+          skipped++;
+          console.warn(`[Attachments] Skipped ${row.record_id} ${kind}: ${error.message}`);
+          continue;
+        }
+
+        await storeAttachments(row.record_id, [prepared]);
+        await pool.query(`UPDATE visitor_records SET ${column} = NULL WHERE id = $1`, [row.id]);
+        moved++;
+      }
+    }
+  }
+
+  console.log(`[Attachments] Migration finished: ${moved} moved, ${skipped} skipped`);
+  return { moved, skipped };
+}
+
+// ============================================
+// Properties (hotels of the group)
+// ============================================
+
+// Codes are what kiosks send in X-Property, so they are URL and header safe
+const PROPERTY_CODE_PATTERN = /^[a-z0-9][a-z0-9-]*$/;
+
+function formatProperty(p) {
+  return { id: p.id, code: p.code, name: p.name, timezone: p.timezone };
+}
+
+// Active property by code, or the first active one when no code is given
+async function findProperty(code) {
+  const result = code
+    ? await pool.query('SELECT * FROM properties WHERE code = $1 AND is_active = true', [code])
+    : await pool.query('SELECT * FROM properties WHERE is_active = true ORDER BY id LIMIT 1');
+  return result.rows[0] ? formatProperty(result.rows[0]) : null;
+}
+
+// Active properties a user may work in: their assignments, or all of them for a group admin
+async function userProperties(userId, role) {
+  const result = await pool.query(`
+    SELECT * FROM properties p
+    WHERE is_active = true AND ($2 = 'group_admin' OR EXISTS (
+      SELECT 1 FROM user_properties up WHERE up.user_id = $1 AND up.property_id = p.id
+    ))
+    ORDER BY id
+  `, [userId, role]);
+  return result.rows.map(formatProperty);
+}
+
+function assertTimezone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+  } catch {
+    throw new TRPCError('BAD_REQUEST', 'เขตเวลาไม่ถูกต้อง', { fieldErrors: { timezone: 'ต้องเป็นชื่อเขตเวลา IANA เช่น Asia/Bangkok' } });
+  }
+}
+
+// Reports cover the caller's property unless a group admin asks for another one or the group
+const REPORT_SCOPE_SCHEMA = {
+  propertyId: { type: 'integer', min: 1 },
+  allProperties: { type: 'boolean' },
+};
+
+// Property id a report covers, or null for every property
+function reportPropertyId(ctx, input) {
+  if (!input.allProperties && (input.propertyId == null || input.propertyId === ctx.property.id)) {
+    return ctx.property.id;
+  }
+  if (ctx.user.role !== 'group_admin') {
+    throw new TRPCError('FORBIDDEN', 'เฉพาะผู้ดูแลกลุ่มโรงแรมเท่านั้นที่ดูรายงานข้ามโรงแรมได้');
+  }
+  return input.allProperties ? null : input.propertyId;
+}
+
+// The properties a report covers (inactive ones included, their history still counts)
+async function reportProperties(ctx, input) {
+  const propertyId = reportPropertyId(ctx, input);
+  if (propertyId === ctx.property.id) return [ctx.property];
+
+  const result = await pool.query('SELECT * FROM properties WHERE $1::int IS NULL OR id = $1 ORDER BY id', [propertyId]);
+  if (result.rows.length === 0) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบโรงแรม');
+  }
+  return result.rows.map(formatProperty);
+}
+
+// Properties the caller can switch to; group admins also see inactive ones
+router.query('properties.list', 'session', async (input, ctx) => {
+  const result = await pool.query(`
+    SELECT * FROM properties p
+    WHERE $2 = 'group_admin' OR (is_active = true AND EXISTS (
+      SELECT 1 FROM user_properties up WHERE up.user_id = $1 AND up.property_id = p.id
+    ))
+    ORDER BY id
+  `, [ctx.user.id, ctx.user.role]);
+  return result.rows.map(p => ({ ...formatProperty(p), isActive: p.is_active, current: p.id === ctx.property.id }));
+});
+
+router.mutation('properties.create', 'group_admin', {
+  code: { type: 'string', required: true, max: 32, pattern: PROPERTY_CODE_PATTERN, patternMessage: 'ใช้ได้เฉพาะ a-z, 0-9 และ -' },
+  name: { type: 'string', required: true, max: 255 },
+  timezone: { type: 'string', max: 64 },
+}, async (input, ctx) => {
+  const { code, name, timezone = HOTEL_TIMEZONE } = input;
+  assertTimezone(timezone);
+
+  const existing = await pool.query('SELECT id FROM properties WHERE code = $1', [code]);
+  if (existing.rows.length > 0) {
+    throw new TRPCError('CONFLICT', 'รหัสโรงแรมนี้มีอยู่แล้ว', { fieldErrors: { code: 'รหัสโรงแรมนี้มีอยู่แล้ว' } });
+  }
+
+  const result = await pool.query(
+    'INSERT INTO properties (code, name, timezone) VALUES ($1, $2, $3) RETURNING *',
+    [code, name, timezone]
+  );
+  // Kiosks need a consent version in force from the start
+  const consent = await createConsentVersion(
+    result.rows[0].id, { textTh: DEFAULT_CONSENT_TEXTS.th, textEn: DEFAULT_CONSENT_TEXTS.en }, ctx.user.username
+  );
+  await publishConsentVersion(consent.id, ctx.user.username);
+
+  // Group-level entries belong to no property
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'PROPERTY_CREATED',
+    details: `Property ${code} (${name}) created`,
+    propertyId: null,
+  });
+
+  return { success: true, property: formatProperty(result.rows[0]) };
+});
+
+// The code is fixed once created: kiosks are configured with it
+router.mutation('properties.update', 'group_admin', {
+  id: { type: 'integer', required: true },
+  name: { type: 'string', max: 255 },
+  timezone: { type: 'string', max: 64 },
+  isActive: { type: 'boolean' },
+}, async (input, ctx) => {
+  const { id, name, timezone, isActive } = input;
+
+  const existing = await pool.query('SELECT * FROM properties WHERE id = $1', [id]);
+  if (existing.rows.length === 0) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบโรงแรม');
+  }
+  const before = existing.rows[0];
+
+  if (timezone != null) assertTimezone(timezone);
+  if (isActive === false && before.is_active) {
+    const active = await pool.query('SELECT COUNT(*)::int AS count FROM properties WHERE is_active = true');
+    if (active.rows[0].count <= 1) {
+      throw new TRPCError('CONFLICT', 'ต้องมีโรงแรมที่ใช้งานอยู่อย่างน้อยหนึ่งแห่ง');
+    }
+  }
+
+  const result = await pool.query(`
+    UPDATE properties SET
+      name = COALESCE($2, name),
+      timezone = COALESCE($3, timezone),
+      is_active = COALESCE($4, is_active),
+      updated_at = NOW()
+    WHERE id = $1
+    RETURNING *
+  `, [id, name ?? null, timezone ?? null, isActive ?? null]);
+
+  const changes = diffChanges(
+    { name: before.name, timezone: before.timezone, isActive: before.is_active },
+    { name, timezone, isActive }
+  );
+  if (changes) {
+    await writeAuditLog({
+      userId: ctx.user.username,
+      action: 'PROPERTY_UPDATED',
+      details: `Property ${before.code} updated (${Object.keys(changes).join(', ')})`,
+      changes,
+      propertyId: null,
+    });
+  }
+
+  return { success: true, property: formatProperty(result.rows[0]) };
+});
+
+// ============================================
+// App Users Routes
+// ============================================
+
+// Count a failed login; the LOGIN_LOCKOUT_THRESHOLD-th in a row locks the account for
+// LOGIN_LOCKOUT_MINUTES (and starts the count again for when the lock ends)
+async function recordFailedLogin(user) {
+  const result = await pool.query(`
+    UPDATE app_users SET
+      failed_login_count = CASE WHEN failed_login_count + 1 >= $2 THEN 0 ELSE failed_login_count + 1 END,
+      locked_until = CASE WHEN failed_login_count + 1 >= $2 THEN NOW() + $3::int * INTERVAL '1 minute' ELSE locked_until END
+    WHERE id = $1
+    RETURNING failed_login_count, locked_until
+  `, [user.id, LOGIN_LOCKOUT_THRESHOLD, LOGIN_LOCKOUT_MINUTES]);
+
+  const { failed_login_count: count, locked_until: lockedUntil } = result.rows[0];
+  if (count === 0) {
+    await writeAuditLog({
+      userId: user.username,
+      action: 'ACCOUNT_LOCKED',
+      details: `User ${user.username} locked until ${lockedUntil.toISOString()} after ${LOGIN_LOCKOUT_THRESHOLD} failed logins`,
+    });
+  }
+}
+
+function isLocked(user) {
+  return Boolean(user.locked_until && user.locked_until > new Date());
+}
+
+// Login, into the given property (code) or the user's first one. Attempts are rate limited per
+// IP (see limitPublicCalls) and per username; a locked account is refused without checking
+// the password.
+router.mutation('appUsers.login', 'public', {
+  username: { type: 'string', required: true, max: 64 },
+  password: { type: 'string', required: true, max: 128 },
+  property: { type: 'string', max: 32 },
+}, async (input) => {
+  const { username, password } = input;
+
+  await enforceRateLimit('loginUsername', username, username);
+
+  const result = await pool.query(
+    'SELECT * FROM app_users WHERE username = $1 AND is_active = true',
+    [username]
+  );
+
+  const user = result.rows[0];
+  if (user && isLocked(user)) {
+    await writeAuditLog({
+      userId: user.username,
+      action: 'LOGIN_BLOCKED',
+      details: `Login to locked account ${user.username} refused`,
+    });
+    throw new TRPCError('FORBIDDEN', 'บัญชีถูกล็อกชั่วคราวเนื่องจากใส่รหัสผ่านผิดหลายครั้ง กรุณาลองใหม่ภายหลังหรือติดต่อผู้ดูแลระบบ', {
+      lockedUntil: user.locked_until.toISOString(),
+    });
+  }
+
+  const check = await verifyPassword(password, user ? user.password_hash : await dummyPasswordHash);
+
+  if (!user || !check.valid) {
+    if (user) await recordFailedLogin(user);
+    throw new TRPCError('UNAUTHORIZED', 'ชื่อผู้ใช้หรือรหัสผ่านไม่ถูกต้อง');
+  }
+
+  if (user.failed_login_count > 0 || user.locked_until) {
+    await pool.query('UPDATE app_users SET failed_login_count = 0, locked_until = NULL WHERE id = $1', [user.id]);
+  }
+
+  // Upgrade legacy plaintext rows now that we know the password; weak ones must be changed
+  if (check.legacy) {
+    const weak = validatePassword(password, user.username) !== null;
+    user.must_change_password = user.must_change_password || weak;
+    await pool.query(
+      'UPDATE app_users SET password_hash = $1, must_change_password = $2, updated_at = NOW() WHERE id = $3',
+      [await hashPassword(password), user.must_change_password, user.id]
+    );
+  }
+
+  const properties = await userProperties(user.id, user.role);
+  const property = input.property ? properties.find(p => p.code === input.property) : properties[0];
+  if (!property) {
+    throw new TRPCError('FORBIDDEN', input.property ? 'ไม่มีสิทธิ์เข้าถึงโรงแรมนี้' : 'บัญชีนี้ยังไม่ได้กำหนดโรงแรม');
+  }
+
+  await pool.query('DELETE FROM app_sessions WHERE expires_at <= NOW()');
+  const session = await createSession(user.id, property.id);
+
+  // Log login
+  await writeAuditLog({
+    userId: user.username,
+    action: 'USER_LOGIN',
+    details: `User ${user.username} logged in`,
+    propertyId: property.id,
+  });
+
+  return {
+    success: true,
+    token: session.token,
+    expiresAt: session.expiresAt,
+    user: {
+      id: user.id,
+      username: user.username,
+      name: user.name,
+      role: user.role,
+      isActive: user.is_active,
+      mustChangePassword: user.must_change_password,
+    },
+    property,
+    properties,
+  };
+});
+
+// Logout (revokes the current session token)
+router.mutation('appUsers.logout', 'session', async (input, ctx) => {
+  await pool.query('DELETE FROM app_sessions WHERE id = $1', [ctx.sessionId]);
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'USER_LOGOUT',
+    details: `User ${ctx.user.username} logged out`,
+  });
+
+  return { success: true };
+});
+
+// Refresh session (rotates the token and extends the expiry)
+router.mutation('appUsers.refresh', 'session', async (input, ctx) => {
+  const session = await createSession(ctx.user.id, ctx.property.id);
+  await pool.query('DELETE FROM app_sessions WHERE id = $1', [ctx.sessionId]);
+
+  return {
+    success: true,
+    token: session.token,
+    expiresAt: session.expiresAt,
+    user: ctx.user,
+    property: ctx.property,
+  };
+});
+
+// Current user
+router.query('appUsers.me', 'session', (input, ctx) => ({ ...ctx.user, property: ctx.property }));
+
+// Move the current session to another of the user's properties
+router.mutation('appUsers.switchProperty', 'session', {
+  property: { type: 'string', required: true, max: 32 },
+}, async (input, ctx) => {
+  const properties = await userProperties(ctx.user.id, ctx.user.role);
+  const property = properties.find(p => p.code === input.property);
+  if (!property) {
+    throw new TRPCError('FORBIDDEN', 'ไม่มีสิทธิ์เข้าถึงโรงแรมนี้');
+  }
+
+  await pool.query('UPDATE app_sessions SET property_id = $1 WHERE id = $2', [property.id, ctx.sessionId]);
+  return { success: true, property };
+});
+
+// Password policy failure as a field-level BAD_REQUEST
+function assertPasswordPolicy(field, password, username) {
+  const policyError = validatePassword(password, username);
+  if (policyError) {
+    throw new TRPCError('BAD_REQUEST', policyError, { fieldErrors: { [field]: policyError } });
+  }
+}
+
+// Change own password (requires the current password)
+router.mutation('appUsers.changePassword', 'session', {
+  currentPassword: { type: 'string', required: true, max: 128 },
+  newPassword: { type: 'string', required: true, max: 128 },
+}, async (input, ctx) => {
+  const { currentPassword, newPassword } = input;
+
+  const result = await pool.query('SELECT password_hash FROM app_users WHERE id = $1', [ctx.user.id]);
+  const check = await verifyPassword(currentPassword, result.rows[0]?.password_hash);
+  if (!check.valid) {
+    throw new TRPCError('BAD_REQUEST', 'รหัสผ่านปัจจุบันไม่ถูกต้อง', {
+      fieldErrors: { currentPassword: 'รหัสผ่านปัจจุบันไม่ถูกต้อง' },
+    });
+  }
+
+  assertPasswordPolicy('newPassword', newPassword, ctx.user.username);
+  if (newPassword === currentPassword) {
+    throw new TRPCError('BAD_REQUEST', 'รหัสผ่านใหม่ต้องไม่ซ้ำกับรหัสผ่านเดิม', {
+      fieldErrors: { newPassword: 'รหัสผ่านใหม่ต้องไม่ซ้ำกับรหัสผ่านเดิม' },
+    });
+  }
+
+  await pool.query(
+    'UPDATE app_users SET password_hash = $1, must_change_password = false, updated_at = NOW() WHERE id = $2',
+    [await hashPassword(newPassword), ctx.user.id]
+  );
+
+  // Sign out every other device
+  await pool.query('DELETE FROM app_sessions WHERE user_id = $1 AND id <> $2', [ctx.user.id, ctx.sessionId]);
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'PASSWORD_CHANGED',
+    details: `User ${ctx.user.username} changed password`,
+  });
+
+  return { success: true };
+});
+
+// app_users columns plus the ids of the properties each user is assigned to
+const USER_COLUMNS = `
+  u.*, ARRAY(SELECT property_id FROM user_properties WHERE user_id = u.id ORDER BY property_id) AS property_ids
+`;
+
+// Admins manage the users of their own property; group admins manage everyone
+async function findManagedUser(ctx, id) {
+  const result = await pool.query(`SELECT ${USER_COLUMNS} FROM app_users u WHERE u.id = $1`, [id]);
+  const user = result.rows[0];
+  const managed = user && (ctx.user.role === 'group_admin'
+    || (user.role !== 'group_admin' && user.property_ids.includes(ctx.property.id)));
+  if (!managed) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบผู้ใช้');
+  }
+  return user;
+}
+
+// Making group admins and assigning properties is for group admins only. Returns the
+// property ids, all of which must exist.
+async function checkUserAssignment(ctx, role, propertyIds) {
+  if (ctx.user.role !== 'group_admin' && (role === 'group_admin' || propertyIds !== undefined)) {
+    throw new TRPCError('FORBIDDEN', 'เฉพาะผู้ดูแลกลุ่มโรงแรมเท่านั้นที่กำหนดสิทธิ์นี้ได้');
+  }
+  if (propertyIds === undefined) return undefined;
+
+  const ids = [...new Set(propertyIds)];
+  const result = await pool.query('SELECT COUNT(*)::int AS count FROM properties WHERE id = ANY($1)', [ids]);
+  if (result.rows[0].count !== ids.length) {
+    throw new TRPCError('BAD_REQUEST', 'ไม่พบโรงแรมที่ระบุ', { fieldErrors: { propertyIds: 'ไม่พบโรงแรมที่ระบุ' } });
+  }
+  return ids.sort((a, b) => a - b);
+}
+
+async function assignUserProperties(userId, propertyIds) {
+  await pool.query('DELETE FROM user_properties WHERE user_id = $1', [userId]);
+  await pool.query(
+    'INSERT INTO user_properties (user_id, property_id) SELECT $1, unnest($2::int[])',
+    [userId, propertyIds]
+  );
+}
+
+const PROPERTY_IDS_SCHEMA = { type: 'array', max: 100, items: { type: 'integer', min: 1 } };
+
+// List users (of the current property; every user for group admins)
+router.query('appUsers.list', 'admin', async (input, ctx) => {
+  const result = await pool.query(`
+    SELECT ${USER_COLUMNS} FROM app_users u
+    WHERE $1::int IS NULL OR (u.role <> 'group_admin' AND EXISTS (
+      SELECT 1 FROM user_properties up WHERE up.user_id = u.id AND up.property_id = $1
+    ))
+    ORDER BY created_at DESC
+  `, [ctx.user.role === 'group_admin' ? null : ctx.property.id]);
+  const users = result.rows.map(u => ({
+    id: u.id,
+    username: u.username,
+    name: u.name,
+    role: u.role,
+    isActive: u.is_active,
+    mustChangePassword: u.must_change_password,
+    lockedUntil: isLocked(u) ? u.locked_until.toISOString() : null,
+    propertyIds: u.property_ids,
+    createdAt: u.created_at?.toISOString(),
+  }));
+  return users;
+});
+
+// Create user (assigned to the current property unless a group admin gives propertyIds)
+router.mutation('appUsers.create', 'admin', {
+  username: { type: 'string', required: true, max: 64 },
+  password: { type: 'string', required: true, max: 128 },
+  name: { type: 'string', required: true, max: 255 },
+  role: { type: 'string', enum: USER_ROLES },
+  propertyIds: PROPERTY_IDS_SCHEMA,
+}, async (input, ctx) => {
+  const { username, password, name, role = 'user' } = input;
+
+  assertPasswordPolicy('password', password, username);
+  const propertyIds = await checkUserAssignment(ctx, role, input.propertyIds) || [ctx.property.id];
+
+  // Check if exists
+  const existing = await pool.query('SELECT id FROM app_users WHERE username = $1', [username]);
+  if (existing.rows.length > 0) {
+    throw new TRPCError('CONFLICT', 'ชื่อผู้ใช้นี้มีอยู่แล้ว', { fieldErrors: { username: 'ชื่อผู้ใช้นี้มีอยู่แล้ว' } });
+  }
+
+  const result = await pool.query(
+    'INSERT INTO app_users (username, password_hash, name, role, is_active, must_change_password) VALUES ($1, $2, $3, $4, true, true) RETURNING id',
+    [username, await hashPassword(password), name, role]
+  );
+  await assignUserProperties(result.rows[0].id, propertyIds);
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'USER_CREATED',
+    details: `User ${username} created`,
+  });
+
+  return { success: true, id: result.rows[0].id };
+});
+
+// Update user
+router.mutation('appUsers.update', 'admin', {
+  id: { type: 'integer', required: true },
+  name: { type: 'string', max: 255 },
+  password: { type: 'string', max: 128 },
+  role: { type: 'string', enum: USER_ROLES },
+  isActive: { type: 'boolean' },
+  propertyIds: PROPERTY_IDS_SCHEMA,
+}, async (input, ctx) => {
+  const { id, name, password, role, isActive } = input;
+
+  const user = await findManagedUser(ctx, id);
+  const propertyIds = await checkUserAssignment(ctx, role, input.propertyIds);
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  if (name !== undefined) {
+    updates.push(`name = $${paramIndex++}`);
+    values.push(name);
+  }
+  if (password !== undefined) {
+    assertPasswordPolicy('password', password, user.username);
+    // An admin-assigned password is temporary
+    updates.push(`password_hash = $${paramIndex++}`);
+    values.push(await hashPassword(password));
+    updates.push('must_change_password = true');
+  }
+  if (role !== undefined) {
+    updates.push(`role = $${paramIndex++}`);
+    values.push(role);
+  }
+  if (isActive !== undefined) {
+    updates.push(`is_active = $${paramIndex++}`);
+    values.push(isActive);
+  }
+
+  if (updates.length > 0) {
+    values.push(id);
+    await pool.query(
+      `UPDATE app_users SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${paramIndex}`,
+      values
+    );
+  }
+
+  if (propertyIds !== undefined) {
+    await assignUserProperties(id, propertyIds);
+  }
+
+  if (password !== undefined) {
+    await pool.query('DELETE FROM app_sessions WHERE user_id = $1', [id]);
+  }
+
+  if (updates.length > 0 || propertyIds !== undefined) {
+    // The password itself is never logged, only that it was reset
+    await writeAuditLog({
+      userId: ctx.user.username,
+      action: 'USER_UPDATED',
+      details: `User ${user.username} updated${password !== undefined ? ' (password reset)' : ''}`,
+      changes: diffChanges(
+        { name: user.name, role: user.role, isActive: user.is_active, propertyIds: user.property_ids },
+        { name, role, isActive, propertyIds }
+      ),
+    });
+  }
+
+  return { success: true };
+});
+
+// Lift a lockout before it ends, together with the username's login rate limit
+router.mutation('appUsers.unlock', 'admin', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const user = await findManagedUser(ctx, input.id);
+
+  await pool.query(
+    'UPDATE app_users SET failed_login_count = 0, locked_until = NULL, updated_at = NOW() WHERE id = $1',
+    [user.id]
+  );
+  await rateLimitStore.reset(`loginUsername:${user.username}`);
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'ACCOUNT_UNLOCKED',
+    details: `User ${user.username} unlocked${isLocked(user) ? '' : ' (was not locked)'}`,
+  });
+
+  return { success: true };
+});
+
+// Delete user
+router.mutation('appUsers.delete', 'admin', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const { id } = input;
+
+  if (id === ctx.user.id) {
+    throw new TRPCError('BAD_REQUEST', 'ไม่สามารถลบบัญชีของตนเองได้');
+  }
+
+  const user = await findManagedUser(ctx, id);
+  await pool.query('DELETE FROM app_users WHERE id = $1', [id]);
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'USER_DELETED',
+    details: `User ${user.username} deleted`,
+  });
+
+  return { success: true };
+});
+
+// ============================================
+// Watchlist
+// ============================================
+
+// Compared after normalizing, so "กข 1234" matches "กข-1234" and "+66 81..." matches "081..."
+function normalizeWatchlistValue(matchType, value) {
+  const text = String(value || '').trim();
+  switch (matchType) {
+    case 'name':
+      return text.toLowerCase().replace(/\s+/g, ' ');
+    case 'phone': {
+      const digits = text.replace(/\D/g, '');
+      return digits.length === 11 && digits.startsWith('66') ? `0${digits.slice(2)}` : digits;
+    }
+    default:
+      return text.toUpperCase().replace(/[^\p{L}\p{M}\p{N}]/gu, '');
+  }
+}
+
+// [value, normalized_value, value_bidx] of a rule. Rules on ENCRYPTED_FIELDS keep their value
+// encrypted and are matched on its blind index, the others on the normalized value.
+function watchlistValueColumns(matchType, value) {
+  if (ENCRYPTED_FIELDS.includes(matchType)) {
+    return [encryptField(matchType, value), null, blindIndex(matchType, value)];
+  }
+  return [value, normalizeWatchlistValue(matchType, value), null];
+}
+
+// Active, unexpired entries of the property or the whole group matching any of the visitor's
+// details
+async function findWatchlistMatches(propertyId, visitor) {
+  const candidates = {
+    id_number: visitor.idNumber,
+    name: visitor.fullName,
+    phone: visitor.phone,
+    vehicle_plate: visitor.vehiclePlate,
+  };
+  const plain = { types: [], values: [] };
+  const indexed = { types: [], values: [] };
+  for (const [matchType, value] of Object.entries(candidates)) {
+    const encrypted = ENCRYPTED_FIELDS.includes(matchType);
+    const compared = encrypted ? blindIndex(matchType, value) : normalizeWatchlistValue(matchType, value);
+    if (compared) {
+      const target = encrypted ? indexed : plain;
+      target.types.push(matchType);
+      target.values.push(compared);
+    }
+  }
+  if (plain.types.length === 0 && indexed.types.length === 0) return [];
+
+  const result = await pool.query(`
+    SELECT * FROM watchlist_entries
+    WHERE is_active AND (expires_at IS NULL OR expires_at > NOW())
+      AND (property_id IS NULL OR property_id = $5)
+      AND ((match_type, normalized_value) IN (SELECT * FROM unnest($1::text[], $2::text[]))
+        OR (match_type, value_bidx) IN (SELECT * FROM unnest($3::text[], $4::text[])))
+    ORDER BY severity = 'block' DESC, id
+  `, [plain.types, plain.values, indexed.types, indexed.values, propertyId]);
+  return result.rows;
+}
+
+// For audit entries and alerts, which must not hold the ID numbers or phones of rules
+function describeWatchlistEntry(entry) {
+  return `rule #${entry.id} (${entry.match_type}, ${entry.severity}): ${entry.reason}`;
+}
+
+// Screen a check-in before it is stored. Every hit is audited against recordId; a 'block'
+// match rejects the check-in with FORBIDDEN, otherwise the 'warn' matches are returned.
+// revealMatches controls whether the rejection tells the caller which rules matched.
+async function screenCheckIn(propertyId, visitor, recordId, userId, revealMatches) {
+  const matches = await findWatchlistMatches(propertyId, visitor);
+  const blocked = matches.some(entry => entry.severity === 'block');
+
+  for (const entry of matches) {
+    await writeAuditLog({
+      recordId,
+      userId,
+      action: 'WATCHLIST_HIT',
+      details: `Matched watchlist ${describeWatchlistEntry(entry)}; check-in ${blocked ? 'blocked' : 'allowed'}`,
+    });
+  }
+  if (matches.length > 0) {
+    await publishEvent('WATCHLIST_HIT', recordId, {
+      visitor: {
+        recordId,
+        fullName: visitor.fullName,
+        type: visitor.type || 'visitor',
+        company: visitor.company || null,
+        accessArea: visitor.accessArea || null,
+      },
+      blocked,
+      matches: matches.map(formatWatchlistMatch),
+      by: userId,
+    });
+  }
+
+  if (blocked) {
+    throw new TRPCError(
+      'FORBIDDEN',
+      'ไม่สามารถลงทะเบียนได้ กรุณาติดต่อเจ้าหน้าที่รักษาความปลอดภัย',
+      revealMatches ? { reason: 'WATCHLIST_BLOCKED', watchlist: matches.map(formatWatchlistMatch) } : { reason: 'WATCHLIST_BLOCKED' }
+    );
+  }
+  return matches;
+}
+
+// One WATCHLIST alert per check-in, listing every soft match
+async function raiseWatchlistAlert(recordId, matches) {
+  if (matches.length === 0) return;
+  await pool.query(
+    "INSERT INTO visitor_alerts (record_id, kind, details) VALUES ($1, 'WATCHLIST', $2)",
+    [recordId, `Watchlist match: ${matches.map(describeWatchlistEntry).join('; ')}`]
+  );
+}
+
+function formatWatchlistMatch(entry) {
+  return { id: entry.id, matchType: entry.match_type, severity: entry.severity, reason: entry.reason };
+}
+
+function formatWatchlistEntry(entry) {
+  return {
+    id: entry.id,
+    matchType: entry.match_type,
+    groupWide: entry.property_id === null,
+    value: decryptField(entry.match_type, entry.value),
+    reason: entry.reason,
+    severity: entry.severity,
+    expiresAt: entry.expires_at?.toISOString() || null,
+    isActive: entry.is_active,
+    createdBy: entry.created_by,
+    createdAt: entry.created_at?.toISOString(),
+    updatedAt: entry.updated_at?.toISOString(),
+  };
+}
+
+// An entry screening the property's check-ins: its own, or a group-wide one. Changing a
+// group-wide entry affects every property, so only group admins may (forChange).
+async function findWatchlistEntry(id, ctx, forChange = false) {
+  const result = await pool.query(
+    'SELECT * FROM watchlist_entries WHERE id = $1 AND (property_id IS NULL OR property_id = $2)',
+    [id, ctx.property.id]
+  );
+  const entry = result.rows[0];
+  if (!entry) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบรายการ');
+  }
+  if (forChange && entry.property_id === null && ctx.user.role !== 'group_admin') {
+    throw new TRPCError('FORBIDDEN', 'รายการนี้ใช้กับทุกโรงแรม เฉพาะผู้ดูแลกลุ่มโรงแรมเท่านั้นที่แก้ไขได้');
+  }
+  return entry;
+}
+
+// List the entries screening the property (only those currently in force unless status = 'all')
+router.query('watchlist.list', 'admin', {
+  status: { type: 'string', enum: ['active', 'all'] },
+  matchType: { type: 'string', enum: WATCHLIST_MATCH_TYPES },
+  search: { type: 'string', max: 255 },
+}, async (input, ctx) => {
+  const conditions = ['(property_id IS NULL OR property_id = $1)'];
+  const values = [ctx.property.id];
+  if (input.status !== 'all') {
+    conditions.push('is_active AND (expires_at IS NULL OR expires_at > NOW())');
+  }
+  if (input.matchType) {
+    values.push(input.matchType);
+    conditions.push(`match_type = $${values.length}`);
+  }
+  if (input.search && input.search.trim()) {
+    // Encrypted values are only found whole, by their blind index
+    values.push(likePattern(input.search.trim()), ENCRYPTED_FIELDS.map(field => blindIndex(field, input.search)));
+    conditions.push(
+      `(value ILIKE $${values.length - 1} OR reason ILIKE $${values.length - 1} OR value_bidx = ANY($${values.length}))`
+    );
+  }
+
+  const result = await pool.query(`
+    SELECT * FROM watchlist_entries
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY created_at DESC, id DESC
+  `, values);
+  return result.rows.map(formatWatchlistEntry);
+});
+
+router.mutation('watchlist.create', 'admin', {
+  matchType: { type: 'string', required: true, enum: WATCHLIST_MATCH_TYPES },
+  value: { type: 'string', required: true, max: 255 },
+  reason: { type: 'string', required: true, max: 1000 },
+  severity: { type: 'string', enum: WATCHLIST_SEVERITIES },
+  expiresAt: { type: 'date' },
+  // Screen every property of the group (group admins only)
+  groupWide: { type: 'boolean' },
+}, async (input, ctx) => {
+  const { matchType, value, reason, severity = 'block', expiresAt, groupWide = false } = input;
+  if (groupWide && ctx.user.role !== 'group_admin') {
+    throw new TRPCError('FORBIDDEN', 'เฉพาะผู้ดูแลกลุ่มโรงแรมเท่านั้นที่เพิ่มรายการสำหรับทุกโรงแรมได้');
+  }
+
+  const normalized = normalizeWatchlistValue(matchType, value);
+  if (!normalized) {
+    throw new TRPCError('BAD_REQUEST', 'ข้อมูลไม่ถูกต้อง: value ไม่มีตัวอักษรหรือตัวเลข', {
+      fieldErrors: { value: 'ไม่มีตัวอักษรหรือตัวเลข' },
+    });
+  }
+
+  const result = await pool.query(`
+    INSERT INTO watchlist_entries (
+      match_type, value, normalized_value, value_bidx, reason, severity, expires_at, created_by, property_id
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING *
+  `, [
+    matchType, ...watchlistValueColumns(matchType, value.trim()),
+    reason, severity, expiresAt ? new Date(expiresAt) : null, ctx.user.username, groupWide ? null : ctx.property.id,
+  ]);
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'WATCHLIST_CREATED',
+    details: `Watchlist ${describeWatchlistEntry(result.rows[0])}`,
+  });
+
+  return { success: true, entry: formatWatchlistEntry(result.rows[0]) };
+});
+
+router.mutation('watchlist.update', 'admin', {
+  id: { type: 'integer', required: true },
+  value: { type: 'string', max: 255 },
+  reason: { type: 'string', max: 1000 },
+  severity: { type: 'string', enum: WATCHLIST_SEVERITIES },
+  expiresAt: { type: 'date' },
+  isActive: { type: 'boolean' },
+}, async (input, ctx) => {
+  const entry = await findWatchlistEntry(input.id, ctx, true);
+
+  const updates = [];
+  const values = [];
+  const set = (column, value) => {
+    values.push(value);
+    updates.push(`${column} = $${values.length}`);
+  };
+
+  if (input.value) {
+    const normalized = normalizeWatchlistValue(entry.match_type, input.value);
+    if (!normalized) {
+      throw new TRPCError('BAD_REQUEST', 'ข้อมูลไม่ถูกต้อง: value ไม่มีตัวอักษรหรือตัวเลข', {
+        fieldErrors: { value: 'ไม่มีตัวอักษรหรือตัวเลข' },
+      });
+    }
+    const [stored, normalizedValue, valueBidx] = watchlistValueColumns(entry.match_type, input.value.trim());
+    set('value', stored);
+    set('normalized_value', normalizedValue);
+    set('value_bidx', valueBidx);
+  }
+  if (input.reason) set('reason', input.reason);
+  if (input.severity) set('severity', input.severity);
+  // null clears the expiry
+  if (input.expiresAt !== undefined) set('expires_at', input.expiresAt ? new Date(input.expiresAt) : null);
+  if (input.isActive != null) set('is_active', input.isActive);
+
+  if (updates.length > 0) {
+    values.push(input.id);
+    const result = await pool.query(
+      `UPDATE watchlist_entries SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+
+    const { updatedAt, ...after } = formatWatchlistEntry(result.rows[0]);
+    const changes = diffChanges(formatWatchlistEntry(entry), after);
+    // ID numbers and phones stay masked in the audit trail, as for visitors
+    if (changes?.value && ENCRYPTED_FIELDS.includes(entry.match_type)) {
+      changes.value = { from: maskIdNumber(changes.value.from), to: maskIdNumber(changes.value.to) };
+    }
+    await writeAuditLog({
+      userId: ctx.user.username,
+      action: 'WATCHLIST_UPDATED',
+      details: `Watchlist ${describeWatchlistEntry(result.rows[0])}${result.rows[0].is_active ? '' : ' (inactive)'}`,
+      changes,
+    });
+  }
+
+  return { success: true };
+});
+
+router.mutation('watchlist.delete', 'admin', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  await findWatchlistEntry(input.id, ctx, true);
+  const result = await pool.query('DELETE FROM watchlist_entries WHERE id = $1 RETURNING *', [input.id]);
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'WATCHLIST_DELETED',
+    details: `Watchlist ${describeWatchlistEntry(result.rows[0])}`,
+  });
+
+  return { success: true };
+});
+
+// ============================================
+// Consent Versions
+// ============================================
+
+const CONSENT_LANGUAGES = ['th', 'en'];
+
+// Version 1 of every new property
+const DEFAULT_CONSENT_TEXTS = {
+  th: 'ข้าพเจ้ายินยอมให้เก็บข้อมูลส่วนบุคคลเพื่อวัตถุประสงค์ด้านความปลอดภัย',
+  en: 'I consent to the collection of my personal data for security purposes.',
+};
+
+// What a check-in says about the consent it collected
+const CONSENT_INPUT_SCHEMA = {
+  consentVersionId: { type: 'integer', min: 1 },
+  consentLanguage: { type: 'string', enum: CONSENT_LANGUAGES },
+};
+
+function formatConsentVersion(c) {
+  return {
+    id: c.id,
+    version: c.version,
+    texts: { th: c.text_th, en: c.text_en },
+    effectiveFrom: c.effective_from?.toISOString() || null,
+    status: c.published_at ? 'published' : 'draft',
+    createdBy: c.created_by,
+    createdAt: c.created_at?.toISOString(),
+    publishedBy: c.published_by,
+    publishedAt: c.published_at?.toISOString() || null,
+  };
+}
+
+// The version in force: the newest published one whose effective date has come
+async function currentConsent(propertyId) {
+  const result = await pool.query(`
+    SELECT * FROM consent_versions
+    WHERE property_id = $1 AND published_at IS NOT NULL AND effective_from <= NOW()
+    ORDER BY effective_from DESC, version DESC
+    LIMIT 1
+  `, [propertyId]);
+  return result.rows[0] || null;
+}
+
+// Drafts get the next version number of their property
+async function createConsentVersion(propertyId, { textTh, textEn, effectiveFrom }, createdBy, db = pool) {
+  const result = await db.query(`
+    INSERT INTO consent_versions (property_id, version, text_th, text_en, effective_from, created_by)
+    SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5 FROM consent_versions WHERE property_id = $1
+    RETURNING *
+  `, [propertyId, textTh, textEn || null, effectiveFrom ? new Date(effectiveFrom) : null, createdBy]);
+  return result.rows[0];
+}
+
+// Published versions never take effect in the past: records made before then were shown the
+// previous wording. Returns null if the version is not a draft.
+async function publishConsentVersion(id, publishedBy, db = pool) {
+  const result = await db.query(`
+    UPDATE consent_versions
+    SET published_at = NOW(), published_by = $2, updated_at = NOW(),
+      effective_from = GREATEST(COALESCE(effective_from, NOW()), NOW())
+    WHERE id = $1 AND published_at IS NULL
+    RETURNING *
+  `, [id, publishedBy]);
+  return result.rows[0] || null;
+}
+
+// The version a visitor accepts: the one their form showed, which must still be in force, or
+// else the current one. Returns { versionId, language } for the visitor record.
+async function acceptConsent(propertyId, { consentVersionId, consentLanguage = 'th' }) {
+  const current = await currentConsent(propertyId);
+  if (!current) {
+    throw new TRPCError('CONFLICT', 'ยังไม่มีข้อความยินยอมที่ใช้งานอยู่');
+  }
+  if (consentVersionId && consentVersionId !== current.id) {
+    throw new TRPCError('CONFLICT', 'ข้อความยินยอมมีการเปลี่ยนแปลง กรุณาอ่านและยอมรับอีกครั้ง', {
+      reason: 'CONSENT_OUTDATED',
+      currentVersionId: current.id,
+    });
+  }
+  if (!current[`text_${consentLanguage}`]) {
+    throw new TRPCError('BAD_REQUEST', 'ข้อความยินยอมฉบับนี้ไม่มีภาษาที่เลือก', {
+      fieldErrors: { consentLanguage: `ไม่มีข้อความภาษา ${consentLanguage}` },
+    });
+  }
+  return { versionId: current.id, language: consentLanguage };
+}
+
+// The public forms must have the visitor tick (or sign) their acceptance
+function requireConsentAccepted(input) {
+  if (input.consentAccepted !== true) {
+    throw new TRPCError('BAD_REQUEST', 'กรุณายอมรับข้อตกลงการเก็บข้อมูลส่วนบุคคล', {
+      fieldErrors: { consentAccepted: 'ต้องยอมรับก่อนลงทะเบียน' },
+    });
+  }
+}
+
+async function findConsentVersion(id, propertyId) {
+  const result = await pool.query('SELECT * FROM consent_versions WHERE id = $1 AND property_id = $2', [id, propertyId]);
+  if (!result.rows[0]) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบข้อความยินยอม');
+  }
+  return result.rows[0];
+}
+
+function assertConsentDraft(version) {
+  if (version.published_at) {
+    throw new TRPCError('CONFLICT', 'ข้อความยินยอมที่เผยแพร่แล้วแก้ไขหรือลบไม่ได้');
+  }
+}
+
+// Every version of the property, newest first
+router.query('consent.list', 'admin', async (input, ctx) => {
+  const [versions, current] = await Promise.all([
+    pool.query('SELECT * FROM consent_versions WHERE property_id = $1 ORDER BY version DESC', [ctx.property.id]),
+    currentConsent(ctx.property.id),
+  ]);
+  return {
+    currentVersionId: current?.id || null,
+    versions: versions.rows.map(formatConsentVersion),
+  };
+});
+
+const CONSENT_TEXT_SCHEMA = {
+  textTh: { type: 'string', max: 10000 },
+  textEn: { type: 'string', max: 10000 },
+  effectiveFrom: { type: 'date' },
+};
+
+// A new draft, or a published version right away with publish: true
+router.mutation('consent.create', 'admin', {
+  ...CONSENT_TEXT_SCHEMA,
+  textTh: { type: 'string', required: true, max: 10000 },
+  publish: { type: 'boolean' },
+}, async (input, ctx) => {
+  let version = await createConsentVersion(ctx.property.id, input, ctx.user.username);
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'CONSENT_CREATED',
+    details: `Consent version ${version.version} drafted`,
+  });
+
+  if (input.publish) {
+    version = await publishConsentVersion(version.id, ctx.user.username);
+    await writeAuditLog({
+      userId: ctx.user.username,
+      action: 'CONSENT_PUBLISHED',
+      details: `Consent version ${version.version} published, effective ${version.effective_from.toISOString()}`,
+    });
+  }
+
+  return { success: true, version: formatConsentVersion(version) };
+});
+
+router.mutation('consent.update', 'admin', {
+  id: { type: 'integer', required: true },
+  ...CONSENT_TEXT_SCHEMA,
+}, async (input, ctx) => {
+  const existing = await findConsentVersion(input.id, ctx.property.id);
+  assertConsentDraft(existing);
+
+  const updates = [];
+  const values = [];
+  const set = (column, value) => {
+    values.push(value);
+    updates.push(`${column} = $${values.length}`);
+  };
+  if (input.textTh) set('text_th', input.textTh);
+  // Empty / null clears the English text and the effective date
+  if (input.textEn !== undefined) set('text_en', input.textEn || null);
+  if (input.effectiveFrom !== undefined) set('effective_from', input.effectiveFrom ? new Date(input.effectiveFrom) : null);
+
+  if (updates.length > 0) {
+    values.push(existing.id);
+    const result = await pool.query(
+      `UPDATE consent_versions SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${values.length} RETURNING *`,
+      values
+    );
+    await writeAuditLog({
+      userId: ctx.user.username,
+      action: 'CONSENT_UPDATED',
+      details: `Consent version ${existing.version} draft updated`,
+      changes: diffChanges(formatConsentVersion(existing).texts, formatConsentVersion(result.rows[0]).texts),
+    });
+  }
+
+  return { success: true };
+});
+
+router.mutation('consent.publish', 'admin', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const existing = await findConsentVersion(input.id, ctx.property.id);
+  const version = await publishConsentVersion(existing.id, ctx.user.username);
+  if (!version) {
+    throw new TRPCError('CONFLICT', 'ข้อความยินยอมนี้เผยแพร่แล้ว');
+  }
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'CONSENT_PUBLISHED',
+    details: `Consent version ${version.version} published, effective ${version.effective_from.toISOString()}`,
+  });
+
+  return { success: true, version: formatConsentVersion(version) };
+});
+
+router.mutation('consent.delete', 'admin', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const existing = await findConsentVersion(input.id, ctx.property.id);
+  assertConsentDraft(existing);
+
+  await pool.query('DELETE FROM consent_versions WHERE id = $1', [existing.id]);
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'CONSENT_DELETED',
+    details: `Consent version ${existing.version} draft deleted`,
+  });
+
+  return { success: true };
+});
+
+// ============================================
+// Lockers
+// ============================================
+
+// Stored statuses; a locker is occupied while it has an assignment not yet returned
+const LOCKER_STATUSES = ['available', 'lost_key', 'out_of_service'];
+
+// The number of the locker a visitor record was given last (returned or not)
+const LOCKER_NUMBER_SQL = `
+  (SELECT l.number FROM locker_assignments a JOIN lockers l ON l.id = a.locker_id
+    WHERE a.record_id = visitor_records.record_id ORDER BY a.assigned_at DESC, a.id DESC LIMIT 1)
+`;
+
+// Lockers with their open assignment (if any) and the visitor holding them
+const LOCKER_SELECT = `
+  SELECT l.*, a.record_id, a.assigned_by, a.assigned_at, a.due_at, a.due_at < NOW() AS overdue,
+    v.full_name, v.status AS visitor_status
+  FROM lockers l
+  LEFT JOIN locker_assignments a ON a.locker_id = l.id AND a.returned_at IS NULL
+  LEFT JOIN visitor_records v ON v.record_id = a.record_id
+`;
+
+function formatLocker(r) {
+  return {
+    id: r.id,
+    number: r.number,
+    zone: r.zone,
+    status: r.status,
+    notes: r.notes,
+    occupied: Boolean(r.record_id),
+    assignment: r.record_id ? {
+      recordId: r.record_id,
+      fullName: r.full_name,
+      visitorStatus: r.visitor_status,
+      assignedBy: r.assigned_by,
+      assignedAt: r.assigned_at?.toISOString(),
+      dueAt: r.due_at?.toISOString() || null,
+      overdue: Boolean(r.overdue),
+    } : null,
+    createdAt: r.created_at?.toISOString(),
+    updatedAt: r.updated_at?.toISOString(),
+  };
+}
+
+async function findLocker(id, propertyId) {
+  const result = await pool.query(`${LOCKER_SELECT} WHERE l.id = $1 AND l.property_id = $2`, [id, propertyId]);
+  if (!result.rows[0]) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบตู้ล็อกเกอร์');
+  }
+  return result.rows[0];
+}
+
+// When a locker is due back: after the maximum stay for the visitor's type, like overstays
+async function lockerDueAt(propertyId, type) {
+  const { maxStayHours } = await getOverstayPolicy(propertyId);
+  return new Date(Date.now() + maxStayHours[type || 'visitor'] * 3600000);
+}
+
+// Hand the locker with this number to a visitor, inside the caller's transaction. The locker
+// row is locked, so two check-ins cannot both take it; a visitor holding another locker
+// gives that one back.
+async function assignLocker(client, { propertyId, number, recordId, assignedBy, dueAt }) {
+  const result = await client.query(`
+    SELECT l.*, EXISTS (
+      SELECT 1 FROM locker_assignments a WHERE a.locker_id = l.id AND a.returned_at IS NULL AND a.record_id <> $3
+    ) AS taken
+    FROM lockers l
+    WHERE l.property_id = $1 AND l.number = $2
+    FOR UPDATE
+  `, [propertyId, number.trim(), recordId]);
+  const locker = result.rows[0];
+  if (!locker) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบตู้ล็อกเกอร์', { fieldErrors: { lockerNumber: 'ไม่มีหมายเลขนี้' } });
+  }
+  if (locker.taken) {
+    throw new TRPCError('CONFLICT', 'ตู้ล็อกเกอร์นี้มีผู้ใช้งานอยู่', { fieldErrors: { lockerNumber: 'มีผู้ใช้งานอยู่' } });
+  }
+  if (locker.status !== 'available') {
+    throw new TRPCError('CONFLICT', 'ตู้ล็อกเกอร์นี้ไม่พร้อมใช้งาน', { fieldErrors: { lockerNumber: 'ไม่พร้อมใช้งาน' } });
+  }
+
+  await releaseLockers([recordId], assignedBy, client);
+  await client.query(
+    'INSERT INTO locker_assignments (locker_id, record_id, assigned_by, due_at) VALUES ($1, $2, $3, $4)',
+    [locker.id, recordId, assignedBy, dueAt]
+  );
+  return locker;
+}
+
+// Give back the lockers these visitors hold. Returns the numbers released.
+async function releaseLockers(recordIds, returnedBy, db = pool) {
+  const result = await db.query(`
+    UPDATE locker_assignments a SET returned_at = NOW(), returned_by = $2
+    FROM lockers l
+    WHERE l.id = a.locker_id AND a.record_id = ANY($1) AND a.returned_at IS NULL
+    RETURNING l.number
+  `, [recordIds, returnedBy]);
+  return result.rows.map(r => r.number);
+}
+
+const LOCKER_FIELDS_SCHEMA = {
+  number: { type: 'string', max: 64 },
+  zone: { type: 'string', max: 64 },
+  notes: { type: 'string', max: 1000 },
+};
+
+// All lockers of the property, filtered by zone and status ('occupied' for those in use)
+router.query('lockers.list', 'user', {
+  zone: { type: 'string', max: 64 },
+  status: { type: 'string', enum: [...LOCKER_STATUSES, 'occupied'] },
+}, async (input, ctx) => {
+  const conditions = ['l.property_id = $1'];
+  const values = [ctx.property.id];
+  if (input.zone) {
+    values.push(input.zone);
+    conditions.push(`l.zone = $${values.length}`);
+  }
+  if (input.status === 'occupied') {
+    conditions.push('a.id IS NOT NULL');
+  } else if (input.status) {
+    values.push(input.status);
+    conditions.push(`l.status = $${values.length}`);
+  }
+
+  const result = await pool.query(`
+    ${LOCKER_SELECT}
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY l.zone NULLS FIRST, length(l.number), l.number
+  `, values);
+  return result.rows.map(formatLocker);
+});
+
+// Lockers in use, the overdue ones (still out past their due time) first
+router.query('lockers.occupied', 'user', {
+  overdueOnly: { type: 'boolean' },
+}, async (input, ctx) => {
+  const result = await pool.query(`
+    ${LOCKER_SELECT}
+    WHERE l.property_id = $1 AND a.id IS NOT NULL ${input.overdueOnly ? 'AND a.due_at < NOW()' : ''}
+    ORDER BY a.due_at < NOW() DESC, a.due_at NULLS LAST, a.assigned_at
+  `, [ctx.property.id]);
+  const lockers = result.rows.map(formatLocker);
+  return { lockers, overdueCount: lockers.filter(l => l.assignment.overdue).length };
+});
+
+router.mutation('lockers.create', 'admin', {
+  ...LOCKER_FIELDS_SCHEMA,
+  number: { type: 'string', required: true, max: 64 },
+}, async (input, ctx) => {
+  const number = input.number.trim();
+  if (!number) {
+    throw new TRPCError('BAD_REQUEST', 'ข้อมูลไม่ถูกต้อง: number จำเป็นต้องระบุ', { fieldErrors: { number: 'จำเป็นต้องระบุ' } });
+  }
+
+  const result = await pool.query(`
+    INSERT INTO lockers (property_id, number, zone, notes) VALUES ($1, $2, $3, $4)
+    ON CONFLICT (property_id, number) DO NOTHING
+    RETURNING *
+  `, [ctx.property.id, number, input.zone || null, input.notes || null]);
+  if (!result.rows[0]) {
+    throw new TRPCError('CONFLICT', 'หมายเลขตู้ล็อกเกอร์นี้มีอยู่แล้ว', { fieldErrors: { number: 'มีอยู่แล้ว' } });
+  }
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'LOCKER_CREATED',
+    details: `Locker ${number}${input.zone ? ` (${input.zone})` : ''} created`,
+  });
+
+  return { success: true, locker: formatLocker(result.rows[0]) };
+});
+
+router.mutation('lockers.update', 'admin', {
+  id: { type: 'integer', required: true },
+  ...LOCKER_FIELDS_SCHEMA,
+}, async (input, ctx) => {
+  const locker = await findLocker(input.id, ctx.property.id);
+
+  const updates = [];
+  const values = [];
+  const set = (column, value) => {
+    values.push(value);
+    updates.push(`${column} = $${values.length}`);
+  };
+  if (input.number && input.number.trim()) set('number', input.number.trim());
+  // Empty strings clear the zone / notes
+  if (input.zone !== undefined) set('zone', input.zone || null);
+  if (input.notes !== undefined) set('notes', input.notes || null);
+
+  if (updates.length > 0) {
+    values.push(locker.id);
+    await pool.query(`UPDATE lockers SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${values.length}`, values);
+
+    // The visitor holding the locker is no change of it (and their name stays out of the trail)
+    const { updatedAt, assignment, ...after } = formatLocker(await findLocker(locker.id, ctx.property.id));
+    await writeAuditLog({
+      userId: ctx.user.username,
+      action: 'LOCKER_UPDATED',
+      details: `Locker ${after.number} updated`,
+      changes: diffChanges(formatLocker(locker), after),
+    });
+  }
+
+  return { success: true };
+});
+
+// Lost keys and broken lockers cannot be handed out until they are set back to 'available'.
+// A visitor already holding the locker keeps it until they give it back.
+router.mutation('lockers.setStatus', 'user', {
+  id: { type: 'integer', required: true },
+  status: { type: 'string', required: true, enum: LOCKER_STATUSES },
+  note: { type: 'string', max: 1000 },
+}, async (input, ctx) => {
+  const locker = await findLocker(input.id, ctx.property.id);
+  if (locker.status === input.status) {
+    return { success: true };
+  }
+
+  await pool.query('UPDATE lockers SET status = $1, updated_at = NOW() WHERE id = $2', [input.status, locker.id]);
+
+  await writeAuditLog({
+    recordId: locker.record_id,
+    userId: ctx.user.username,
+    action: 'LOCKER_STATUS_CHANGED',
+    details: `Locker ${locker.number}: ${locker.status} -> ${input.status}${input.note ? ` (${input.note})` : ''}`,
+    changes: diffChanges({ status: locker.status }, { status: input.status }),
+  });
+
+  return { success: true };
+});
+
+// Refused while the locker is in use; its assignment history goes with it
+router.mutation('lockers.delete', 'admin', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const locker = await findLocker(input.id, ctx.property.id);
+  if (locker.record_id) {
+    throw new TRPCError('CONFLICT', 'ตู้ล็อกเกอร์นี้มีผู้ใช้งานอยู่');
+  }
+
+  await pool.query('DELETE FROM lockers WHERE id = $1', [locker.id]);
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'LOCKER_DELETED',
+    details: `Locker ${locker.number} deleted`,
+  });
+
+  return { success: true };
+});
+
+// Give a checked-in visitor a locker (or move them to another one)
+router.mutation('lockers.assign', 'user', {
+  recordId: { type: 'string', required: true, max: 64 },
+  lockerNumber: { type: 'string', required: true, max: 64 },
+  dueAt: { type: 'date' },
+}, async (input, ctx) => {
+  const visitor = await pool.query(
+    'SELECT * FROM visitor_records WHERE record_id = $1 AND property_id = $2',
+    [input.recordId, ctx.property.id]
+  );
+  const record = visitor.rows[0];
+  if (!record) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบข้อมูลผู้มาติดต่อ');
+  }
+  if (record.status !== 'IN') {
+    throw new TRPCError('CONFLICT', 'ผู้มาติดต่อออกไปแล้ว');
+  }
+
+  const dueAt = input.dueAt ? new Date(input.dueAt) : await lockerDueAt(ctx.property.id, record.type);
+  const client = await pool.connect();
+  let locker;
+  try {
+    await client.query('BEGIN');
+    locker = await assignLocker(client, {
+      propertyId: ctx.property.id,
+      number: input.lockerNumber,
+      recordId: record.record_id,
+      assignedBy: ctx.user.username,
+      dueAt,
+    });
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await writeAuditLog({
+    recordId: record.record_id,
+    userId: ctx.user.username,
+    action: 'LOCKER_ASSIGNED',
+    details: `Locker ${locker.number} given`,
+  });
+
+  return { success: true, locker: formatLocker(await findLocker(locker.id, ctx.property.id)) };
+});
+
+// The visitor gave the key back before checking out
+router.mutation('lockers.release', 'user', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const locker = await findLocker(input.id, ctx.property.id);
+  if (!locker.record_id) {
+    throw new TRPCError('CONFLICT', 'ตู้ล็อกเกอร์นี้ว่างอยู่แล้ว');
+  }
+
+  await releaseLockers([locker.record_id], ctx.user.username);
+
+  await writeAuditLog({
+    recordId: locker.record_id,
+    userId: ctx.user.username,
+    action: 'LOCKER_RELEASED',
+    details: `Locker ${locker.number} returned`,
+  });
+
+  return { success: true };
+});
+
+// ============================================
+// Visitors Routes (for Mobile App)
+// ============================================
+
+// ============================================
+// Visitor list pagination & filters
+// ============================================
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Escape LIKE wildcards in user input
+function likePattern(value) {
+  return `%${String(value).replace(/[\\%_]/g, '\\$&')}%`;
+}
+
+// WHERE clauses for the shared visitor filters, within one property (null: every property).
+// Returns { conditions, values }.
+function buildVisitorFilters(input, propertyId) {
+  const conditions = [];
+  const values = [];
+  const param = value => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (propertyId != null) conditions.push(`property_id = ${param(propertyId)}`);
+  if (input.dateFrom) conditions.push(`check_in_time >= ${param(new Date(input.dateFrom))}`);
+  if (input.dateTo) conditions.push(`check_in_time < ${param(new Date(input.dateTo))}`);
+  if (input.status) conditions.push(`status = ${param(input.status)}`);
+  if (input.type) conditions.push(`type = ${param(input.type)}`);
+  if (input.accessArea) conditions.push(`access_area = ${param(input.accessArea)}`);
+  if (input.recordedBy) conditions.push(`recorded_by = ${param(input.recordedBy)}`);
+  if (input.company) conditions.push(`company ILIKE ${param(likePattern(input.company))}`);
+
+  // ID numbers and phones are encrypted: they match whole values only, through the blind index
+  if (input.search && String(input.search).trim()) {
+    const search = String(input.search).trim();
+    const pattern = param(likePattern(search));
+    conditions.push(`(
+      full_name ILIKE ${pattern} OR vehicle_plate ILIKE ${pattern}
+      OR id_number_bidx = ${param(blindIndex('id_number', search))}
+      OR phone_bidx = ${param(blindIndex('phone', search))}
+    )`);
+  }
+
+  return { conditions, values };
+}
+
+// Cursor = position of the last row returned, in (check_in_time DESC, id DESC) order
+function encodeCursor(row) {
+  return Buffer.from(`${row.sort_time}|${row.id}`).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  const [sortTime, id] = Buffer.from(String(cursor), 'base64url').toString().split('|');
+  if (!sortTime || !/^\d+$/.test(id || '')) return null;
+  return { sortTime, id: parseInt(id) };
+}
+
+// One page of visitor_records. Returns { rows, nextCursor, totalCount }. With allowAll, input
+// without limit and cursor gets every matching record in one go.
+async function paginateVisitors(input, columns, propertyId, { allowAll = false } = {}) {
+  const { conditions, values } = buildVisitorFilters(input, propertyId);
+  const limit = allowAll && input.limit == null && !input.cursor
+    ? null
+    : Math.min(Math.max(parseInt(input.limit) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(`SELECT COUNT(*) FROM visitor_records ${where}`, values);
+
+  const pageConditions = [...conditions];
+  const pageValues = [...values];
+  const cursor = input.cursor ? decodeCursor(input.cursor) : null;
+  if (cursor) {
+    pageValues.push(cursor.sortTime, cursor.id);
+    pageConditions.push(`(check_in_time, id) < ($${pageValues.length - 1}::timestamp, $${pageValues.length})`);
+  }
+  if (limit) pageValues.push(limit + 1);
+
+  const result = await pool.query(`
+    SELECT ${columns}, check_in_time::text AS sort_time
+    FROM visitor_records
+    ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+    ORDER BY check_in_time DESC, id DESC
+    ${limit ? `LIMIT $${pageValues.length}` : ''}
+  `, pageValues);
+
+  const rows = limit ? result.rows.slice(0, limit) : result.rows;
+  return {
+    rows,
+    nextCursor: limit && result.rows.length > limit ? encodeCursor(rows[rows.length - 1]) : null,
+    totalCount: parseInt(countResult.rows[0].count),
+  };
+}
+
+// Everything except the image payloads, plus has_<kind> flags
+const VISITOR_LIST_COLUMNS = `
+  id, record_id, property_id, full_name, type, id_number, phone, company, purpose, access_area, notes,
+  vehicle_plate, check_in_time, check_out_time, status, recorded_by, consent_type, consent_time,
+  consent_version_id, consent_language, qr_code, qr_expiry, ${LOCKER_NUMBER_SQL} AS locker_number,
+  ${hasAttachmentSql('photo')} AS has_photo,
+  ${hasAttachmentSql('visitor_card_photo')} AS has_visitor_card_photo,
+  ${hasAttachmentSql('id_card_photo')} AS has_id_card_photo,
+  ${hasAttachmentSql('consent_signature')} AS has_consent_signature
+`;
+
+// Input schema shared by the visitor list filters
+const VISITOR_FILTER_SCHEMA = {
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+  cursor: { type: 'string', max: 255 },
+  dateFrom: { type: 'date' },
+  dateTo: { type: 'date' },
+  status: { type: 'string', enum: VISITOR_STATUSES },
+  type: { type: 'string', max: 64 },
+  accessArea: { type: 'string', max: 255 },
+  recordedBy: { type: 'string', max: 64 },
+  company: { type: 'string', max: 255 },
+  search: { type: 'string', max: 255 },
+};
+
+// Editable visitor fields, as accepted by checkIn and update
+const VISITOR_FIELDS_SCHEMA = {
+  fullName: { type: 'string', max: 255 },
+  type: { type: 'string', enum: VISITOR_TYPES },
+  idNumber: { type: 'string', max: 64 },
+  phone: { type: 'string', max: 32 },
+  company: { type: 'string', max: 255 },
+  purpose: { type: 'string', max: 2000 },
+  accessArea: { type: 'string', max: 255 },
+  notes: { type: 'string', max: 2000 },
+  vehiclePlate: { type: 'string', max: 64 },
+};
+
+const RECORD_ID_SCHEMA = {
+  recordId: { type: 'string', required: true, max: 64 },
+};
+
+// List visitors (paginated, filtered, searchable)
+// Without limit and cursor, the plain array of every matching record that the mobile app
+// expects (as before pagination); with either, one page as { items, nextCursor, totalCount }
+router.query('visitors.list', 'user', {
+  ...VISITOR_FILTER_SCHEMA,
+  ...REPORT_SCOPE_SCHEMA,
+}, async (input, ctx) => {
+  const paged = input.limit != null || Boolean(input.cursor);
+  const page = await paginateVisitors(input, VISITOR_LIST_COLUMNS, reportPropertyId(ctx, input), { allowAll: true });
+  const items = page.rows.map(r => ({
+    id: r.record_id,
+    dbId: r.id,
+    propertyId: r.property_id,
+    hasPhoto: r.has_photo,
+    fullName: r.full_name,
+    type: r.type,
+    idNumber: maskedField('id_number', r.id_number),
+    phone: maskedField('phone', r.phone),
+    company: r.company,
+    hasVisitorCardPhoto: r.has_visitor_card_photo,
+    hasIdCardPhoto: r.has_id_card_photo,
+    purpose: r.purpose,
+    accessArea: r.access_area,
+    notes: r.notes,
+    vehiclePlate: r.vehicle_plate,
+    lockerNumber: r.locker_number,
+    checkInTime: r.check_in_time?.toISOString(),
+    checkOutTime: r.check_out_time?.toISOString(),
+    status: r.status,
+    recordedBy: r.recorded_by,
+    consentType: r.consent_type,
+    consentTime: r.consent_time?.toISOString(),
+    consentVersionId: r.consent_version_id,
+    consentLanguage: r.consent_language,
+    hasConsentSignature: r.has_consent_signature,
+    qrCode: r.qr_code,
+    qrExpiry: r.qr_expiry?.toISOString(),
+  }));
+  return paged ? { items, nextCursor: page.nextCursor, totalCount: page.totalCount } : items;
+});
+
+// Get active visitors
+router.query('visitors.active', 'user', async (input, ctx) => {
+  const result = await pool.query(
+    "SELECT * FROM visitor_records WHERE status = 'IN' AND property_id = $1 ORDER BY check_in_time DESC",
+    [ctx.property.id]
+  );
+  const records = result.rows.map(r => ({
+    id: r.record_id,
+    dbId: r.id,
+    fullName: r.full_name,
+    type: r.type,
+    checkInTime: r.check_in_time?.toISOString(),
+    status: r.status,
+  }));
+  return records;
+});
+
+// Get visitor by ID
+router.query('visitors.byId', 'user', {
+  recordId: { type: 'string', max: 64 },
+}, async (input, ctx) => {
+  const recordId = input.recordId || ctx.req.query.recordId;
+  if (!recordId) {
+    throw new TRPCError('BAD_REQUEST', 'ข้อมูลไม่ถูกต้อง: recordId จำเป็นต้องระบุ', {
+      fieldErrors: { recordId: 'จำเป็นต้องระบุ' },
+    });
+  }
+
+  const result = await pool.query(
+    `SELECT *, ${LOCKER_NUMBER_SQL} AS locker_number FROM visitor_records WHERE record_id = $1 AND property_id = $2`,
+    [recordId, ctx.property.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบข้อมูลผู้มาติดต่อ');
+  }
+
+  const r = result.rows[0];
+  const attachments = await getAttachments(recordId);
+  // Stored attachments are served by URL; inline values only remain on unmigrated rows
+  const imageUri = kind => {
+    const attachment = attachments.find(a => a.kind === kind);
+    return attachment ? attachment.url : r[ATTACHMENT_KINDS[kind]];
+  };
+  // Full ID number and phone for admins only, as in exports
+  const showFull = ACCESS_ROLES.admin.includes(ctx.user.role);
+  const sensitive = field => (showFull ? decryptField(field, r[field]) : maskedField(field, r[field]));
+
+  return {
+    id: r.record_id,
+    dbId: r.id,
+    photoUri: imageUri('photo'),
+    fullName: r.full_name,
+    type: r.type,
+    idNumber: sensitive('id_number'),
+    phone: sensitive('phone'),
+    company: r.company,
+    visitorCardPhotoUri: imageUri('visitor_card_photo'),
+    idCardPhotoUri: imageUri('id_card_photo'),
+    purpose: r.purpose,
+    accessArea: r.access_area,
+    notes: r.notes,
+    vehiclePlate: r.vehicle_plate,
+    lockerNumber: r.locker_number,
+    checkInTime: r.check_in_time?.toISOString(),
+    checkOutTime: r.check_out_time?.toISOString(),
+    status: r.status,
+    recordedBy: r.recorded_by,
+    consentType: r.consent_type,
+    consentTime: r.consent_time?.toISOString(),
+    consentVersionId: r.consent_version_id,
+    consentLanguage: r.consent_language,
+    consentSignature: imageUri('consent_signature'),
+    qrCode: r.qr_code,
+    qrExpiry: r.qr_expiry?.toISOString(),
+    invitationId: r.invitation_id,
+    profileId: r.profile_id,
+    attachments,
+  };
+});
+
+// Check-in visitor (from Mobile App)
+router.mutation('visitors.checkIn', 'user', {
+  ...RECORD_ID_SCHEMA,
+  ...VISITOR_FIELDS_SCHEMA,
+  fullName: { type: 'string', required: true, max: 255 },
+  consentType: { type: 'string', enum: CONSENT_TYPES },
+  photoUri: { type: 'string' },
+  visitorCardPhotoUri: { type: 'string' },
+  idCardPhotoUri: { type: 'string' },
+  consentSignature: { type: 'string' },
+  ...CONSENT_INPUT_SCHEMA,
+  lockerNumber: { type: 'string', max: 64 },
+  // The returning visitor's profile (visitorProfiles.lookup) the form was filled in from
+  profileId: { type: 'integer' },
+}, async (input, ctx) => {
+  if (input.profileId) {
+    input = await fillFromProfile(input, ctx.property.id);
+  }
+  const {
+    recordId, photoUri, fullName, type, idNumber, phone, company,
+    visitorCardPhotoUri, idCardPhotoUri, purpose, accessArea, notes,
+    vehiclePlate, consentType, consentSignature, lockerNumber
+  } = input;
+  const recordedBy = ctx.user.username;
+  const consent = await acceptConsent(ctx.property.id, input);
+
+  const uploads = prepareAttachments({
+    photo: photoUri,
+    visitor_card_photo: visitorCardPhotoUri,
+    id_card_photo: idCardPhotoUri,
+    consent_signature: consentSignature,
+  });
+
+  const watchlistMatches = await screenCheckIn(ctx.property.id, input, recordId, recordedBy, true);
+
+  // QR codes are always issued (and signed) by the server
+  const qrExpiry = new Date(Date.now() + QR_VALIDITY_HOURS * 3600000);
+  const qrCode = createQrCode(recordId, qrExpiry);
+  const lockerDue = lockerNumber ? await lockerDueAt(ctx.property.id, type) : null;
+  const attachments = await putAttachmentBlobs(uploads);
+
+  // The record, its locker, its profile and its attachments are saved together, so a taken
+  // locker fails the whole check-in
+  const client = await pool.connect();
+  let result;
+  let profileId;
+  try {
+    await client.query('BEGIN');
+    profileId = await linkVisitorProfile(client, ctx.property.id, input, input.profileId);
+    result = await client.query(`
+      INSERT INTO visitor_records (
+        record_id, full_name, type, id_number, phone, company,
+        purpose, access_area, notes, vehicle_plate, recorded_by,
+        consent_type, consent_version_id, consent_language, qr_code, qr_expiry, status, property_id,
+        id_number_bidx, phone_bidx, profile_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, 'IN', $17, $18, $19, $20)
+      RETURNING id
+    `, [
+      recordId, fullName, type || 'visitor', encryptField('id_number', idNumber), encryptField('phone', phone), company,
+      purpose, accessArea, notes, vehiclePlate, recordedBy,
+      consentType || 'checkbox', consent.versionId, consent.language, qrCode, qrExpiry, ctx.property.id,
+      blindIndex('id_number', idNumber), blindIndex('phone', phone), profileId,
+    ]);
+    if (lockerNumber) {
+      await assignLocker(client, { propertyId: ctx.property.id, number: lockerNumber, recordId, assignedBy: recordedBy, dueAt: lockerDue });
+    }
+    await insertAttachments(client, recordId, attachments);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await removeAttachmentBlobs(attachments);
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await raiseWatchlistAlert(recordId, watchlistMatches);
+
+  await writeAuditLog({
+    recordId,
+    userId: recordedBy,
+    action: 'CHECK_IN',
+    details: `Checked in${lockerNumber ? ` (locker ${lockerNumber.trim()})` : ''}`,
+  });
+  await publishVisitorEvent('CHECK_IN', recordId, { by: recordedBy });
+
+  return {
+    success: true,
+    id: result.rows[0].id,
+    recordId,
+    profileId,
+    qrCode,
+    qrExpiry: qrExpiry.toISOString(),
+    lockerNumber: lockerNumber ? lockerNumber.trim() : null,
+    // Soft watchlist matches, for the guard to act on
+    watchlist: watchlistMatches.map(formatWatchlistMatch),
+  };
+});
+
+// Check-out visitor
+router.mutation('visitors.checkOut', 'user', RECORD_ID_SCHEMA, async (input, ctx) => {
+  const { recordId } = input;
+
+  // Only a visitor still inside: checking out twice would move check_out_time and announce a
+  // second CHECK_OUT
+  const result = await pool.query(`
+    UPDATE visitor_records SET status = 'OUT', check_out_time = NOW(), qr_revoked_at = NOW()
+    WHERE record_id = $1 AND property_id = $2 AND status = 'IN'
+  `, [recordId, ctx.property.id]);
+  if (result.rowCount === 0) {
+    const existing = await pool.query(
+      'SELECT 1 FROM visitor_records WHERE record_id = $1 AND property_id = $2',
+      [recordId, ctx.property.id]
+    );
+    if (existing.rows.length === 0) {
+      throw new TRPCError('NOT_FOUND', 'ไม่พบข้อมูลผู้มาติดต่อ');
+    }
+    throw new TRPCError('CONFLICT', 'ผู้มาติดต่อได้บันทึกออกไปแล้ว', { reason: 'ALREADY_CHECKED_OUT' });
+  }
+  const lockers = await releaseLockers([recordId], ctx.user.username);
+
+  await writeAuditLog({
+    recordId,
+    userId: ctx.user.username,
+    action: 'CHECK_OUT',
+    details: `Visitor checked out${lockers.length > 0 ? ` (locker ${lockers.join(', ')} released)` : ''}`,
+  });
+  await publishVisitorEvent('CHECK_OUT', recordId, { by: ctx.user.username });
+
+  return { success: true };
+});
+
+// Verify a scanned visitor QR code
+const QR_INPUT_SCHEMA = {
+  qrCode: { type: 'string', required: true, max: 512 },
+};
+
+router.mutation('visitors.verifyQr', 'user', QR_INPUT_SCHEMA, async (input, ctx) => {
+  const { valid, reason, record: r } = await verifyQrCode(input.qrCode, ctx.user.username, ctx.property.id);
+
+  return {
+    valid,
+    reason,
+    message: reason ? QR_REJECT_MESSAGES[reason] : null,
+    visitor: r ? {
+      id: r.record_id,
+      fullName: r.full_name,
+      type: r.type,
+      company: r.company,
+      accessArea: r.access_area,
+      status: r.status,
+      checkInTime: r.check_in_time?.toISOString(),
+      checkOutTime: r.check_out_time?.toISOString(),
+      qrExpiry: r.qr_expiry?.toISOString(),
+    } : null,
+  };
+});
+
+// Check-out by scanning the visitor's QR code
+router.mutation('visitors.checkOutByQr', 'user', QR_INPUT_SCHEMA, async (input, ctx) => {
+  const { valid, reason, record } = await verifyQrCode(input.qrCode, ctx.user.username, ctx.property.id);
+
+  if (!valid) {
+    throw new TRPCError(reason === 'NOT_FOUND' ? 'NOT_FOUND' : 'BAD_REQUEST', QR_REJECT_MESSAGES[reason], { reason });
+  }
+
+  // Only the first of two simultaneous scans checks the visitor out
+  const updated = await pool.query(`
+    UPDATE visitor_records SET status = 'OUT', check_out_time = NOW(), qr_revoked_at = NOW()
+    WHERE record_id = $1 AND property_id = $2 AND status = 'IN'
+  `, [record.record_id, ctx.property.id]);
+  if (updated.rowCount === 0) {
+    throw new TRPCError('CONFLICT', QR_REJECT_MESSAGES.REVOKED, { reason: 'REVOKED' });
+  }
+  const lockers = await releaseLockers([record.record_id], ctx.user.username);
+
+  await writeAuditLog({
+    recordId: record.record_id,
+    userId: ctx.user.username,
+    action: 'CHECK_OUT',
+    details: `Visitor checked out by QR scan${lockers.length > 0 ? ` (locker ${lockers.join(', ')} released)` : ''}`,
+  });
+  await publishVisitorEvent('CHECK_OUT', record.record_id, { by: ctx.user.username });
+
+  return { success: true, recordId: record.record_id, fullName: record.full_name };
+});
+
+// Update visitor
+router.mutation('visitors.update', 'user', {
+  ...RECORD_ID_SCHEMA,
+  ...VISITOR_FIELDS_SCHEMA,
+}, async (input, ctx) => {
+  const { recordId, ...updateData } = input;
+
+  const fieldMap = {
+    fullName: 'full_name',
+    idNumber: 'id_number',
+    phone: 'phone',
+    company: 'company',
+    purpose: 'purpose',
+    accessArea: 'access_area',
+    notes: 'notes',
+    vehiclePlate: 'vehicle_plate',
+    type: 'type',
+  };
+
+  const existing = await pool.query(
+    'SELECT * FROM visitor_records WHERE record_id = $1 AND property_id = $2',
+    [recordId, ctx.property.id]
+  );
+  if (existing.rows.length === 0) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบข้อมูลผู้มาติดต่อ');
+  }
+  const record = decryptRow(existing.rows[0]);
+
+  // A masked value sent back as it was shown (lists, byId for staff) is not a change
+  for (const key of ['idNumber', 'phone']) {
+    const current = record[fieldMap[key]];
+    if (current && updateData[key] === maskIdNumber(current) && updateData[key] !== current) {
+      delete updateData[key];
+    }
+  }
+
+  const updates = [];
+  const values = [];
+  let paramIndex = 1;
+
+  for (const [key, dbField] of Object.entries(fieldMap)) {
+    if (updateData[key] !== undefined) {
+      const encrypted = ENCRYPTED_FIELDS.includes(dbField);
+      updates.push(`${dbField} = $${paramIndex++}`);
+      values.push(encrypted ? encryptField(dbField, updateData[key]) : updateData[key]);
+      if (encrypted) {
+        updates.push(`${dbField}_bidx = $${paramIndex++}`);
+        values.push(blindIndex(dbField, updateData[key]));
+      }
+    }
+  }
+
+  if (updates.length > 0) {
+    // The record and its profile link change together
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      values.push(record.id);
+      await client.query(
+        `UPDATE visitor_records SET ${updates.join(', ')}, updated_at = NOW() WHERE id = $${paramIndex}`,
+        values
+      );
+
+      // A corrected ID number moves the visit to the profile of that number; a cleared one
+      // takes it off its profile
+      if (updateData.idNumber !== undefined && blindIndex('id_number', updateData.idNumber) !== record.id_number_bidx) {
+        await relinkVisit(client, ctx.property.id, record, updateData, fieldMap);
+      }
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const before = Object.fromEntries(Object.entries(fieldMap).map(([key, dbField]) => [key, record[dbField]]));
+    const changes = diffChanges(before, updateData);
+    // ID numbers and phones stay masked in the audit trail, as in lists, and names are left out:
+    // audit entries outlive an erasure
+    for (const key of ['idNumber', 'phone']) {
+      if (changes?.[key]) {
+        changes[key] = { from: maskIdNumber(changes[key].from), to: maskIdNumber(changes[key].to) };
+      }
+    }
+    if (changes?.fullName) {
+      changes.fullName = { from: '[redacted]', to: '[redacted]' };
+    }
+    await writeAuditLog({
+      recordId,
+      userId: ctx.user.username,
+      action: 'EDIT_RECORD',
+      details: `Record updated${changes ? ` (${Object.keys(changes).join(', ')})` : ''}`,
+      changes,
+    });
+    await publishVisitorEvent('EDIT_RECORD', recordId, {
+      by: ctx.user.username,
+      changedFields: Object.keys(fieldMap).filter(key => updateData[key] !== undefined),
+    });
+  }
+
+  return { success: true };
+});
+
+// Delete visitor
+router.mutation('visitors.delete', 'admin', RECORD_ID_SCHEMA, async (input, ctx) => {
+  const { recordId } = input;
+
+  const result = await pool.query(
+    'DELETE FROM visitor_records WHERE record_id = $1 AND property_id = $2 RETURNING *',
+    [recordId, ctx.property.id]
+  );
+  if (result.rowCount === 0) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบข้อมูลผู้มาติดต่อ');
+  }
+  await deleteAttachmentsAfterCommit([recordId]);
+  if (result.rows[0].profile_id) {
+    await deleteOrphanedProfiles(pool, ctx.property.id, [result.rows[0].profile_id]);
+  }
+
+  await writeAuditLog({
+    recordId,
+    userId: ctx.user.username,
+    action: 'DELETE_RECORD',
+    details: 'Record deleted',
+  });
+  await publishEvent('DELETE_RECORD', recordId, { visitor: visitorEventData(result.rows[0]), by: ctx.user.username });
+
+  return { success: true };
+});
+
+// ============================================
+// Visitor Profiles
+// ============================================
+
+// A profile stands for one returning person of a property, keyed on their ID number. Its
+// details follow their latest visit; the visits themselves stay in visitor_records
+// (profile_id). A profile merged into another remains as an alias (merged_into_id) whose ID
+// number leads to that profile.
+const MAX_PROFILE_VISITS = 200;
+const PROFILE_LOOKUP_LIMIT = 5;
+const MERGE_SUGGESTION_LIMIT = 100;
+const SIMILAR_NAME_THRESHOLD = 0.75; // Dice coefficient of the names' trigrams
+const COMMON_NAME_WORD_PROFILES = 500; // words this common do not narrow the comparison down
+
+// Check-in input field -> visitor_profiles column, for filling a check-in from a profile
+const PROFILE_FIELDS = {
+  fullName: 'full_name',
+  type: 'type',
+  idNumber: 'id_number',
+  phone: 'phone',
+  company: 'company',
+  vehiclePlate: 'vehicle_plate',
+};
+
+// Profiles p with their visit statistics and the purpose and area of the latest visit
+const PROFILE_SELECT = `
+  SELECT p.*, stats.*, latest.purpose AS last_purpose, latest.access_area AS last_access_area
+  FROM visitor_profiles p
+  LEFT JOIN LATERAL (
+    SELECT COUNT(*)::int AS visit_count, MIN(check_in_time) AS first_visit_at, MAX(check_in_time) AS last_visit_at,
+      COUNT(*) FILTER (WHERE check_in_time > NOW() - INTERVAL '30 days')::int AS visits_last_30_days,
+      COUNT(*) FILTER (WHERE check_in_time > NOW() - INTERVAL '90 days')::int AS visits_last_90_days,
+      COALESCE(BOOL_OR(status = 'IN'), false) AS inside
+    FROM visitor_records WHERE profile_id = p.id
+  ) stats ON true
+  LEFT JOIN LATERAL (
+    SELECT purpose, access_area FROM visitor_records
+    WHERE profile_id = p.id
+    ORDER BY check_in_time DESC, id DESC
+    LIMIT 1
+  ) latest ON true
+`;
+
+// Full ID number and phone for admins only, as in visitors.byId
+function formatVisitorProfile(p, showFull = true) {
+  const sensitive = field => (showFull ? decryptField(field, p[field]) : maskedField(field, p[field]));
+  return {
+    id: p.id,
+    fullName: p.full_name,
+    type: p.type,
+    idNumber: sensitive('id_number'),
+    phone: sensitive('phone'),
+    company: p.company,
+    vehiclePlate: p.vehicle_plate,
+    lastPurpose: p.last_purpose ?? null,
+    lastAccessArea: p.last_access_area ?? null,
+    history: {
+      visitCount: p.visit_count ?? 0,
+      visitsLast30Days: p.visits_last_30_days ?? 0,
+      visitsLast90Days: p.visits_last_90_days ?? 0,
+      firstVisitAt: p.first_visit_at?.toISOString() || null,
+      lastVisitAt: p.last_visit_at?.toISOString() || null,
+      inside: p.inside ?? false,
+    },
+    createdAt: p.created_at?.toISOString(),
+    updatedAt: p.updated_at?.toISOString(),
+  };
+}
+
+function formatProfileVisit(r) {
+  return {
+    id: r.record_id,
+    fullName: r.full_name,
+    type: r.type,
+    company: r.company,
+    purpose: r.purpose,
+    accessArea: r.access_area,
+    vehiclePlate: r.vehicle_plate,
+    checkInTime: r.check_in_time?.toISOString(),
+    checkOutTime: r.check_out_time?.toISOString() || null,
+    status: r.status,
+    recordedBy: r.recorded_by,
+  };
+}
+
+// A profile of the property, following a merged one to the profile it was merged into
+async function findVisitorProfile(id, propertyId) {
+  const result = await pool.query(`
+    ${PROFILE_SELECT}
+    WHERE p.id = (SELECT COALESCE(merged_into_id, id) FROM visitor_profiles WHERE id = $1 AND property_id = $2)
+  `, [id, propertyId]);
+  if (result.rows.length === 0) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบประวัติผู้มาติดต่อ');
+  }
+  return result.rows[0];
+}
+
+// Check-in fields left out, or sent back masked as lookups show them to staff, are taken from
+// the profile the form was filled in from (profileId)
+async function fillFromProfile(input, propertyId) {
+  const profile = await findVisitorProfile(input.profileId, propertyId);
+  const filled = { ...input, profileId: profile.id };
+  for (const [key, column] of Object.entries(PROFILE_FIELDS)) {
+    const stored = ENCRYPTED_FIELDS.includes(column) ? decryptField(column, profile[column]) : profile[column];
+    if (!stored) continue;
+    if (!filled[key] || (ENCRYPTED_FIELDS.includes(column) && filled[key] === maskIdNumber(stored))) {
+      filled[key] = stored;
+    }
+  }
+  return filled;
+}
+
+// The profile a visit belongs to, with its details brought up to date: the profile of the
+// visitor's ID number (created on their first visit), else the one the check-in was filled in
+// from. null when there is neither. Call it in the transaction that saves the visit.
+async function linkVisitorProfile(db, propertyId, visitor, profileId = null) {
+  const idNumberBidx = blindIndex('id_number', visitor.idNumber);
+  if (idNumberBidx) {
+    const result = await db.query(`
+      INSERT INTO visitor_profiles (property_id, full_name, id_number, id_number_bidx)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (property_id, id_number_bidx) DO UPDATE SET updated_at = visitor_profiles.updated_at
+      RETURNING COALESCE(merged_into_id, id) AS id
+    `, [propertyId, visitor.fullName, encryptField('id_number', visitor.idNumber), idNumberBidx]);
+    profileId = result.rows[0].id;
+  }
+  if (!profileId) return null;
+
+  await db.query(`
+    UPDATE visitor_profiles SET
+      full_name = $2, type = COALESCE($3, type),
+      phone = COALESCE($4, phone), phone_bidx = COALESCE($5, phone_bidx),
+      company = COALESCE($6, company), vehicle_plate = COALESCE($7, vehicle_plate),
+      updated_at = NOW()
+    WHERE id = $1
+  `, [
+    profileId, visitor.fullName, visitor.type || null,
+    encryptField('phone', visitor.phone), blindIndex('phone', visitor.phone),
+    visitor.company || null, visitor.vehiclePlate || null,
+  ]);
+  return profileId;
+}
+
+// Move an edited visit (visitors.update, in its transaction) to the profile of its new ID
+// number, or off any profile once its ID number is cleared
+async function relinkVisit(db, propertyId, record, updateData, fieldMap) {
+  const visitor = Object.fromEntries(
+    Object.entries(fieldMap).map(([key, dbField]) => [key, updateData[key] !== undefined ? updateData[key] : record[dbField]])
+  );
+  const profileId = await linkVisitorProfile(db, propertyId, visitor);
+  await db.query('UPDATE visitor_records SET profile_id = $1 WHERE id = $2', [profileId, record.id]);
+  if (record.profile_id) {
+    await deleteOrphanedProfiles(db, propertyId, [record.profile_id]);
+  }
+}
+
+// Records with an ID number but no profile: every existing record after migration 014 (its
+// blind indexes are only complete once rewriteEncryptedFields has run), none afterwards.
+// Profiles are built from each ID number's latest visit; the values are copied encrypted.
+async function linkVisitorProfiles(db) {
+  const created = await db.query(`
+    INSERT INTO visitor_profiles (
+      property_id, full_name, type, id_number, id_number_bidx, phone, phone_bidx, company, vehicle_plate
+    )
+    SELECT DISTINCT ON (property_id, id_number_bidx)
+      property_id, full_name, type, id_number, id_number_bidx, phone, phone_bidx, company, vehicle_plate
+    FROM visitor_records
+    WHERE profile_id IS NULL AND id_number_bidx IS NOT NULL
+    ORDER BY property_id, id_number_bidx, check_in_time DESC, id DESC
+    ON CONFLICT (property_id, id_number_bidx) DO NOTHING
+  `);
+  const linked = await db.query(`
+    UPDATE visitor_records v SET profile_id = COALESCE(p.merged_into_id, p.id)
+    FROM visitor_profiles p
+    WHERE v.profile_id IS NULL AND p.property_id = v.property_id AND p.id_number_bidx = v.id_number_bidx
+  `);
+  if (linked.rowCount > 0) {
+    console.log(`[Profiles] ${linked.rowCount} visitor record(s) linked, ${created.rowCount} profile(s) created`);
+  }
+}
+
+// Profiles left without visits (their records deleted or anonymized) hold nothing worth
+// keeping; their aliases go with them. Only those of profileIds when given. Returns how many
+// were deleted.
+async function deleteOrphanedProfiles(db, propertyId, profileIds = null) {
+  const result = await db.query(`
+    DELETE FROM visitor_profiles p
+    WHERE p.property_id = $1 AND p.merged_into_id IS NULL
+      AND ($2::int[] IS NULL OR p.id = ANY($2))
+      AND NOT EXISTS (SELECT 1 FROM visitor_records v WHERE v.profile_id = p.id)
+  `, [propertyId, profileIds]);
+  return result.rowCount;
+}
+
+function nameTrigrams(name) {
+  const text = `  ${normalizeWatchlistValue('name', name)} `;
+  const trigrams = new Set();
+  for (let i = 0; i < text.length - 2; i++) {
+    trigrams.add(text.slice(i, i + 3));
+  }
+  return trigrams;
+}
+
+function nameSimilarity(a, b) {
+  let shared = 0;
+  for (const trigram of a) {
+    if (b.has(trigram)) shared++;
+  }
+  return (2 * shared) / (a.size + b.size);
+}
+
+// Pairs of profiles that may be the same person: the same phone, or alike names. Names are
+// only compared between profiles sharing a word of the name, which catches a typo in the
+// other words without comparing every profile with every other one.
+async function suggestProfileMerges(propertyId) {
+  const result = await pool.query(`${PROFILE_SELECT} WHERE p.property_id = $1 AND p.merged_into_id IS NULL`, [propertyId]);
+  const profiles = result.rows;
+
+  const pairs = new Map();
+  const suggest = (a, b, reason, similarity = null) => {
+    const [first, second] = a.id < b.id ? [a, b] : [b, a];
+    const key = `${first.id}:${second.id}`;
+    const pair = pairs.get(key) || { profiles: [first, second], reasons: [], nameSimilarity: null };
+    if (!pair.reasons.includes(reason)) pair.reasons.push(reason);
+    if (similarity !== null) pair.nameSimilarity = Math.round(similarity * 100) / 100;
+    pairs.set(key, pair);
+  };
+  const eachPair = (groups, visit) => {
+    for (const group of groups) {
+      for (let i = 0; i < group.length; i++) {
+        for (let j = i + 1; j < group.length; j++) visit(group[i], group[j]);
+      }
+    }
+  };
+  const groupBy = (keysOf) => {
+    const groups = new Map();
+    for (const profile of profiles) {
+      for (const key of keysOf(profile)) {
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(profile);
+      }
+    }
+    return [...groups.values()];
+  };
+
+  eachPair(groupBy(p => (p.phone_bidx ? [p.phone_bidx] : [])), (a, b) => suggest(a, b, 'SAME_PHONE'));
+
+  const trigrams = new Map(profiles.map(p => [p.id, nameTrigrams(p.full_name)]));
+  const words = p => new Set(normalizeWatchlistValue('name', p.full_name).split(' ').filter(word => word.length >= 2));
+  const wordGroups = groupBy(words).filter(group => group.length <= COMMON_NAME_WORD_PROFILES);
+  eachPair(wordGroups, (a, b) => {
+    const similarity = nameSimilarity(trigrams.get(a.id), trigrams.get(b.id));
+    if (similarity >= SIMILAR_NAME_THRESHOLD) {
+      suggest(a, b, similarity === 1 ? 'SAME_NAME' : 'SIMILAR_NAME', similarity);
+    }
+  });
+
+  return [...pairs.values()]
+    .sort((a, b) => b.reasons.length - a.reasons.length || (b.nameSimilarity ?? 0) - (a.nameSimilarity ?? 0))
+    .slice(0, MERGE_SUGGESTION_LIMIT);
+}
+
+const PROFILE_ID_SCHEMA = {
+  id: { type: 'integer', required: true },
+};
+
+// Profiles to fill a check-in form from: the one of the ID number, then those with the phone
+// (most recent visit first). Pass the chosen profile's id to visitors.checkIn as profileId.
+router.query('visitorProfiles.lookup', 'user', {
+  idNumber: { type: 'string', max: 64 },
+  phone: { type: 'string', max: 32 },
+}, async (input, ctx) => {
+  const idNumberBidx = blindIndex('id_number', input.idNumber);
+  const phoneBidx = blindIndex('phone', input.phone);
+  if (!idNumberBidx && !phoneBidx) {
+    throw new TRPCError('BAD_REQUEST', 'กรุณาระบุเลขบัตรประชาชนหรือเบอร์โทรศัพท์', {
+      fieldErrors: { idNumber: 'ต้องระบุเลขบัตรหรือเบอร์โทรอย่างใดอย่างหนึ่ง' },
+    });
+  }
+
+  const result = await pool.query(`
+    WITH by_id AS (
+      SELECT COALESCE(merged_into_id, id) AS id FROM visitor_profiles WHERE property_id = $1 AND id_number_bidx = $2
+    )
+    ${PROFILE_SELECT}
+    WHERE p.property_id = $1 AND p.merged_into_id IS NULL
+      AND (p.id IN (SELECT id FROM by_id) OR p.phone_bidx = $3)
+    ORDER BY p.id IN (SELECT id FROM by_id) DESC, stats.last_visit_at DESC NULLS LAST
+    LIMIT $4
+  `, [ctx.property.id, idNumberBidx, phoneBidx, PROFILE_LOOKUP_LIMIT]);
+
+  const showFull = ACCESS_ROLES.admin.includes(ctx.user.role);
+  return { profiles: result.rows.map(p => formatVisitorProfile(p, showFull)) };
+});
+
+// A profile with its visits, newest first
+router.query('visitorProfiles.byId', 'user', {
+  ...PROFILE_ID_SCHEMA,
+  limit: { type: 'integer', min: 1, max: MAX_PROFILE_VISITS },
+}, async (input, ctx) => {
+  const profile = await findVisitorProfile(input.id, ctx.property.id);
+  const visits = await pool.query(`
+    SELECT record_id, full_name, type, company, purpose, access_area, vehicle_plate,
+      check_in_time, check_out_time, status, recorded_by
+    FROM visitor_records
+    WHERE profile_id = $1
+    ORDER BY check_in_time DESC, id DESC
+    LIMIT $2
+  `, [profile.id, input.limit || 50]);
+
+  const showFull = ACCESS_ROLES.admin.includes(ctx.user.role);
+  return { ...formatVisitorProfile(profile, showFull), visits: visits.rows.map(formatProfileVisit) };
+});
+
+router.query('visitorProfiles.mergeSuggestions', 'admin', async (input, ctx) => {
+  const suggestions = await suggestProfileMerges(ctx.property.id);
+  return suggestions.map(s => ({
+    profiles: s.profiles.map(p => formatVisitorProfile(p)),
+    reasons: s.reasons,
+    nameSimilarity: s.nameSimilarity,
+  }));
+});
+
+// Move every visit of sourceId to targetId. The target keeps its details, filling in those it
+// lacks from the source; the source becomes an alias of the target.
+router.mutation('visitorProfiles.merge', 'admin', {
+  targetId: { type: 'integer', required: true },
+  sourceId: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const { targetId, sourceId } = input;
+  if (targetId === sourceId) {
+    throw new TRPCError('BAD_REQUEST', 'ไม่สามารถรวมประวัติเข้ากับตัวเองได้', { fieldErrors: { sourceId: 'ต้องไม่ใช่ประวัติเดียวกัน' } });
+  }
+
+  const client = await pool.connect();
+  let moved;
+  try {
+    await client.query('BEGIN');
+    const locked = await client.query(`
+      SELECT id FROM visitor_profiles
+      WHERE id = ANY($1) AND property_id = $2 AND merged_into_id IS NULL
+      ORDER BY id
+      FOR UPDATE
+    `, [[targetId, sourceId], ctx.property.id]);
+    if (locked.rows.length !== 2) {
+      throw new TRPCError('NOT_FOUND', 'ไม่พบประวัติผู้มาติดต่อ');
+    }
+
+    moved = await client.query('UPDATE visitor_records SET profile_id = $1 WHERE profile_id = $2', [targetId, sourceId]);
+    // Aliases of the source now lead to the target directly
+    await client.query('UPDATE visitor_profiles SET merged_into_id = $1 WHERE merged_into_id = $2', [targetId, sourceId]);
+    await client.query(`
+      UPDATE visitor_profiles t SET
+        phone = COALESCE(t.phone, s.phone), phone_bidx = COALESCE(t.phone_bidx, s.phone_bidx),
+        company = COALESCE(t.company, s.company), vehicle_plate = COALESCE(t.vehicle_plate, s.vehicle_plate),
+        updated_at = NOW()
+      FROM visitor_profiles s
+      WHERE t.id = $1 AND s.id = $2
+    `, [targetId, sourceId]);
+    await client.query(
+      'UPDATE visitor_profiles SET merged_into_id = $1, merged_by = $3, merged_at = NOW(), updated_at = NOW() WHERE id = $2',
+      [targetId, sourceId, ctx.user.username]
+    );
+
+    await writeAuditLog({
+      userId: ctx.user.username,
+      action: 'PROFILES_MERGED',
+      details: `Visitor profile #${sourceId} merged into #${targetId}, ${moved.rowCount} visit(s) moved`,
+    }, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { success: true, visitsMoved: moved.rowCount, profile: formatVisitorProfile(await findVisitorProfile(targetId, ctx.property.id)) };
+});
+
+// Move some visits of a profile to a profile of their own, built from the latest of them. When
+// their ID number belongs to a profile once merged into this one, that profile is restored;
+// when another profile has it (this one, say), the new profile gets no ID number and
+// check-ins with it keep going to that profile.
+router.mutation('visitorProfiles.split', 'admin', {
+  ...PROFILE_ID_SCHEMA,
+  recordIds: { type: 'array', required: true, max: 1000, items: { type: 'string', max: 64 } },
+}, async (input, ctx) => {
+  const recordIds = [...new Set(input.recordIds)];
+
+  const client = await pool.connect();
+  let newId;
+  try {
+    await client.query('BEGIN');
+    const locked = await client.query(
+      'SELECT id FROM visitor_profiles WHERE id = $1 AND property_id = $2 AND merged_into_id IS NULL FOR UPDATE',
+      [input.id, ctx.property.id]
+    );
+    if (locked.rows.length === 0) {
+      throw new TRPCError('NOT_FOUND', 'ไม่พบประวัติผู้มาติดต่อ');
+    }
+
+    const records = await client.query(`
+      SELECT v.*, (SELECT COUNT(*)::int FROM visitor_records WHERE profile_id = $1) AS profile_visits
+      FROM visitor_records v
+      WHERE v.profile_id = $1 AND v.record_id = ANY($2)
+      ORDER BY v.check_in_time DESC, v.id DESC
+    `, [input.id, recordIds]);
+    if (recordIds.length === 0 || records.rows.length !== recordIds.length) {
+      throw new TRPCError('BAD_REQUEST', 'มีรายการที่ไม่ได้อยู่ในประวัตินี้', { fieldErrors: { recordIds: 'ต้องเป็นรายการของประวัตินี้' } });
+    }
+    if (records.rows[0].profile_visits === recordIds.length) {
+      throw new TRPCError('BAD_REQUEST', 'ต้องเหลืออย่างน้อยหนึ่งรายการในประวัติเดิม', { fieldErrors: { recordIds: 'ต้องเหลืออย่างน้อยหนึ่งรายการ' } });
+    }
+
+    const latest = decryptRow(records.rows[0]);
+    const idNumberBidx = blindIndex('id_number', latest.id_number);
+    const owner = idNumberBidx ? (await client.query(
+      'SELECT id, merged_into_id FROM visitor_profiles WHERE property_id = $1 AND id_number_bidx = $2',
+      [ctx.property.id, idNumberBidx]
+    )).rows[0] : null;
+
+    const details = [
+      latest.full_name, latest.type, encryptField('phone', latest.phone), blindIndex('phone', latest.phone),
+      latest.company, latest.vehicle_plate,
+    ];
+    if (owner?.merged_into_id === input.id) {
+      newId = owner.id;
+      await client.query(`
+        UPDATE visitor_profiles SET
+          full_name = $2, type = $3, phone = $4, phone_bidx = $5, company = $6, vehicle_plate = $7,
+          merged_into_id = NULL, merged_by = NULL, merged_at = NULL, updated_at = NOW()
+        WHERE id = $1
+      `, [newId, ...details]);
+    } else {
+      const keyed = idNumberBidx && !owner;
+      const created = await client.query(`
+        INSERT INTO visitor_profiles (
+          property_id, full_name, type, phone, phone_bidx, company, vehicle_plate, id_number, id_number_bidx
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+        RETURNING id
+      `, [ctx.property.id, ...details, keyed ? encryptField('id_number', latest.id_number) : null, keyed ? idNumberBidx : null]);
+      newId = created.rows[0].id;
+    }
+
+    await client.query('UPDATE visitor_records SET profile_id = $1 WHERE profile_id = $2 AND record_id = ANY($3)', [newId, input.id, recordIds]);
+    // The profile's name and type follow its latest visit again, which may have been one of these
+    await client.query(`
+      UPDATE visitor_profiles p SET full_name = v.full_name, type = COALESCE(v.type, p.type), updated_at = NOW()
+      FROM (
+        SELECT full_name, type FROM visitor_records WHERE profile_id = $1 ORDER BY check_in_time DESC, id DESC LIMIT 1
+      ) v
+      WHERE p.id = $1
+    `, [input.id]);
+
+    await writeAuditLog({
+      userId: ctx.user.username,
+      action: 'PROFILE_SPLIT',
+      details: `Visitor profile #${input.id} split: ${recordIds.length} visit(s) moved to profile #${newId}`,
+    }, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  return { success: true, profile: formatVisitorProfile(await findVisitorProfile(newId, ctx.property.id)) };
+});
+
+// ============================================
+// Kiosk Keys
+// ============================================
+
+// Each self check-in kiosk sends its own key in X-Kiosk-Key; only its SHA-256 is stored, and
+// key_prefix lets admins tell the keys apart
+const KIOSK_KEY_PREFIX_LENGTH = 12;
+
+function generateKioskKey() {
+  return `vmsk_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+// The kiosk a key belongs to, with its (active) property; null for unknown or revoked keys
+async function findKioskKey(key) {
+  const result = await pool.query(`
+    SELECT k.id, k.name, k.last_used_at, p.id AS property_id, p.code, p.name AS property_name, p.timezone
+    FROM kiosk_keys k
+    JOIN properties p ON p.id = k.property_id
+    WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND p.is_active = true
+  `, [hashToken(key)]);
+  const row = result.rows[0];
+  if (!row) return null;
+
+  // Once a minute is precise enough, and spares a write per call
+  if (!row.last_used_at || Date.now() - row.last_used_at.getTime() > 60000) {
+    await pool.query('UPDATE kiosk_keys SET last_used_at = NOW() WHERE id = $1', [row.id]);
+  }
+  return {
+    id: row.id,
+    name: row.name,
+    property: formatProperty({ id: row.property_id, code: row.code, name: row.property_name, timezone: row.timezone }),
+  };
+}
+
+// A wrong key is a blocked attempt: audited, and rate limited per IP against guessing
+async function rejectKioskKey(ip) {
+  await enforceRateLimit('kioskKey', ip);
+  await writeAuditLog({
+    userId: 'anonymous',
+    action: 'KIOSK_KEY_REJECTED',
+    details: `Unknown or revoked kiosk key from ${ip}`,
+  });
+}
+
+function formatKioskKey(k) {
+  return {
+    id: k.id,
+    name: k.name,
+    keyPrefix: k.key_prefix,
+    createdBy: k.created_by,
+    createdAt: k.created_at?.toISOString(),
+    lastUsedAt: k.last_used_at?.toISOString() || null,
+    revokedBy: k.revoked_by,
+    revokedAt: k.revoked_at?.toISOString() || null,
+  };
+}
+
+// Keys of the current property, revoked ones included
+router.query('kioskKeys.list', 'admin', async (input, ctx) => {
+  const result = await pool.query(
+    'SELECT * FROM kiosk_keys WHERE property_id = $1 ORDER BY revoked_at IS NOT NULL, id',
+    [ctx.property.id]
+  );
+  return result.rows.map(formatKioskKey);
+});
+
+// The key itself is only returned here: enter it on the kiosk, it cannot be shown again
+router.mutation('kioskKeys.create', 'admin', {
+  name: { type: 'string', required: true, max: 255 },
+}, async (input, ctx) => {
+  const key = generateKioskKey();
+  const result = await pool.query(`
+    INSERT INTO kiosk_keys (property_id, name, key_hash, key_prefix, created_by)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING *
+  `, [ctx.property.id, input.name, hashToken(key), key.slice(0, KIOSK_KEY_PREFIX_LENGTH), ctx.user.username]);
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'KIOSK_KEY_CREATED',
+    details: `Kiosk key #${result.rows[0].id} (${input.name}) created`,
+  });
+
+  return { success: true, kioskKey: formatKioskKey(result.rows[0]), key };
+});
+
+// Takes effect on the kiosk's next call
+router.mutation('kioskKeys.revoke', 'admin', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const result = await pool.query(`
+    UPDATE kiosk_keys SET revoked_by = $3, revoked_at = NOW()
+    WHERE id = $1 AND property_id = $2 AND revoked_at IS NULL
+    RETURNING name
+  `, [input.id, ctx.property.id, ctx.user.username]);
+  if (result.rows.length === 0) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบรหัสเครื่องคีออสก์ที่ยังใช้งานอยู่');
+  }
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'KIOSK_KEY_REVOKED',
+    details: `Kiosk key #${input.id} (${result.rows[0].name}) revoked`,
+  });
+
+  return { success: true };
+});
+
+// ============================================
+// Self Check-in Routes (for Web)
+// ============================================
+
+// Get the consent version in force at the kiosk's property. The form sends its versionId back
+// with the check-in, together with the language the visitor read.
+router.query('selfCheckIn.getConsent', 'public', async (input, ctx) => {
+  const consent = await currentConsent(ctx.property.id);
+  return {
+    consentText: consent?.text_th || null,
+    versionId: consent?.id || null,
+    version: consent?.version || null,
+    effectiveFrom: consent?.effective_from?.toISOString() || null,
+    texts: consent ? { th: consent.text_th, en: consent.text_en } : {},
+    languages: consent ? CONSENT_LANGUAGES.filter(language => consent[`text_${language}`]) : [],
+    property: { code: ctx.property.code, name: ctx.property.name },
+  };
+});
+
+// Submit self check-in
+router.mutation('selfCheckIn.submit', 'kiosk', {
+  ...VISITOR_FIELDS_SCHEMA,
+  fullName: { type: 'string', required: true, max: 255 },
+  visitorType: { type: 'string', enum: VISITOR_TYPES },
+  lockerNumber: { type: 'string', max: 64 },
+  consentAccepted: { type: 'boolean' },
+  ...CONSENT_INPUT_SCHEMA,
+  photoData: { type: 'string' },
+  consentSignature: { type: 'string' },
+}, async (input, ctx) => {
+  const {
+    fullName, type, idNumber, phone, company,
+    purpose, accessArea, notes, vehiclePlate, photoData, lockerNumber,
+    consentSignature, visitorType
+  } = input;
+
+  // Support both 'type' and 'visitorType' field names
+  const visitorTypeValue = type || visitorType || 'visitor';
+
+  requireConsentAccepted(input);
+  const consent = await acceptConsent(ctx.property.id, input);
+
+  const uploads = prepareAttachments({ photo: photoData, consent_signature: consentSignature });
+
+  // Generate unique record ID
+  const timestamp = Date.now();
+  const randomSuffix = Math.random().toString(36).substring(2, 8);
+  const recordId = `SELF-${timestamp}-${randomSuffix}`;
+
+  // The public form is never told which rule matched
+  const watchlistMatches = await screenCheckIn(ctx.property.id, { fullName, idNumber, phone, vehiclePlate }, recordId, 'self-checkin', false);
+
+  // Generate signed QR code data
+  const qrExpiry = new Date(timestamp + QR_VALIDITY_HOURS * 3600000);
+  const qrData = createQrCode(recordId, qrExpiry);
+  const lockerDue = lockerNumber ? await lockerDueAt(ctx.property.id, visitorTypeValue) : null;
+  const attachments = await putAttachmentBlobs(uploads);
+
+  // Insert record, with its locker and attachments
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    const profileId = await linkVisitorProfile(client, ctx.property.id, {
+      fullName, type: visitorTypeValue, idNumber, phone, company, vehiclePlate,
+    });
+    result = await client.query(`
+      INSERT INTO visitor_records (
+        record_id, full_name, type, id_number, phone, company,
+        purpose, access_area, notes, vehicle_plate,
+        recorded_by, consent_type, consent_version_id, consent_language, qr_code, qr_expiry, status, property_id,
+        id_number_bidx, phone_bidx, profile_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, 'IN', $17, $18, $19, $20)
+      RETURNING id, check_in_time
+    `, [
+      recordId, fullName, visitorTypeValue, encryptField('id_number', idNumber), encryptField('phone', phone), company,
+      purpose, accessArea, notes, vehiclePlate,
+      'self-checkin', consentSignature ? 'signature' : 'checkbox', consent.versionId, consent.language,
+      qrData, qrExpiry, ctx.property.id,
+      blindIndex('id_number', idNumber), blindIndex('phone', phone), profileId,
+    ]);
+    if (lockerNumber) {
+      await assignLocker(client, { propertyId: ctx.property.id, number: lockerNumber, recordId, assignedBy: 'self-checkin', dueAt: lockerDue });
+    }
+    await insertAttachments(client, recordId, attachments);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await removeAttachmentBlobs(attachments);
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await raiseWatchlistAlert(recordId, watchlistMatches);
+
+  await writeAuditLog({
+    recordId,
+    userId: 'self-checkin',
+    action: 'SELF_CHECK_IN',
+    details: `Self checked in via ${ctx.kiosk ? `kiosk ${ctx.kiosk.name}` : 'web'}`,
+  });
+  await publishVisitorEvent('SELF_CHECK_IN', recordId, { by: 'self-checkin' });
+
+  return {
+    success: true,
+    recordId,
+    qrData,
+    qrCode: qrData,
+    checkInTime: result.rows[0].check_in_time.toISOString(),
+    message: 'ลงทะเบียนสำเร็จ',
+  };
+});
+
+// Get all self check-in records (for compatibility: without limit and cursor it still returns
+// every record, as it did before pagination)
+router.query('selfCheckIn.getAll', 'user', {
+  ...VISITOR_FILTER_SCHEMA,
+  status: { type: 'string', enum: ['checked_in', 'checked_out', ...VISITOR_STATUSES] },
+}, async (input, ctx) => {
+  // The web uses checked_in / checked_out for status
+  const statusMap = { checked_in: 'IN', checked_out: 'OUT' };
+  const page = await paginateVisitors(
+    { ...input, status: statusMap[input.status] || input.status },
+    `id, record_id, full_name, type, id_number, phone, company, purpose, vehicle_plate,
+      access_area, qr_code, qr_expiry, check_in_time, check_out_time, status, created_at,
+      ${LOCKER_NUMBER_SQL} AS locker_number`,
+    ctx.property.id,
+    { allowAll: true }
+  );
+  return {
+    success: true,
+    nextCursor: page.nextCursor,
+    totalCount: page.totalCount,
+    records: page.rows.map(r => ({
+      id: r.id,
+      record_id: r.record_id,
+      full_name: r.full_name,
+      type: r.type,
+      id_number: maskedField('id_number', r.id_number),
+      phone: maskedField('phone', r.phone),
+      company: r.company,
+      purpose: r.purpose,
+      vehicle_plate: r.vehicle_plate,
+      locker_number: r.locker_number,
+      department: null,
+      work_area: r.access_area,
+      qr_code: r.qr_code,
+      qr_expiry: r.qr_expiry?.toISOString(),
+      check_in_time: r.check_in_time?.toISOString(),
+      check_out_time: r.check_out_time?.toISOString(),
+      status: r.status === 'IN' ? 'checked_in' : 'checked_out',
+      created_at: r.created_at?.toISOString(),
+    }))
+  };
+});
+
+// ============================================
+// Invitations (pre-registration by hosts)
+// ============================================
+
+// QR payload: "VMSI:<code>:<expected until ms>:<HMAC-SHA256 base64url>"
+const INVITATION_QR_PREFIX = 'VMSI';
+const INVITATION_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ'; // no 0/O or 1/I/L
+const INVITATION_CODE_LENGTH = 8;
+const INVITATION_EARLY_MINUTES = 120; // redeemable this long before expected_from
+const NO_SHOW_SWEEP_MS = 15 * 60000;
+
+const INVITATION_REJECT_MESSAGES = {
+  INVALID_CODE: 'รหัสคำเชิญไม่ถูกต้อง',
+  NOT_FOUND: 'ไม่พบคำเชิญ',
+  CANCELLED: 'คำเชิญนี้ถูกยกเลิกแล้ว',
+  ALREADY_REDEEMED: 'คำเชิญนี้ถูกใช้ลงทะเบียนแล้ว',
+  TOO_EARLY: 'ยังไม่ถึงเวลาที่นัดหมาย',
+  EXPIRED: 'คำเชิญนี้หมดอายุแล้ว',
+};
+
+function generateInvitationCode() {
+  let code = '';
+  for (let i = 0; i < INVITATION_CODE_LENGTH; i++) {
+    code += INVITATION_CODE_ALPHABET[crypto.randomInt(INVITATION_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+function createInvitationQr(code, expectedUntil) {
+  const expiryMs = expectedUntil.getTime();
+  return `${INVITATION_QR_PREFIX}:${code}:${expiryMs}:${signQr(code, expiryMs, INVITATION_QR_PREFIX)}`;
+}
+
+// The typed code or the code inside a scanned QR; null if the QR is malformed or forged
+function invitationCodeFrom({ code, qrCode }) {
+  if (!qrCode) {
+    return code ? code.toUpperCase().replace(/[\s-]/g, '') : null;
+  }
+
+  const parts = qrCode.trim().split(':');
+  if (parts.length !== 4 || parts[0] !== INVITATION_QR_PREFIX) return null;
+  const [, qrInvitationCode, expiryMs, signature] = parts;
+  const expected = Buffer.from(signQr(qrInvitationCode, Number(expiryMs), INVITATION_QR_PREFIX));
+  const given = Buffer.from(signature);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) return null;
+  return qrInvitationCode;
+}
+
+function rejectInvitation(reason) {
+  const code = reason === 'NOT_FOUND' ? 'NOT_FOUND' : reason === 'ALREADY_REDEEMED' ? 'CONFLICT' : 'BAD_REQUEST';
+  throw new TRPCError(code, INVITATION_REJECT_MESSAGES[reason], { reason });
+}
+
+// Load an invitation of the property by code / QR, with its redemption window evaluated in SQL
+async function findInvitation(input, propertyId) {
+  const code = invitationCodeFrom(input);
+  if (!code) rejectInvitation('INVALID_CODE');
+
+  const result = await pool.query(`
+    SELECT i.*, u.name AS host_name,
+      LOCALTIMESTAMP < i.expected_from - make_interval(mins => $2) AS too_early,
+      LOCALTIMESTAMP > i.expected_until AS expired
+    FROM invitations i
+    LEFT JOIN app_users u ON u.username = i.host_username
+    WHERE i.code = $1 AND i.property_id = $3
+  `, [code, INVITATION_EARLY_MINUTES, propertyId]);
+  if (result.rows.length === 0) rejectInvitation('NOT_FOUND');
+  return result.rows[0];
+}
+
+// Why a loaded invitation cannot be redeemed now, or null
+function invitationRejectReason(invitation) {
+  if (invitation.status === 'cancelled') return 'CANCELLED';
+  if (invitation.status === 'redeemed') return 'ALREADY_REDEEMED';
+  if (invitation.status === 'no_show' || invitation.expired) return 'EXPIRED';
+  if (invitation.too_early) return 'TOO_EARLY';
+  return null;
+}
+
+// Pending invitations past their window become no-shows (audited once each)
+async function markNoShows() {
+  const result = await pool.query(`
+    UPDATE invitations SET status = 'no_show', updated_at = NOW()
+    WHERE status = 'pending' AND expected_until < LOCALTIMESTAMP
+    RETURNING code, host_username, property_id
+  `);
+  for (const invitation of result.rows) {
+    await writeAuditLog({
+      userId: 'system',
+      action: 'INVITATION_NO_SHOW',
+      details: `Guest of invitation ${invitation.code} (host ${invitation.host_username}) did not arrive`,
+      propertyId: invitation.property_id,
+    });
+  }
+  return result.rowCount;
+}
+
+function startInvitationJob() {
+  setInterval(async () => {
+    try {
+      await markNoShows();
+    } catch (error) {
+      console.error('[Invitations] No-show sweep failed:', error);
+    }
+  }, NO_SHOW_SWEEP_MS).unref();
+}
+
+// full = false hides contact and ID details (public lookups by code)
+function formatInvitation(i, full = true) {
+  const invitation = {
+    id: i.id,
+    code: i.code,
+    fullName: i.full_name,
+    type: i.type,
+    company: i.company,
+    purpose: i.purpose,
+    accessArea: i.access_area,
+    expectedFrom: i.expected_from?.toISOString(),
+    expectedUntil: i.expected_until?.toISOString(),
+    status: i.status,
+    hostName: i.host_name || i.host_username,
+  };
+  if (!full) return invitation;
+
+  return {
+    ...invitation,
+    hostUsername: i.host_username,
+    idNumber: decryptField('id_number', i.id_number),
+    phone: decryptField('phone', i.phone),
+    vehiclePlate: i.vehicle_plate,
+    notes: i.notes,
+    qrCode: createInvitationQr(i.code, i.expected_until),
+    recordId: i.record_id || null,
+    redeemedAt: i.redeemed_at?.toISOString() || null,
+    cancelledAt: i.cancelled_at?.toISOString() || null,
+    cancelledBy: i.cancelled_by,
+    createdAt: i.created_at?.toISOString(),
+  };
+}
+
+const INVITATION_LOOKUP_SCHEMA = {
+  code: { type: 'string', max: 32 },
+  qrCode: { type: 'string', max: 512 },
+};
+
+// Pre-register a visitor; the logged-in user is the host
+router.mutation('invitations.create', 'user', {
+  ...VISITOR_FIELDS_SCHEMA,
+  fullName: { type: 'string', required: true, max: 255 },
+  expectedFrom: { type: 'date', required: true },
+  expectedUntil: { type: 'date', required: true },
+}, async (input, ctx) => {
+  const expectedFrom = new Date(input.expectedFrom);
+  const expectedUntil = new Date(input.expectedUntil);
+  if (expectedUntil <= expectedFrom) {
+    throw new TRPCError('BAD_REQUEST', 'ข้อมูลไม่ถูกต้อง: expectedUntil ต้องหลัง expectedFrom', {
+      fieldErrors: { expectedUntil: 'ต้องหลัง expectedFrom' },
+    });
+  }
+  if (expectedUntil <= new Date()) {
+    throw new TRPCError('BAD_REQUEST', 'ข้อมูลไม่ถูกต้อง: expectedUntil ต้องเป็นเวลาในอนาคต', {
+      fieldErrors: { expectedUntil: 'ต้องเป็นเวลาในอนาคต' },
+    });
+  }
+
+  // Retry on the (unlikely) code collision
+  let result;
+  for (let attempt = 0; !result; attempt++) {
+    try {
+      result = await pool.query(`
+        INSERT INTO invitations (
+          code, host_username, full_name, type, id_number, phone, company,
+          purpose, access_area, vehicle_plate, notes, expected_from, expected_until, property_id,
+          id_number_bidx, phone_bidx
+        ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16)
+        RETURNING *
+      `, [
+        generateInvitationCode(), ctx.user.username, input.fullName, input.type || 'visitor',
+        encryptField('id_number', input.idNumber), encryptField('phone', input.phone), input.company,
+        input.purpose, input.accessArea, input.vehiclePlate, input.notes, expectedFrom, expectedUntil, ctx.property.id,
+        blindIndex('id_number', input.idNumber), blindIndex('phone', input.phone),
+      ]);
+    } catch (error) {
+      if (error.code !== '23505' || attempt >= 2) throw error;
+    }
+  }
+
+  const invitation = result.rows[0];
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'INVITATION_CREATED',
+    details: `Invitation ${invitation.code} created`,
+  });
+
+  return { success: true, invitation: formatInvitation({ ...invitation, host_name: ctx.user.name }) };
+});
+
+// Hosts see their own invitations, admins see everyone's (optionally one host's)
+router.query('invitations.list', 'user', {
+  status: { type: 'string', enum: INVITATION_STATUSES },
+  dateFrom: { type: 'date' },
+  dateTo: { type: 'date' },
+  host: { type: 'string', max: 64 },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+}, async (input, ctx) => {
+  await markNoShows();
+
+  const conditions = [];
+  const values = [];
+  const param = value => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+  conditions.push(`i.property_id = ${param(ctx.property.id)}`);
+  if (!ACCESS_ROLES.admin.includes(ctx.user.role)) conditions.push(`i.host_username = ${param(ctx.user.username)}`);
+  else if (input.host) conditions.push(`i.host_username = ${param(input.host)}`);
+  if (input.status) conditions.push(`i.status = ${param(input.status)}`);
+  if (input.dateFrom) conditions.push(`i.expected_from >= ${param(new Date(input.dateFrom))}`);
+  if (input.dateTo) conditions.push(`i.expected_from < ${param(new Date(input.dateTo))}`);
+
+  const result = await pool.query(`
+    SELECT i.*, u.name AS host_name, v.record_id
+    FROM invitations i
+    LEFT JOIN app_users u ON u.username = i.host_username
+    LEFT JOIN visitor_records v ON v.invitation_id = i.id
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY i.expected_from DESC, i.id DESC
+    LIMIT ${param(input.limit || DEFAULT_PAGE_SIZE)}
+  `, values);
+  // ID numbers and phones masked, as in visitors.list
+  return result.rows.map(i => {
+    const invitation = formatInvitation(i);
+    return { ...invitation, idNumber: maskIdNumber(invitation.idNumber), phone: maskIdNumber(invitation.phone) };
+  });
+});
+
+// Look up an invitation to pre-fill the check-in form. Without a login only the
+// non-sensitive fields are returned.
+router.query('invitations.byCode', 'public', INVITATION_LOOKUP_SCHEMA, async (input, ctx) => {
+  const invitation = await findInvitation(input, ctx.property.id);
+  return {
+    invitation: formatInvitation(invitation, Boolean(ctx.user)),
+    redeemable: invitationRejectReason(invitation) === null,
+    reason: invitationRejectReason(invitation),
+  };
+});
+
+// Check the invited visitor in. Used by both the self check-in web (with its kiosk key) and
+// the guard app; fields sent here override what the host pre-registered.
+router.mutation('invitations.redeem', 'kiosk', {
+  ...INVITATION_LOOKUP_SCHEMA,
+  ...VISITOR_FIELDS_SCHEMA,
+  consentType: { type: 'string', enum: CONSENT_TYPES },
+  photoUri: { type: 'string' },
+  photoData: { type: 'string' },
+  visitorCardPhotoUri: { type: 'string' },
+  idCardPhotoUri: { type: 'string' },
+  consentSignature: { type: 'string' },
+  consentAccepted: { type: 'boolean' },
+  ...CONSENT_INPUT_SCHEMA,
+  lockerNumber: { type: 'string', max: 64 },
+}, async (input, ctx) => {
+  const invitation = await findInvitation(input, ctx.property.id);
+  const reason = invitationRejectReason(invitation);
+  if (reason) rejectInvitation(reason);
+
+  // Visitors redeeming on the self check-in web accept the consent themselves
+  if (!ctx.user) requireConsentAccepted(input);
+  const consent = await acceptConsent(invitation.property_id, input);
+
+  const visitor = {
+    fullName: input.fullName || invitation.full_name,
+    type: input.type || invitation.type,
+    idNumber: input.idNumber || decryptField('id_number', invitation.id_number),
+    phone: input.phone || decryptField('phone', invitation.phone),
+    company: input.company || invitation.company,
+    purpose: input.purpose || invitation.purpose,
+    accessArea: input.accessArea || invitation.access_area,
+    vehiclePlate: input.vehiclePlate || invitation.vehicle_plate,
+    notes: input.notes || invitation.notes,
+  };
+  const recordedBy = ctx.user ? ctx.user.username : 'self-checkin';
+  const recordId = `INV-${invitation.code}`;
+
+  const uploads = prepareAttachments({
+    photo: input.photoUri || input.photoData,
+    visitor_card_photo: input.visitorCardPhotoUri,
+    id_card_photo: input.idCardPhotoUri,
+    consent_signature: input.consentSignature,
+  });
+
+  const watchlistMatches = await screenCheckIn(invitation.property_id, visitor, recordId, recordedBy, Boolean(ctx.user));
+
+  const qrExpiry = new Date(Date.now() + QR_VALIDITY_HOURS * 3600000);
+  const qrCode = createQrCode(recordId, qrExpiry);
+  const lockerDue = input.lockerNumber ? await lockerDueAt(invitation.property_id, visitor.type) : null;
+  const attachments = await putAttachmentBlobs(uploads);
+
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query('BEGIN');
+    // Claim the invitation first, so two simultaneous redemptions cannot both succeed
+    const claimed = await client.query(
+      "UPDATE invitations SET status = 'redeemed', redeemed_at = NOW(), updated_at = NOW() WHERE id = $1 AND status = 'pending'",
+      [invitation.id]
+    );
+    if (claimed.rowCount === 0) rejectInvitation('ALREADY_REDEEMED');
+
+    const profileId = await linkVisitorProfile(client, invitation.property_id, visitor);
+    result = await client.query(`
+      INSERT INTO visitor_records (
+        record_id, full_name, type, id_number, phone, company,
+        purpose, access_area, notes, vehicle_plate, recorded_by,
+        consent_type, consent_version_id, consent_language, qr_code, qr_expiry, invitation_id, status, property_id,
+        id_number_bidx, phone_bidx, profile_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, 'IN', $18, $19, $20, $21)
+      RETURNING id, check_in_time
+    `, [
+      recordId, visitor.fullName, visitor.type,
+      encryptField('id_number', visitor.idNumber), encryptField('phone', visitor.phone), visitor.company,
+      visitor.purpose, visitor.accessArea, visitor.notes, visitor.vehiclePlate, recordedBy,
+      input.consentType || (input.consentSignature ? 'signature' : 'checkbox'), consent.versionId, consent.language,
+      qrCode, qrExpiry, invitation.id, invitation.property_id,
+      blindIndex('id_number', visitor.idNumber), blindIndex('phone', visitor.phone), profileId,
+    ]);
+    if (input.lockerNumber) {
+      await assignLocker(client, {
+        propertyId: invitation.property_id,
+        number: input.lockerNumber,
+        recordId,
+        assignedBy: recordedBy,
+        dueAt: lockerDue,
+      });
+    }
+    await insertAttachments(client, recordId, attachments);
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    await removeAttachmentBlobs(attachments);
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await raiseWatchlistAlert(recordId, watchlistMatches);
+
+  await writeAuditLog({
+    recordId,
+    userId: recordedBy,
+    action: ctx.user ? 'CHECK_IN' : 'SELF_CHECK_IN',
+    details: `Checked in with invitation ${invitation.code} (host ${invitation.host_username})`,
+  });
+  await publishVisitorEvent(ctx.user ? 'CHECK_IN' : 'SELF_CHECK_IN', recordId, {
+    by: recordedBy,
+    invitation: { id: invitation.id, code: invitation.code, host: invitation.host_username },
+  });
+
+  return {
+    success: true,
+    id: result.rows[0].id,
+    recordId,
+    invitationId: invitation.id,
+    qrCode,
+    qrData: qrCode,
+    qrExpiry: qrExpiry.toISOString(),
+    checkInTime: result.rows[0].check_in_time.toISOString(),
+    message: 'ลงทะเบียนสำเร็จ',
+    ...(ctx.user ? { watchlist: watchlistMatches.map(formatWatchlistMatch) } : {}),
+  };
+});
+
+// Cancel a pending invitation (its host or an admin)
+router.mutation('invitations.cancel', 'user', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const existing = await pool.query(
+    'SELECT * FROM invitations WHERE id = $1 AND property_id = $2',
+    [input.id, ctx.property.id]
+  );
+  const invitation = existing.rows[0];
+  if (!invitation) {
+    throw new TRPCError('NOT_FOUND', INVITATION_REJECT_MESSAGES.NOT_FOUND);
+  }
+  if (invitation.host_username !== ctx.user.username && !ACCESS_ROLES.admin.includes(ctx.user.role)) {
+    throw new TRPCError('FORBIDDEN', 'ไม่มีสิทธิ์เข้าถึง');
+  }
+
+  const result = await pool.query(`
+    UPDATE invitations SET status = 'cancelled', cancelled_at = NOW(), cancelled_by = $2, updated_at = NOW()
+    WHERE id = $1 AND status = 'pending'
+  `, [input.id, ctx.user.username]);
+  if (result.rowCount === 0) {
+    throw new TRPCError('CONFLICT', 'คำเชิญนี้ไม่อยู่ในสถานะรอลงทะเบียน');
+  }
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'INVITATION_CANCELLED',
+    details: `Invitation ${invitation.code} cancelled`,
+  });
+
+  return { success: true };
+});
+
+// ============================================
+// Settings Routes
+// ============================================
+
+// Settings of one property (app_settings rows without a property are global, e.g. the QR key)
+async function getSettings(propertyId) {
+  const result = await pool.query('SELECT key, value FROM app_settings WHERE property_id = $1', [propertyId]);
+  const settings = {};
+  result.rows.forEach(row => {
+    settings[row.key] = row.value;
+  });
+  
+  return {
+    retentionDays: parseInt(settings.retentionDays || '90'),
+    retentionMode: settings.retentionMode || 'anonymize',
+    notificationTime: settings.notificationTime || '00:00',
+    maxStayHours: parseMaxStayHours(settings.maxStayHours),
+    autoCheckOut: settings.autoCheckOut === 'true',
+  };
+}
+
+async function saveSetting(propertyId, key, value, db = pool) {
+  await db.query(`
+    INSERT INTO app_settings (property_id, key, value) VALUES ($1, $2, $3)
+    ON CONFLICT (property_id, key) WHERE property_id IS NOT NULL DO UPDATE SET value = $3, updated_at = NOW()
+  `, [propertyId, key, value]);
+}
+
+// The time zone is the property's own, changed with properties.update; the consent text is
+// the Thai wording of the version in force
+router.query('settings.get', 'user', async (input, ctx) => {
+  const [settings, consent] = await Promise.all([getSettings(ctx.property.id), currentConsent(ctx.property.id)]);
+  return {
+    consentText: consent?.text_th || null,
+    consentVersionId: consent?.id || null,
+    ...settings,
+    timezone: ctx.property.timezone,
+  };
+});
+
+router.mutation('settings.update', 'admin', {
+  consentText: { type: 'string', max: 10000 },
+  retentionDays: { type: 'integer', min: 0, max: 3650 },
+  retentionMode: { type: 'string', enum: RETENTION_MODES },
+  notificationTime: { type: 'string', pattern: /^([01]\d|2[0-3]):[0-5]\d$/, patternMessage: 'ต้องอยู่ในรูปแบบ HH:MM' },
+  maxStayHours: { type: 'object' },
+  autoCheckOut: { type: 'boolean' },
+}, async (input, ctx) => {
+  const { consentText, retentionDays, retentionMode, notificationTime, maxStayHours, autoCheckOut } = input;
+  const before = await getSettings(ctx.property.id);
+
+  if (maxStayHours != null) {
+    for (const [type, hours] of Object.entries(maxStayHours)) {
+      if (!VISITOR_TYPES.includes(type) || typeof hours !== 'number' || !(hours > 0 && hours <= 720)) {
+        throw new TRPCError('BAD_REQUEST', `ข้อมูลไม่ถูกต้อง: maxStayHours.${type} ต้องเป็นจำนวนชั่วโมง 1-720`, {
+          fieldErrors: { maxStayHours: `${type} ต้องเป็นจำนวนชั่วโมง 1-720` },
+        });
+      }
+    }
+  }
+
+  // Consent texts are never edited in place: a changed text is published as a new version
+  // (Thai only; consent.create also takes the English text)
+  const consent = await currentConsent(ctx.property.id);
+  if (consentText && consentText !== consent?.text_th) {
+    const draft = await createConsentVersion(ctx.property.id, { textTh: consentText }, ctx.user.username);
+    const version = await publishConsentVersion(draft.id, ctx.user.username);
+    await writeAuditLog({
+      userId: ctx.user.username,
+      action: 'CONSENT_PUBLISHED',
+      details: `Consent version ${version.version} published, effective ${version.effective_from.toISOString()}`,
+    });
+  }
+  if (retentionDays != null) {
+    await saveSetting(ctx.property.id, 'retentionDays', retentionDays.toString());
+  }
+  if (retentionMode != null) {
+    await saveSetting(ctx.property.id, 'retentionMode', retentionMode);
+  }
+  if (notificationTime != null) {
+    await saveSetting(ctx.property.id, 'notificationTime', notificationTime);
+  }
+  if (maxStayHours != null) {
+    // Merged over the current values, so one type can be changed at a time
+    await saveSetting(ctx.property.id, 'maxStayHours', JSON.stringify({ ...before.maxStayHours, ...maxStayHours }));
+  }
+  if (autoCheckOut != null) {
+    await saveSetting(ctx.property.id, 'autoCheckOut', String(autoCheckOut));
+  }
+
+  const changes = diffChanges(before, await getSettings(ctx.property.id));
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'SETTINGS_UPDATED',
+    details: `App settings updated${changes ? ` (${Object.keys(changes).join(', ')})` : ''}`,
+    changes,
+  });
+
+  return { success: true };
+});
+
+// ============================================
+// Data Retention (PDPA)
+// ============================================
+
+const RETENTION_LOCK_ID = 72010001; // pg advisory lock so only one instance purges at a time
+
+async function getRetentionPolicy(propertyId) {
+  const result = await pool.query(
+    "SELECT key, value FROM app_settings WHERE property_id = $1 AND key IN ('retentionDays', 'retentionMode')",
+    [propertyId]
+  );
+  const settings = {};
+  result.rows.forEach(row => {
+    settings[row.key] = row.value;
+  });
+
+  const mode = RETENTION_MODES.includes(settings.retentionMode) ? settings.retentionMode : 'anonymize';
+  return { retentionDays: parseInt(settings.retentionDays || '90'), mode };
+}
+
+// Checked-out records of property $2 whose check-out is older than the retention window
+const RETENTION_WHERE = `
+  property_id = $2
+  AND status = 'OUT'
+  AND check_out_time < NOW() - make_interval(days => $1)
+  AND anonymized_at IS NULL
+`;
+
+// Invitations hold the same personal data; settled ones go once their window is as old
+const INVITATION_RETENTION_WHERE = `
+  property_id = $2
+  AND status <> 'pending'
+  AND expected_until < NOW() - make_interval(days => $1)
+`;
+
+// Blanks the personal fields of a visitor record and detaches it from its profile; type,
+// company, area and times stay for the statistics
+const ANONYMIZE_VISITOR_SET = `
+  full_name = '[anonymized]',
+  profile_id = NULL,
+  id_number = NULL,
+  id_number_bidx = NULL,
+  phone = NULL,
+  phone_bidx = NULL,
+  photo_uri = NULL,
+  visitor_card_photo_uri = NULL,
+  id_card_photo_uri = NULL,
+  consent_signature = NULL,
+  purpose = NULL,
+  notes = NULL,
+  vehicle_plate = NULL,
+  qr_code = NULL,
+  anonymized_at = NOW(),
+  updated_at = NOW()
+`;
+
+// Alert texts and acknowledgement notes of anonymized records: notes are free text, and alerts
+// raised by earlier versions named the visitor
+async function clearAlertDetails(db, recordIds) {
+  await db.query('UPDATE visitor_alerts SET details = NULL, acknowledge_note = NULL WHERE record_id = ANY($1)', [recordIds]);
+}
+
+async function previewRetention(propertyId) {
+  const { retentionDays, mode } = await getRetentionPolicy(propertyId);
+  if (!(retentionDays > 0)) {
+    return { enabled: false, retentionDays, mode, count: 0, invitationCount: 0, records: [] };
+  }
+
+  const count = await pool.query(`SELECT COUNT(*) FROM visitor_records WHERE ${RETENTION_WHERE}`, [retentionDays, propertyId]);
+  const invitationCount = await pool.query(
+    `SELECT COUNT(*) FROM invitations WHERE ${INVITATION_RETENTION_WHERE}`,
+    [retentionDays, propertyId]
+  );
+  const sample = await pool.query(`
+    SELECT record_id, full_name, type, check_in_time, check_out_time,
+      ${hasAttachmentSql('photo')} AS has_photo,
+      ${hasAttachmentSql('id_card_photo')} AS has_id_card_photo,
+      ${hasAttachmentSql('consent_signature')} AS has_consent_signature
+    FROM visitor_records WHERE ${RETENTION_WHERE}
+    ORDER BY check_out_time ASC
+    LIMIT 200
+  `, [retentionDays, propertyId]);
+
+  return {
+    enabled: true,
+    retentionDays,
+    mode,
+    count: parseInt(count.rows[0].count),
+    invitationCount: parseInt(invitationCount.rows[0].count),
+    records: sample.rows.map(r => ({
+      id: r.record_id,
+      fullName: r.full_name,
+      type: r.type,
+      checkInTime: r.check_in_time?.toISOString(),
+      checkOutTime: r.check_out_time?.toISOString(),
+      hasPhoto: r.has_photo,
+      hasIdCardPhoto: r.has_id_card_photo,
+      hasConsentSignature: r.has_consent_signature,
+    })),
+  };
+}
+
+// Purge everything of one property outside its retention window and write one summary audit
+// entry. Returns null if another instance is already running a purge.
+async function runRetentionPurge(triggeredBy, propertyId) {
+  const { retentionDays, mode } = await getRetentionPolicy(propertyId);
+  if (!(retentionDays > 0)) {
+    return { enabled: false, retentionDays, mode, purged: 0, invitationsPurged: 0, profilesPurged: 0, eventsPurged: 0 };
+  }
+
+  const client = await pool.connect();
+  let summary;
+  let recordIds;
+  try {
+    await client.query('BEGIN');
+    const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS locked', [RETENTION_LOCK_ID]);
+    if (!lock.rows[0].locked) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    let result;
+    if (mode === 'delete') {
+      result = await client.query(
+        `DELETE FROM visitor_records WHERE ${RETENTION_WHERE} RETURNING record_id`,
+        [retentionDays, propertyId]
+      );
+    } else {
+      result = await client.query(
+        `UPDATE visitor_records SET ${ANONYMIZE_VISITOR_SET} WHERE ${RETENTION_WHERE} RETURNING record_id`,
+        [retentionDays, propertyId]
+      );
+      await clearAlertDetails(client, result.rows.map(row => row.record_id));
+    }
+
+    const invitations = await client.query(
+      `DELETE FROM invitations WHERE ${INVITATION_RETENTION_WHERE}`,
+      [retentionDays, propertyId]
+    );
+    // Profiles whose every visit has just gone
+    const profilesPurged = await deleteOrphanedProfiles(client, propertyId);
+    // Event payloads carry visitor names too (their webhook deliveries go with them)
+    const events = await client.query(
+      'DELETE FROM events WHERE property_id = $2 AND created_at < NOW() - make_interval(days => $1)',
+      [retentionDays, propertyId]
+    );
+
+    await writeAuditLog({
+      userId: triggeredBy,
+      action: 'RETENTION_PURGE',
+      details: `Retention purge (${mode}): ${result.rowCount} record(s) checked out more than ${retentionDays} days ago, ` +
+        `${invitations.rowCount} invitation(s), ${profilesPurged} visitor profile(s) and ${events.rowCount} event(s) deleted`,
+      propertyId,
+    }, client);
+
+    await client.query('COMMIT');
+
+    recordIds = result.rows.map(row => row.record_id);
+    summary = {
+      enabled: true,
+      retentionDays,
+      mode,
+      purged: result.rowCount,
+      invitationsPurged: invitations.rowCount,
+      profilesPurged,
+      eventsPurged: events.rowCount,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  // Photos and signatures live in the attachment store
+  await deleteAttachmentsAfterCommit(recordIds);
+  return summary;
+}
+
+function startRetentionJob() {
+  if (!(RETENTION_INTERVAL_HOURS > 0)) {
+    console.log('[Retention] Scheduled purge disabled');
+    return;
+  }
+
+  // Every property, inactive ones included: their data is still held
+  const run = async () => {
+    try {
+      const properties = await pool.query('SELECT id, code FROM properties ORDER BY id');
+      for (const property of properties.rows) {
+        const summary = await runRetentionPurge('system', property.id);
+        if (summary?.purged) {
+          console.log(`[Retention] ${property.code}: purged ${summary.purged} record(s) (${summary.mode})`);
+        }
+      }
+    } catch (error) {
+      console.error('[Retention] Purge failed:', error);
+    }
+  };
+
+  setTimeout(run, 60000).unref();
+  setInterval(run, RETENTION_INTERVAL_HOURS * 3600000).unref();
+}
+
+// Dry run: what the next purge would touch
+router.query('retention.preview', 'admin', async (input, ctx) => {
+  return await previewRetention(ctx.property.id);
+});
+
+// Manual purge
+router.mutation('retention.run', 'admin', async (input, ctx) => {
+  const summary = await runRetentionPurge(ctx.user.username, ctx.property.id);
+  if (!summary) {
+    throw new TRPCError('CONFLICT', 'กำลังลบข้อมูลอยู่ กรุณาลองใหม่ภายหลัง');
+  }
+  return { success: true, ...summary };
+});
+
+// ============================================
+// Data Subject Requests (PDPA)
+// ============================================
+
+const DATA_REQUEST_KINDS = ['access', 'erasure'];
+const DATA_REQUEST_STATUSES = ['received', 'fulfilled', 'rejected'];
+const DATA_REQUEST_DEADLINE_DAYS = 30; // PDPA: a request is answered within 30 days of receipt
+
+// A person is identified by ID number and/or phone
+const DATA_SUBJECT_SCHEMA = {
+  idNumber: { type: 'string', max: 64 },
+  phone: { type: 'string', max: 32 },
+};
+
+// [$1, $2] for dataSubjectWhere: the blind indexes of the identifiers, which are normalized
+// first, so "1-1037-00012-34-5" finds 1103700012345 and "+66 81..." finds "081...". A phone is
+// often shared (a company switchboard, a family phone), so it only counts without an ID number.
+function dataSubjectValues({ idNumber, phone }) {
+  const idNumberIndex = blindIndex('id_number', idNumber);
+  const values = [idNumberIndex, idNumberIndex ? null : blindIndex('phone', phone)];
+  if (!values[0] && !values[1]) {
+    throw new TRPCError('BAD_REQUEST', 'กรุณาระบุเลขบัตรประชาชนหรือเบอร์โทรศัพท์', {
+      fieldErrors: { idNumber: 'ต้องระบุเลขบัตรหรือเบอร์โทรอย่างใดอย่างหนึ่ง' },
+    });
+  }
+  return values;
+}
+
+// SQL: the row of `table` belongs to the person ($1 / $2 from dataSubjectValues) and property $3
+function dataSubjectWhere(table) {
+  return `${table}.property_id = $3 AND (${table}.id_number_bidx = $1 OR ${table}.phone_bidx = $2)`;
+}
+
+// For audit details, which outlive an erasure: never the full identifiers
+function describeDataSubject(subject) {
+  const idNumber = normalizeWatchlistValue('id_number', subject.idNumber);
+  const phone = normalizeWatchlistValue('phone', subject.phone);
+  return [idNumber && `ID ${maskIdNumber(idNumber)}`, phone && `phone ${maskIdNumber(phone)}`]
+    .filter(Boolean).join(', ');
+}
+
+// Everything held about the person in the property: their visitor records (with attachment
+// metadata), invitations, visitor profiles, and the audit entries about those records and
+// invitations
+async function findDataSubject(propertyId, subject) {
+  const values = [...dataSubjectValues(subject), propertyId];
+  const [visitors, invitations, profiles] = await Promise.all([
+    pool.query(`
+      SELECT *, ${LOCKER_NUMBER_SQL} AS locker_number,
+        (SELECT c.version FROM consent_versions c WHERE c.id = visitor_records.consent_version_id) AS consent_version
+      FROM visitor_records WHERE ${dataSubjectWhere('visitor_records')}
+      ORDER BY check_in_time DESC, id DESC
+    `, values),
+    pool.query(`SELECT * FROM invitations WHERE ${dataSubjectWhere('invitations')} ORDER BY expected_from DESC`, values),
+    pool.query(`${PROFILE_SELECT} WHERE ${dataSubjectWhere('p')} ORDER BY p.id`, values),
+  ]);
+
+  const recordIds = visitors.rows.map(r => r.record_id);
+  const [attachments, auditLogs] = await Promise.all([
+    pool.query('SELECT * FROM attachments WHERE record_id = ANY($1) ORDER BY created_at', [recordIds]),
+    // Invitation entries name the invitation code in their details
+    pool.query(`
+      SELECT * FROM audit_logs
+      WHERE property_id = $3 AND (record_id = ANY($1) OR details ILIKE ANY($2))
+      ORDER BY id
+    `, [recordIds, invitations.rows.map(i => `%invitation ${i.code}%`), propertyId]),
+  ]);
+
+  return {
+    visitors: visitors.rows.map(r => ({
+      record: decryptRow(r),
+      attachments: attachments.rows.filter(a => a.record_id === r.record_id),
+    })),
+    invitations: invitations.rows,
+    profiles: profiles.rows,
+    auditLogs: auditLogs.rows,
+  };
+}
+
+function formatSubjectVisitor({ record: r, attachments }) {
+  return {
+    id: r.record_id,
+    fullName: r.full_name,
+    type: r.type,
+    idNumber: r.id_number,
+    phone: r.phone,
+    company: r.company,
+    purpose: r.purpose,
+    accessArea: r.access_area,
+    notes: r.notes,
+    vehiclePlate: r.vehicle_plate,
+    lockerNumber: r.locker_number,
+    checkInTime: r.check_in_time?.toISOString(),
+    checkOutTime: r.check_out_time?.toISOString() || null,
+    status: r.status,
+    recordedBy: r.recorded_by,
+    consentType: r.consent_type,
+    consentTime: r.consent_time?.toISOString(),
+    consentVersion: r.consent_version,
+    consentLanguage: r.consent_language,
+    attachments: attachments.map(a => ({
+      id: a.attachment_id,
+      kind: a.kind,
+      contentType: a.content_type,
+      size: a.size_bytes,
+      createdAt: a.created_at?.toISOString(),
+    })),
+  };
+}
+
+function formatSubjectData(data) {
+  return {
+    visitors: data.visitors.map(formatSubjectVisitor),
+    invitations: data.invitations.map(i => formatInvitation(i)),
+    profiles: data.profiles.map(p => formatVisitorProfile(p)),
+    auditLogs: data.auditLogs.map(formatAuditLog),
+  };
+}
+
+function formatDataRequest(r) {
+  return {
+    id: r.id,
+    kind: r.kind,
+    requesterName: r.requester_name,
+    idNumber: decryptField('id_number', r.id_number),
+    phone: decryptField('phone', r.phone),
+    status: r.status,
+    notes: r.notes,
+    receivedAt: r.received_at?.toISOString(),
+    dueAt: r.due_at?.toISOString(),
+    overdue: r.status === 'received' && r.due_at < new Date(),
+    result: r.result,
+    createdBy: r.created_by,
+    createdAt: r.created_at?.toISOString(),
+    closedBy: r.closed_by,
+    closedAt: r.closed_at?.toISOString() || null,
+  };
+}
+
+// Given a transaction's client, the request stays locked until the transaction ends
+async function findDataRequest(id, propertyId, client = null) {
+  const result = await (client || pool).query(
+    `SELECT * FROM data_subject_requests WHERE id = $1 AND property_id = $2${client ? ' FOR UPDATE' : ''}`,
+    [id, propertyId]
+  );
+  if (!result.rows[0]) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบคำขอ');
+  }
+  return result.rows[0];
+}
+
+function assertDataRequestOpen(request) {
+  if (request.status !== 'received') {
+    throw new TRPCError('CONFLICT', 'คำขอนี้ดำเนินการเสร็จสิ้นแล้ว');
+  }
+}
+
+// Look up a person without a request on file (e.g. to check before registering one)
+router.query('dataRequests.find', 'admin', DATA_SUBJECT_SCHEMA, async (input, ctx) => {
+  const data = await findDataSubject(ctx.property.id, input);
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'DATA_SUBJECT_SEARCHED',
+    details: `Data subject search (${describeDataSubject(input)}): ${data.visitors.length} record(s), ` +
+      `${data.invitations.length} invitation(s)`,
+  });
+  return formatSubjectData(data);
+});
+
+// Open requests first, by deadline
+router.query('dataRequests.list', 'admin', {
+  status: { type: 'string', enum: DATA_REQUEST_STATUSES },
+  kind: { type: 'string', enum: DATA_REQUEST_KINDS },
+}, async (input, ctx) => {
+  const result = await pool.query(`
+    SELECT * FROM data_subject_requests
+    WHERE property_id = $1 AND ($2::text IS NULL OR status = $2) AND ($3::text IS NULL OR kind = $3)
+    ORDER BY status = 'received' DESC, due_at ASC, id DESC
+  `, [ctx.property.id, input.status || null, input.kind || null]);
+
+  const requests = result.rows.map(formatDataRequest);
+  return { requests, overdueCount: requests.filter(r => r.overdue).length };
+});
+
+router.query('dataRequests.byId', 'admin', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  return formatDataRequest(await findDataRequest(input.id, ctx.property.id));
+});
+
+// What an open request covers: the records dataRequests.erase would anonymize (whose record IDs
+// it must be given back) or the access bundle would hold
+router.query('dataRequests.preview', 'admin', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const request = await findDataRequest(input.id, ctx.property.id);
+  assertDataRequestOpen(request);
+
+  const data = await findDataSubject(ctx.property.id, {
+    idNumber: decryptField('id_number', request.id_number),
+    phone: decryptField('phone', request.phone),
+  });
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'DATA_SUBJECT_SEARCHED',
+    details: `Data ${request.kind} request #${request.id} previewed: ${data.visitors.length} record(s), ` +
+      `${data.invitations.length} invitation(s)`,
+  });
+  return formatSubjectData(data);
+});
+
+// Register a request as received; the deadline runs from receivedAt (default now)
+router.mutation('dataRequests.create', 'admin', {
+  ...DATA_SUBJECT_SCHEMA,
+  kind: { type: 'string', required: true, enum: DATA_REQUEST_KINDS },
+  requesterName: { type: 'string', required: true, max: 255 },
+  receivedAt: { type: 'date' },
+  notes: { type: 'string', max: 2000 },
+}, async (input, ctx) => {
+  dataSubjectValues(input);
+  const receivedAt = input.receivedAt ? new Date(input.receivedAt) : new Date();
+  if (receivedAt > new Date()) {
+    throw new TRPCError('BAD_REQUEST', 'วันที่รับคำขอต้องไม่เป็นวันในอนาคต', {
+      fieldErrors: { receivedAt: 'ต้องไม่เป็นวันในอนาคต' },
+    });
+  }
+
+  const result = await pool.query(`
+    INSERT INTO data_subject_requests (
+      property_id, kind, requester_name, id_number, phone, notes, received_at, due_at, created_by
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $7::timestamp + make_interval(days => $8), $9)
+    RETURNING *
+  `, [
+    ctx.property.id, input.kind, input.requesterName, encryptField('id_number', input.idNumber),
+    encryptField('phone', input.phone), input.notes || null, receivedAt, DATA_REQUEST_DEADLINE_DAYS, ctx.user.username,
+  ]);
+  const request = result.rows[0];
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'DATA_REQUEST_RECEIVED',
+    details: `Data ${request.kind} request #${request.id} received (${describeDataSubject(input)}), ` +
+      `due ${request.due_at.toISOString()}`,
+  });
+
+  return { success: true, request: formatDataRequest(request) };
+});
+
+// Close a request: an access request once its bundle went out, or any request that is rejected
+// (e.g. the identity could not be verified). Erasure is fulfilled by dataRequests.erase.
+router.mutation('dataRequests.update', 'admin', {
+  id: { type: 'integer', required: true },
+  status: { type: 'string', required: true, enum: ['fulfilled', 'rejected'] },
+  notes: { type: 'string', max: 2000 },
+}, async (input, ctx) => {
+  const request = await findDataRequest(input.id, ctx.property.id);
+  assertDataRequestOpen(request);
+  if (request.kind === 'erasure' && input.status === 'fulfilled') {
+    throw new TRPCError('BAD_REQUEST', 'คำขอลบข้อมูลต้องดำเนินการด้วยการลบข้อมูล', {
+      fieldErrors: { status: 'ใช้ dataRequests.erase' },
+    });
+  }
+
+  const result = await pool.query(`
+    UPDATE data_subject_requests
+    SET status = $2, notes = COALESCE($3, notes), closed_by = $4, closed_at = NOW(), updated_at = NOW()
+    WHERE id = $1 AND status = 'received'
+    RETURNING *
+  `, [request.id, input.status, input.notes || null, ctx.user.username]);
+  if (result.rowCount === 0) {
+    throw new TRPCError('CONFLICT', 'คำขอนี้ดำเนินการเสร็จสิ้นแล้ว');
+  }
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: input.status === 'fulfilled' ? 'DATA_REQUEST_FULFILLED' : 'DATA_REQUEST_REJECTED',
+    details: `Data ${request.kind} request #${request.id} ${input.status}${input.notes ? `: ${input.notes}` : ''}`,
+  });
+
+  return { success: true, request: formatDataRequest(result.rows[0]) };
+});
+
+// Fulfil an erasure request: the person's visitor records are anonymized like a retention purge
+// (the rows stay for the statistics), their invitations likewise, and their visitor profiles,
+// events and attachments deleted. Audit entries are kept: the chain cannot lose rows, and they are the
+// record that the data was handled. The request keeps only masked identifiers afterwards.
+// recordIds are the records the admin confirmed (from dataRequests.preview); nothing is erased
+// unless they are exactly the records the request matches.
+router.mutation('dataRequests.erase', 'admin', {
+  id: { type: 'integer', required: true },
+  recordIds: { type: 'array', required: true, max: 10000, items: { type: 'string', max: 64 } },
+}, async (input, ctx) => {
+  const client = await pool.connect();
+  let recordIds;
+  let result;
+  try {
+    await client.query('BEGIN');
+    const request = await findDataRequest(input.id, ctx.property.id, client);
+    assertDataRequestOpen(request);
+    if (request.kind !== 'erasure') {
+      throw new TRPCError('BAD_REQUEST', 'คำขอนี้ไม่ใช่คำขอลบข้อมูล');
+    }
+
+    const subject = { idNumber: decryptField('id_number', request.id_number), phone: decryptField('phone', request.phone) };
+    const values = [...dataSubjectValues(subject), ctx.property.id];
+    const matched = await client.query(
+      `SELECT record_id, status FROM visitor_records WHERE ${dataSubjectWhere('visitor_records')} ORDER BY record_id`,
+      values
+    );
+    const inside = matched.rows.filter(r => r.status === 'IN');
+    if (inside.length > 0) {
+      throw new TRPCError('CONFLICT', 'ผู้มาติดต่อยังอยู่ในพื้นที่ กรุณาบันทึกออกก่อนลบข้อมูล', {
+        reason: 'VISITOR_INSIDE',
+        recordIds: inside.map(r => r.record_id),
+      });
+    }
+    const confirmed = new Set(input.recordIds);
+    if (confirmed.size !== matched.rows.length || matched.rows.some(r => !confirmed.has(r.record_id))) {
+      throw new TRPCError('CONFLICT', 'รายการที่ยืนยันไม่ตรงกับข้อมูลที่พบ กรุณาตรวจสอบอีกครั้ง', {
+        reason: 'RECORDS_CHANGED',
+        recordIds: matched.rows.map(r => r.record_id),
+      });
+    }
+
+    const linked = await client.query(
+      `SELECT DISTINCT profile_id FROM visitor_records WHERE ${dataSubjectWhere('visitor_records')} AND profile_id IS NOT NULL`,
+      values
+    );
+    const visitors = await client.query(
+      `UPDATE visitor_records SET ${ANONYMIZE_VISITOR_SET} WHERE ${dataSubjectWhere('visitor_records')} RETURNING record_id`,
+      values
+    );
+    recordIds = visitors.rows.map(r => r.record_id);
+    await clearAlertDetails(client, recordIds);
+
+    // The person's profiles (with their aliases), and those their records leave without visits
+    const profiles = await client.query(`DELETE FROM visitor_profiles p WHERE ${dataSubjectWhere('p')}`, values);
+    const orphaned = await deleteOrphanedProfiles(client, ctx.property.id, linked.rows.map(r => r.profile_id));
+
+    // Pending invitations are cancelled: nobody is expected any more
+    const invitations = await client.query(`
+      UPDATE invitations SET
+        full_name = '[anonymized]', id_number = NULL, id_number_bidx = NULL, phone = NULL, phone_bidx = NULL,
+        purpose = NULL, notes = NULL, vehicle_plate = NULL,
+        status = CASE WHEN status = 'pending' THEN 'cancelled' ELSE status END,
+        cancelled_at = CASE WHEN status = 'pending' THEN NOW() ELSE cancelled_at END,
+        cancelled_by = CASE WHEN status = 'pending' THEN $4 ELSE cancelled_by END,
+        updated_at = NOW()
+      WHERE ${dataSubjectWhere('invitations')}
+    `, [...values, ctx.user.username]);
+
+    // Event payloads carry the visitor's details (their webhook deliveries go with them)
+    const events = await client.query('DELETE FROM events WHERE record_id = ANY($1)', [recordIds]);
+
+    result = {
+      visitors: recordIds.length,
+      invitations: invitations.rowCount,
+      profiles: profiles.rowCount + orphaned,
+      events: events.rowCount,
+    };
+    await client.query(`
+      UPDATE data_subject_requests
+      SET status = 'fulfilled', result = $2, id_number = $3, phone = $4,
+        closed_by = $5, closed_at = NOW(), updated_at = NOW()
+      WHERE id = $1
+    `, [request.id, result, maskIdNumber(subject.idNumber), maskIdNumber(subject.phone), ctx.user.username]);
+
+    await writeAuditLog({
+      userId: ctx.user.username,
+      action: 'DATA_REQUEST_FULFILLED',
+      details: `Data erasure request #${request.id} fulfilled: ${result.visitors} record(s) and ` +
+        `${result.invitations} invitation(s) anonymized, ${result.profiles} visitor profile(s) and ${result.events} event(s) deleted`,
+    }, client);
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  await deleteAttachmentsAfterCommit(recordIds);
+  return { success: true, ...result };
+});
+
+// ============================================
+// Overstay Alerts
+// ============================================
+
+const OVERSTAY_LOCK_ID = 72010002; // pg advisory lock, as for retention
+const OVERSTAY_TICK_MS = 60000;
+
+// Hours a visitor of each type may stay before an overstay alert (maxStayHours setting)
+const DEFAULT_MAX_STAY_HOURS = { visitor: 12, casual: 12, organizer: 24, contractor: 14 };
+
+function parseMaxStayHours(value) {
+  let stored = {};
+  try {
+    stored = JSON.parse(value || '{}');
+  } catch {
+    // Fall back to the defaults
+  }
+  const hours = { ...DEFAULT_MAX_STAY_HOURS };
+  for (const type of VISITOR_TYPES) {
+    if (stored[type] > 0) hours[type] = Number(stored[type]);
+  }
+  return hours;
+}
+
+async function getOverstayPolicy(propertyId) {
+  const result = await pool.query(
+    "SELECT key, value FROM app_settings WHERE property_id = $1 AND key IN ('notificationTime', 'maxStayHours', 'autoCheckOut', 'overstayLastRun')",
+    [propertyId]
+  );
+  const settings = {};
+  result.rows.forEach(row => {
+    settings[row.key] = row.value;
+  });
+
+  return {
+    notificationTime: settings.notificationTime || '00:00',
+    maxStayHours: parseMaxStayHours(settings.maxStayHours),
+    autoCheckOut: settings.autoCheckOut === 'true',
+    lastRun: settings.overstayLastRun || null,
+  };
+}
+
+// Visitors of property $2 still inside past the maximum stay for their type ($1 = maxStayHours as JSON)
+const OVERSTAY_WHERE = `
+  property_id = $2
+  AND status = 'IN'
+  AND check_in_time + ($1::jsonb ->> COALESCE(type, 'visitor'))::numeric * interval '1 hour' < LOCALTIMESTAMP
+`;
+
+// Raise OVERSTAY alerts (one open alert per visitor) for one property and, if its autoCheckOut
+// is on, check the visitors out. runDate marks the scheduled run for that hotel date as done.
+// Returns null if another instance holds the lock or already ran for runDate.
+async function runOverstayCheck(triggeredBy, propertyId, runDate = null) {
+  const { maxStayHours, autoCheckOut } = await getOverstayPolicy(propertyId);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const lock = await client.query('SELECT pg_try_advisory_xact_lock($1) AS locked', [OVERSTAY_LOCK_ID]);
+    const lastRun = await client.query(
+      "SELECT value FROM app_settings WHERE property_id = $1 AND key = 'overstayLastRun'",
+      [propertyId]
+    );
+    if (!lock.rows[0].locked || (runDate && lastRun.rows[0]?.value === runDate)) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const overstays = await client.query(`
+      SELECT record_id, type, EXTRACT(EPOCH FROM LOCALTIMESTAMP - check_in_time) / 3600 AS hours
+      FROM visitor_records
+      WHERE ${OVERSTAY_WHERE}
+      FOR UPDATE
+    `, [JSON.stringify(maxStayHours), propertyId]);
+    const recordIds = overstays.rows.map(r => r.record_id);
+
+    const alerts = await client.query(`
+      INSERT INTO visitor_alerts (record_id, kind, details)
+      SELECT record_id, 'OVERSTAY', details FROM unnest($1::text[], $2::text[]) AS t(record_id, details)
+      ON CONFLICT (record_id, kind) WHERE acknowledged_at IS NULL DO NOTHING
+      RETURNING id
+    `, [
+      recordIds,
+      // The visitor's name comes from their record when alerts are read, so erasure reaches it
+      overstays.rows.map(r => {
+        const type = r.type || 'visitor';
+        return `${type} still checked in after ${Math.floor(r.hours)}h (max ${maxStayHours[type]}h)`;
+      }),
+    ]);
+
+    if (autoCheckOut && recordIds.length > 0) {
+      await client.query(`
+        UPDATE visitor_records
+        SET status = 'OUT', check_out_time = NOW(), qr_revoked_at = NOW(), updated_at = NOW()
+        WHERE record_id = ANY($1)
+      `, [recordIds]);
+      await releaseLockers(recordIds, triggeredBy, client);
+      await client.query(`
+        INSERT INTO audit_logs (record_id, user_id, action, details, ip_address, user_agent, property_id)
+        SELECT record_id, $2, 'AUTO_CHECK_OUT', 'Visitor automatically checked out after exceeding the maximum stay', $3, $4, $5
+        FROM unnest($1::text[]) AS record_id
+      `, [recordIds, triggeredBy, ...auditSource(), propertyId]);
+    }
+
+    await writeAuditLog({
+      userId: triggeredBy,
+      action: 'OVERSTAY_CHECK',
+      details: `Overstay check: ${recordIds.length} visitor(s) over the maximum stay, ${alerts.rowCount} new alert(s)` +
+        (autoCheckOut ? `, ${recordIds.length} auto checked out` : ''),
+      propertyId,
+    }, client);
+
+    if (runDate) {
+      await saveSetting(propertyId, 'overstayLastRun', runDate, client);
+    }
+
+    await client.query('COMMIT');
+
+    if (autoCheckOut) {
+      for (const recordId of recordIds) {
+        await publishVisitorEvent('AUTO_CHECK_OUT', recordId, { by: triggeredBy });
+      }
+    }
+
+    return {
+      overstays: recordIds.length,
+      newAlerts: alerts.rowCount,
+      autoCheckedOut: autoCheckOut ? recordIds.length : 0,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Checks once a minute whether each property's run today (at its notificationTime, in its
+// time zone) is due
+function startOverstayJob() {
+  const tick = async () => {
+    try {
+      const properties = await pool.query('SELECT id, code, timezone FROM properties WHERE is_active = true ORDER BY id');
+      for (const property of properties.rows) {
+        const { notificationTime, lastRun } = await getOverstayPolicy(property.id);
+        const today = hotelDate(property.timezone);
+        if (lastRun === today || hotelTime(property.timezone) < notificationTime) continue;
+
+        const summary = await runOverstayCheck('system', property.id, today);
+        if (summary?.overstays) {
+          console.log(`[Overstay] ${property.code}: ${summary.overstays} visitor(s) over the maximum stay, ${summary.autoCheckedOut} auto checked out`);
+        }
+      }
+    } catch (error) {
+      console.error('[Overstay] Check failed:', error);
+    }
+  };
+
+  setInterval(tick, OVERSTAY_TICK_MS).unref();
+}
+
+function formatAlert(a) {
+  return {
+    id: a.id,
+    recordId: a.record_id,
+    kind: a.kind,
+    details: a.details,
+    createdAt: a.created_at?.toISOString(),
+    acknowledgedAt: a.acknowledged_at?.toISOString(),
+    acknowledgedBy: a.acknowledged_by,
+    acknowledgeNote: a.acknowledge_note,
+    visitor: {
+      fullName: a.full_name,
+      type: a.type,
+      status: a.status,
+      checkInTime: a.check_in_time?.toISOString(),
+    },
+  };
+}
+
+// List alerts (open ones by default), newest first
+router.query('alerts.list', 'user', {
+  status: { type: 'string', enum: ['open', 'acknowledged', 'all'] },
+  kind: { type: 'string', max: 32 },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+}, async (input, ctx) => {
+  const { status = 'open', kind, limit = DEFAULT_PAGE_SIZE } = input;
+  const conditions = ['v.property_id = $1'];
+  const values = [ctx.property.id];
+  if (status === 'open') conditions.push('a.acknowledged_at IS NULL');
+  if (status === 'acknowledged') conditions.push('a.acknowledged_at IS NOT NULL');
+  if (kind) {
+    values.push(kind);
+    conditions.push(`a.kind = $${values.length}`);
+  }
+  values.push(limit);
+
+  const result = await pool.query(`
+    SELECT a.*, v.full_name, v.type, v.status, v.check_in_time
+    FROM visitor_alerts a
+    JOIN visitor_records v ON v.record_id = a.record_id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY a.created_at DESC, a.id DESC
+    LIMIT $${values.length}
+  `, values);
+  return result.rows.map(formatAlert);
+});
+
+router.mutation('alerts.acknowledge', 'user', {
+  id: { type: 'integer', required: true },
+  note: { type: 'string', max: 1000 },
+}, async (input, ctx) => {
+  const { id, note } = input;
+
+  const result = await pool.query(`
+    UPDATE visitor_alerts SET acknowledged_at = NOW(), acknowledged_by = $2, acknowledge_note = $3
+    WHERE id = $1 AND acknowledged_at IS NULL
+      AND record_id IN (SELECT record_id FROM visitor_records WHERE property_id = $4)
+    RETURNING record_id, kind
+  `, [id, ctx.user.username, note || null, ctx.property.id]);
+
+  if (result.rows.length === 0) {
+    const exists = await pool.query(`
+      SELECT 1 FROM visitor_alerts a JOIN visitor_records v ON v.record_id = a.record_id
+      WHERE a.id = $1 AND v.property_id = $2
+    `, [id, ctx.property.id]);
+    if (exists.rows.length === 0) {
+      throw new TRPCError('NOT_FOUND', 'ไม่พบการแจ้งเตือน');
+    }
+    throw new TRPCError('CONFLICT', 'การแจ้งเตือนนี้ได้รับทราบแล้ว');
+  }
+
+  await writeAuditLog({
+    recordId: result.rows[0].record_id,
+    userId: ctx.user.username,
+    action: 'ALERT_ACKNOWLEDGED',
+    details: `${result.rows[0].kind} alert acknowledged${note ? `: ${note}` : ''}`,
+  });
+
+  return { success: true };
+});
+
+// Run the overstay check now (does not count as the day's scheduled run)
+router.mutation('overstay.run', 'admin', async (input, ctx) => {
+  const summary = await runOverstayCheck(ctx.user.username, ctx.property.id);
+  if (!summary) {
+    throw new TRPCError('CONFLICT', 'กำลังตรวจสอบอยู่ กรุณาลองใหม่ภายหลัง');
+  }
+  return { success: true, ...summary };
+});
+
+// ============================================
+// Events & Webhooks
+// ============================================
+
+// Visitor lifecycle events, named after the matching audit actions
+const EVENT_TYPES = [
+  'CHECK_IN', 'SELF_CHECK_IN', 'CHECK_OUT', 'AUTO_CHECK_OUT',
+  'EDIT_RECORD', 'DELETE_RECORD', 'WATCHLIST_HIT',
+];
+
+const WEBHOOK_POLL_MS = 5000;
+const WEBHOOK_BATCH_SIZE = 20;
+const WEBHOOK_TIMEOUT_MS = 10000;
+const WEBHOOK_MAX_ATTEMPTS = 8;
+const WEBHOOK_LEASE_SECONDS = 60; // a claimed delivery is retried after this if the sender dies
+const EVENTS_CHANNEL = 'vms_events';
+
+// Every stored event, from any instance (see startEventListener)
+const eventBus = new EventEmitter();
+eventBus.setMaxListeners(0);
+
+// Visitor fields carried by events: no ID number, phone or images
+function visitorEventData(r) {
+  return {
+    recordId: r.record_id,
+    fullName: r.full_name,
+    type: r.type,
+    company: r.company,
+    accessArea: r.access_area,
+    status: r.status,
+    checkInTime: r.check_in_time?.toISOString(),
+    checkOutTime: r.check_out_time?.toISOString() || null,
+    recordedBy: r.recorded_by,
+  };
+}
+
+function formatEvent(e) {
+  return {
+    id: String(e.id),
+    type: e.type,
+    propertyId: e.property_id,
+    occurredAt: e.created_at?.toISOString(),
+    data: e.payload,
+  };
+}
+
+// Store an event and queue it for every interested webhook of its property (by default the
+// property of the request being handled). Never throws: the action that caused the event has
+// already happened, so a failure here is logged rather than reported.
+async function publishEvent(type, recordId, data, propertyId = requestContext.getStore()?.propertyId) {
+  try {
+    const result = await pool.query(`
+      WITH event AS (
+        INSERT INTO events (type, record_id, payload, property_id) VALUES ($1, $2, $3, $4) RETURNING *
+      ), deliveries AS (
+        INSERT INTO webhook_deliveries (subscription_id, event_id)
+        SELECT s.id, event.id FROM webhook_subscriptions s, event
+        WHERE s.is_active AND s.property_id = event.property_id
+          AND ($1::text = ANY(s.events) OR '*' = ANY(s.events))
+        RETURNING id
+      )
+      SELECT event.id, (SELECT COUNT(*) FROM deliveries)::int AS delivery_count,
+        pg_notify('${EVENTS_CHANNEL}', event.id::text)
+      FROM event
+    `, [type, recordId, data, propertyId]);
+
+    if (result.rows[0].delivery_count > 0) setImmediate(runWebhookWorker);
+  } catch (error) {
+    console.error(`[Events] Failed to publish ${type}:`, error);
+  }
+}
+
+// Relay NOTIFYs from publishEvent to eventBus, in order. Reconnects if the connection drops.
+function startEventListener() {
+  let queue = Promise.resolve();
+  const emitStoredEvent = async (id) => {
+    const result = await pool.query('SELECT * FROM events WHERE id = $1', [id]);
+    if (result.rows[0]) eventBus.emit('event', formatEvent(result.rows[0]));
+  };
+
+  const connect = async () => {
+    let client;
+    let restarted = false;
+    const restart = (error) => {
+      if (restarted) return;
+      restarted = true;
+      console.error('[Events] Listener connection lost, reconnecting:', error.message);
+      client?.release(error);
+      setTimeout(connect, 5000).unref();
+    };
+
+    try {
+      client = await pool.connect();
+      client.on('error', restart);
+      client.on('notification', message => {
+        queue = queue.then(() => emitStoredEvent(message.payload)).catch(error => {
+          console.error('[Events] Failed to load event:', error);
+        });
+      });
+      await client.query(`LISTEN ${EVENTS_CHANNEL}`);
+    } catch (error) {
+      restart(error);
+    }
+  };
+
+  connect();
+}
+
+// Publish an event carrying the record's current state
+async function publishVisitorEvent(type, recordId, extra = {}) {
+  try {
+    const result = await pool.query('SELECT * FROM visitor_records WHERE record_id = $1', [recordId]);
+    if (result.rows[0]) {
+      await publishEvent(type, recordId, { visitor: visitorEventData(result.rows[0]), ...extra }, result.rows[0].property_id);
+    }
+  } catch (error) {
+    console.error(`[Events] Failed to publish ${type}:`, error);
+  }
+}
+
+// Signature header: "t=<unix seconds>,v1=<hex HMAC-SHA256 of '<t>.<body>'>"
+function signWebhook(secret, timestamp, body) {
+  return `t=${timestamp},v1=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+}
+
+// 30s, 1m, 2m, 4m ... capped at 6h
+function webhookRetryDelaySeconds(attempts) {
+  return Math.min(30 * 2 ** (attempts - 1), 6 * 3600);
+}
+
+async function deliverWebhook(delivery) {
+  const body = JSON.stringify(formatEvent({ ...delivery, id: delivery.event_id }));
+  const timestamp = Math.floor(Date.now() / 1000);
+
+  let responseStatus = null;
+  let responseBody = null;
+  let error = null;
+  try {
+    const response = await fetch(delivery.url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'Hotel-VMS-Webhooks/1.0',
+        'X-VMS-Event': delivery.type,
+        'X-VMS-Delivery': String(delivery.id),
+        'X-VMS-Signature': signWebhook(delivery.secret, timestamp, body),
+      },
+      body,
+      redirect: 'manual',
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS),
+    });
+    responseStatus = response.status;
+    responseBody = (await response.text()).slice(0, 1000);
+  } catch (caught) {
+    error = caught.message;
+  }
+
+  if (responseStatus >= 200 && responseStatus < 300) {
+    await pool.query(`
+      UPDATE webhook_deliveries
+      SET status = 'delivered', delivered_at = NOW(), response_status = $2, response_body = $3, last_error = NULL
+      WHERE id = $1
+    `, [delivery.id, responseStatus, responseBody]);
+    return;
+  }
+
+  const exhausted = delivery.attempts >= WEBHOOK_MAX_ATTEMPTS;
+  await pool.query(`
+    UPDATE webhook_deliveries
+    SET status = $2, next_attempt_at = NOW() + make_interval(secs => $3),
+      response_status = $4, response_body = $5, last_error = $6
+    WHERE id = $1
+  `, [
+    delivery.id,
+    exhausted ? 'failed' : 'pending',
+    webhookRetryDelaySeconds(delivery.attempts),
+    responseStatus,
+    responseBody,
+    error || `HTTP ${responseStatus}`,
+  ]);
+}
+
+// Claim a batch of due deliveries (SKIP LOCKED, so several instances can share the queue)
+// and send them. Returns how many were claimed.
+async function processWebhookDeliveries() {
+  const claimed = await pool.query(`
+    UPDATE webhook_deliveries d
+    SET attempts = d.attempts + 1, last_attempt_at = NOW(), next_attempt_at = NOW() + make_interval(secs => $2)
+    FROM webhook_subscriptions s, events e
+    WHERE d.id IN (
+      SELECT id FROM webhook_deliveries
+      WHERE status = 'pending' AND next_attempt_at <= NOW()
+      ORDER BY next_attempt_at, id
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    AND s.id = d.subscription_id AND e.id = d.event_id
+    RETURNING d.id, d.attempts, s.url, s.secret, e.id AS event_id, e.type, e.payload, e.property_id, e.created_at
+  `, [WEBHOOK_BATCH_SIZE, WEBHOOK_LEASE_SECONDS]);
+
+  for (const delivery of claimed.rows) {
+    await deliverWebhook(delivery);
+  }
+  return claimed.rowCount;
+}
+
+let webhookWorkerBusy = false;
+
+async function runWebhookWorker() {
+  if (webhookWorkerBusy) return;
+  webhookWorkerBusy = true;
+  try {
+    while ((await processWebhookDeliveries()) === WEBHOOK_BATCH_SIZE) {
+      // Keep going while there is a backlog
+    }
+  } catch (error) {
+    console.error('[Webhooks] Delivery run failed:', error);
+  } finally {
+    webhookWorkerBusy = false;
+  }
+}
+
+function startWebhookWorker() {
+  setInterval(runWebhookWorker, WEBHOOK_POLL_MS).unref();
+}
+
+function formatWebhook(w) {
+  return {
+    id: w.id,
+    url: w.url,
+    description: w.description,
+    events: w.events,
+    isActive: w.is_active,
+    createdBy: w.created_by,
+    createdAt: w.created_at?.toISOString(),
+    updatedAt: w.updated_at?.toISOString(),
+    deliveries: {
+      pending: w.pending_count ?? 0,
+      delivered: w.delivered_count ?? 0,
+      failed: w.failed_count ?? 0,
+    },
+  };
+}
+
+function formatDelivery(d) {
+  return {
+    id: String(d.id),
+    subscriptionId: d.subscription_id,
+    eventId: String(d.event_id),
+    eventType: d.type,
+    recordId: d.record_id,
+    status: d.status,
+    attempts: d.attempts,
+    nextAttemptAt: d.status === 'pending' ? d.next_attempt_at?.toISOString() : null,
+    lastAttemptAt: d.last_attempt_at?.toISOString() || null,
+    responseStatus: d.response_status,
+    responseBody: d.response_body,
+    lastError: d.last_error,
+    deliveredAt: d.delivered_at?.toISOString() || null,
+    createdAt: d.created_at?.toISOString(),
+  };
+}
+
+function assertWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    parsed = null;
+  }
+  if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+    throw new TRPCError('BAD_REQUEST', 'ข้อมูลไม่ถูกต้อง: url ต้องเป็น http(s) URL', {
+      fieldErrors: { url: 'ต้องเป็น http(s) URL' },
+    });
+  }
+}
+
+function generateWebhookSecret() {
+  return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+const WEBHOOK_EVENTS_SCHEMA = {
+  type: 'array', max: EVENT_TYPES.length + 1, items: { type: 'string', enum: ['*', ...EVENT_TYPES] },
+};
+
+// Subscriptions belong to a property and receive only its events
+router.query('webhooks.list', 'admin', async (input, ctx) => {
+  const result = await pool.query(`
+    SELECT s.*,
+      COUNT(d.id) FILTER (WHERE d.status = 'pending')::int AS pending_count,
+      COUNT(d.id) FILTER (WHERE d.status = 'delivered')::int AS delivered_count,
+      COUNT(d.id) FILTER (WHERE d.status = 'failed')::int AS failed_count
+    FROM webhook_subscriptions s
+    LEFT JOIN webhook_deliveries d ON d.subscription_id = s.id
+    WHERE s.property_id = $1
+    GROUP BY s.id
+    ORDER BY s.id
+  `, [ctx.property.id]);
+  return result.rows.map(formatWebhook);
+});
+
+// The signing secret is only returned here and by update with rotateSecret
+router.mutation('webhooks.create', 'admin', {
+  url: { type: 'string', required: true, max: 2000 },
+  description: { type: 'string', max: 255 },
+  events: { ...WEBHOOK_EVENTS_SCHEMA, required: true },
+  isActive: { type: 'boolean' },
+}, async (input, ctx) => {
+  assertWebhookUrl(input.url);
+  if (input.events.length === 0) {
+    throw new TRPCError('BAD_REQUEST', 'ข้อมูลไม่ถูกต้อง: events จำเป็นต้องระบุ', { fieldErrors: { events: 'จำเป็นต้องระบุ' } });
+  }
+
+  const secret = generateWebhookSecret();
+  const result = await pool.query(`
+    INSERT INTO webhook_subscriptions (url, description, events, secret, is_active, created_by, property_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING *
+  `, [input.url, input.description, [...new Set(input.events)], secret, input.isActive ?? true, ctx.user.username, ctx.property.id]);
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'WEBHOOK_CREATED',
+    details: `Webhook #${result.rows[0].id} -> ${input.url} (${input.events.join(', ')})`,
+  });
+
+  return { success: true, webhook: formatWebhook(result.rows[0]), secret };
+});
+
+router.mutation('webhooks.update', 'admin', {
+  id: { type: 'integer', required: true },
+  url: { type: 'string', max: 2000 },
+  description: { type: 'string', max: 255 },
+  events: WEBHOOK_EVENTS_SCHEMA,
+  isActive: { type: 'boolean' },
+  rotateSecret: { type: 'boolean' },
+}, async (input, ctx) => {
+  const existing = await pool.query(
+    'SELECT * FROM webhook_subscriptions WHERE id = $1 AND property_id = $2',
+    [input.id, ctx.property.id]
+  );
+  if (existing.rows.length === 0) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบ webhook');
+  }
+
+  const updates = [];
+  const values = [input.id];
+  const set = (column, value) => {
+    values.push(value);
+    updates.push(`${column} = $${values.length}`);
+  };
+
+  if (input.url) {
+    assertWebhookUrl(input.url);
+    set('url', input.url);
+  }
+  if (input.description !== undefined) set('description', input.description);
+  if (input.events?.length > 0) set('events', [...new Set(input.events)]);
+  if (input.isActive != null) set('is_active', input.isActive);
+  const secret = input.rotateSecret ? generateWebhookSecret() : null;
+  if (secret) set('secret', secret);
+
+  const result = await pool.query(
+    `UPDATE webhook_subscriptions SET ${[...updates, 'updated_at = NOW()'].join(', ')} WHERE id = $1 RETURNING *`,
+    values
+  );
+
+  const { url, description, events, isActive } = formatWebhook(result.rows[0]);
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'WEBHOOK_UPDATED',
+    details: `Webhook #${input.id} updated${secret ? ' (secret rotated)' : ''}`,
+    changes: diffChanges(formatWebhook(existing.rows[0]), { url, description, events, isActive }),
+  });
+
+  return { success: true, webhook: formatWebhook(result.rows[0]), ...(secret ? { secret } : {}) };
 });
 
-// Submit self check-in
-app.post('/api/trpc/selfCheckIn.submit', async (req, res) => {
-  try {
-    const input = parseTrpcInput(req);
-    const {
-      fullName, type = 'visitor', idNumber, phone, company,
-      purpose, accessArea, notes, photoData, lockerNumber,
-      consentAccepted, visitorType
-    } = input;
+router.mutation('webhooks.delete', 'admin', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const result = await pool.query(
+    'DELETE FROM webhook_subscriptions WHERE id = $1 AND property_id = $2 RETURNING url',
+    [input.id, ctx.property.id]
+  );
+  if (result.rows.length === 0) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบ webhook');
+  }
 
-    // Support both 'type' and 'visitorType' field names
-    const visitorTypeValue = type || visitorType || 'visitor';
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'WEBHOOK_DELETED',
+    details: `Webhook #${input.id} -> ${result.rows[0].url} deleted`,
+  });
 
-    // Validate required fields
-    if (!fullName) {
-      return res.json(trpcResponse({ success: false, error: 'กรุณากรอกชื่อ-นามสกุล' }));
-    }
+  return { success: true };
+});
 
-    // Generate unique record ID
-    const timestamp = Date.now();
-    const randomSuffix = Math.random().toString(36).substring(2, 8);
-    const recordId = `SELF-${timestamp}-${randomSuffix}`;
+// Delivery history of one subscription, newest first
+router.query('webhooks.deliveries', 'admin', {
+  subscriptionId: { type: 'integer', required: true },
+  status: { type: 'string', enum: WEBHOOK_DELIVERY_STATUSES },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+}, async (input, ctx) => {
+  const values = [input.subscriptionId, input.limit || DEFAULT_PAGE_SIZE, ctx.property.id];
+  if (input.status) values.push(input.status);
 
-    // Generate QR code data
-    const qrData = `VMS:${recordId}:${Buffer.from(recordId).toString('base64').substring(0, 12)}:${timestamp + 86400000}`;
-    const qrExpiry = new Date(timestamp + 86400000); // 24 hours
+  const result = await pool.query(`
+    SELECT d.*, e.type, e.record_id
+    FROM webhook_deliveries d
+    JOIN events e ON e.id = d.event_id
+    JOIN webhook_subscriptions s ON s.id = d.subscription_id AND s.property_id = $3
+    WHERE d.subscription_id = $1 ${input.status ? 'AND d.status = $4' : ''}
+    ORDER BY d.id DESC
+    LIMIT $2
+  `, values);
+  return result.rows.map(formatDelivery);
+});
 
-    // Insert record
-    const result = await pool.query(`
-      INSERT INTO visitor_records (
-        record_id, full_name, type, id_number, phone, company,
-        purpose, access_area, notes, vehicle_plate, photo_uri,
-        recorded_by, consent_type, qr_code, qr_expiry, status
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, 'IN')
-      RETURNING id, check_in_time
-    `, [
-      recordId, fullName, visitorTypeValue, idNumber, phone, company,
-      purpose, accessArea, notes, lockerNumber, photoData,
-      'self-checkin', 'checkbox', qrData, qrExpiry
-    ]);
+// Queue failed deliveries again: one delivery by id, or every failed delivery of a
+// subscription. Each replay is a new delivery; the failed ones are marked 'replayed'.
+router.mutation('webhooks.replay', 'admin', {
+  deliveryId: { type: 'integer' },
+  subscriptionId: { type: 'integer' },
+}, async (input, ctx) => {
+  if (!input.deliveryId && !input.subscriptionId) {
+    throw new TRPCError('BAD_REQUEST', 'ข้อมูลไม่ถูกต้อง: ต้องระบุ deliveryId หรือ subscriptionId', {
+      fieldErrors: { deliveryId: 'จำเป็นต้องระบุ' },
+    });
+  }
 
-    await pool.query(
-      'INSERT INTO audit_logs (record_id, user_id, action, details) VALUES ($1, $2, $3, $4)',
-      [recordId, 'self-checkin', 'SELF_CHECK_IN', `${fullName} self checked in via web`]
-    );
+  const [where, value] = input.deliveryId
+    ? ['id = $1', input.deliveryId]
+    : ["subscription_id = $1 AND status = 'failed'", input.subscriptionId];
 
-    res.json(trpcResponse({
-      success: true,
-      recordId,
-      qrData,
-      qrCode: qrData,
-      checkInTime: result.rows[0].check_in_time.toISOString(),
-      message: 'ลงทะเบียนสำเร็จ',
-    }));
-  } catch (error) {
-    console.error('[selfCheckIn.submit] Error:', error);
-    res.json(trpcResponse({ success: false, error: 'เกิดข้อผิดพลาดในการลงทะเบียน' }));
-  }
-});
-
-// Get all self check-in records (for compatibility)
-app.get('/api/trpc/selfCheckIn.getAll', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM visitor_records ORDER BY check_in_time DESC');
-    res.json(trpcResponse({
-      success: true,
-      records: result.rows.map(r => ({
-        id: r.id,
-        record_id: r.record_id,
-        full_name: r.full_name,
-        type: r.type,
-        id_number: r.id_number,
-        phone: r.phone,
-        company: r.company,
-        purpose: r.purpose,
-        locker_number: r.vehicle_plate,
-        department: null,
-        work_area: r.access_area,
-        qr_code: r.qr_code,
-        qr_expiry: r.qr_expiry?.toISOString(),
-        check_in_time: r.check_in_time?.toISOString(),
-        check_out_time: r.check_out_time?.toISOString(),
-        status: r.status === 'IN' ? 'checked_in' : 'checked_out',
-        created_at: r.created_at?.toISOString(),
-      }))
-    }));
-  } catch (error) {
-    console.error('[selfCheckIn.getAll] Error:', error);
-    res.json(trpcResponse({ success: true, records: [] }));
+  const result = await pool.query(`
+    WITH replayed AS (
+      UPDATE webhook_deliveries SET status = CASE WHEN status = 'failed' THEN 'replayed' ELSE status END
+      WHERE ${where} AND subscription_id IN (SELECT id FROM webhook_subscriptions WHERE property_id = $2)
+      RETURNING subscription_id, event_id
+    )
+    INSERT INTO webhook_deliveries (subscription_id, event_id)
+    SELECT subscription_id, event_id FROM replayed
+    RETURNING id
+  `, [value, ctx.property.id]);
+
+  if (input.deliveryId && result.rowCount === 0) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบรายการส่ง');
+  }
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'WEBHOOK_REPLAYED',
+    details: input.deliveryId
+        ? `Webhook delivery #${input.deliveryId} replayed`
+        : `${result.rowCount} failed delivery(ies) of webhook #${input.subscriptionId} replayed`,
+  });
+
+  if (result.rowCount > 0) setImmediate(runWebhookWorker);
+  return { success: true, queued: result.rowCount };
+});
+
+// Send a PING event to one subscription (whatever its event filter)
+router.mutation('webhooks.test', 'admin', {
+  id: { type: 'integer', required: true },
+}, async (input, ctx) => {
+  const result = await pool.query(`
+    WITH event AS (
+      INSERT INTO events (type, payload, property_id)
+      SELECT 'PING', jsonb_build_object('subscriptionId', id, 'by', $2::text), property_id
+      FROM webhook_subscriptions WHERE id = $1 AND property_id = $3
+      RETURNING id
+    )
+    INSERT INTO webhook_deliveries (subscription_id, event_id)
+    SELECT $1, id FROM event
+    RETURNING id
+  `, [input.id, ctx.user.username, ctx.property.id]);
+  if (result.rows.length === 0) {
+    throw new TRPCError('NOT_FOUND', 'ไม่พบ webhook');
   }
+
+  setImmediate(runWebhookWorker);
+  return { success: true, deliveryId: String(result.rows[0].id) };
 });
 
 // ============================================
-// Settings Routes
+// Live Stream (Server-Sent Events)
 // ============================================
 
-app.get('/api/trpc/settings.get', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT key, value FROM app_settings');
-    const settings = {};
-    result.rows.forEach(row => {
-      settings[row.key] = row.value;
-    });
-    
-    res.json(trpcResponse({
-      consentText: settings.consentText || 'ข้าพเจ้ายินยอมให้เก็บข้อมูลส่วนบุคคลเพื่อวัตถุประสงค์ด้านความปลอดภัย',
-      retentionDays: parseInt(settings.retentionDays || '90'),
-      notificationTime: settings.notificationTime || '00:00',
-    }));
-  } catch (error) {
-    console.error('[settings.get] Error:', error);
-    res.json(trpcResponse({
-      consentText: 'ข้าพเจ้ายินยอมให้เก็บข้อมูลส่วนบุคคลเพื่อวัตถุประสงค์ด้านความปลอดภัย',
-      retentionDays: 90,
-      notificationTime: '00:00',
-    }));
+const STREAM_REPLAY_LIMIT = 500;
+const STREAM_RETRY_MS = 3000;
+const STREAM_HEARTBEAT_MS = 25000;
+const STREAM_SESSION_CHECK_MS = 60000;
+const STREAM_OCCUPANCY_DELAY_MS = 250; // one occupancy update per burst of events
+
+const streamClients = new Set();
+
+// EventSource cannot send headers, so the stream also accepts the session token as ?token=
+function streamTokenFromQuery(req, res, next) {
+  if (!req.headers.authorization && typeof req.query.token === 'string') {
+    req.headers.authorization = `Bearer ${req.query.token}`;
   }
+  next();
+}
+
+// "Lobby, Ballroom" -> ['lobby', 'ballroom']; null means every area
+function parseAccessAreas(value) {
+  const areas = (value || '').split(',').map(area => area.trim().toLowerCase()).filter(Boolean);
+  return areas.length > 0 ? areas : null;
+}
+
+function inAccessAreas(accessArea, areas) {
+  return !areas || (accessArea != null && areas.includes(accessArea.toLowerCase()));
+}
+
+// Per access area of a property: visitors inside now, and today's (hotel date) check-ins and
+// check-outs
+async function occupancyRows(property) {
+  const today = hotelDate(property.timezone);
+  const result = await pool.query(`
+    SELECT access_area,
+      COUNT(*) FILTER (WHERE status = 'IN')::int AS inside,
+      COUNT(*) FILTER (WHERE check_in_time >= ${hotelMidnightSql('$1::date')})::int AS today_in,
+      COUNT(*) FILTER (WHERE check_in_time >= ${hotelMidnightSql('$1::date')} AND status = 'OUT')::int AS today_out
+    FROM visitor_records
+    WHERE property_id = $4 AND (status = 'IN'
+      OR (check_in_time >= ${hotelMidnightSql('$1::date')} AND check_in_time < ${hotelMidnightSql('($2::date + 1)')}))
+    GROUP BY access_area
+    ORDER BY access_area
+  `, [today, today, property.timezone, property.id]);
+  return result.rows;
+}
+
+// Same counters as stats.today (todayIn / todayOut / pending), plus who is inside right now
+function formatOccupancy(rows, areas) {
+  const selected = rows.filter(r => inAccessAreas(r.access_area, areas));
+  const sum = key => selected.reduce((total, r) => total + r[key], 0);
+  const todayIn = sum('today_in');
+  const todayOut = sum('today_out');
+  return {
+    inside: sum('inside'),
+    todayIn,
+    todayOut,
+    pending: todayIn - todayOut,
+    byAccessArea: selected.filter(r => r.inside > 0).map(r => ({ accessArea: r.access_area, inside: r.inside })),
+    at: new Date().toISOString(),
+  };
+}
+
+let occupancyTimer = null;
+const occupancyChanged = new Set(); // ids of the properties with events since the last update
+
+function scheduleOccupancyUpdate(propertyId) {
+  if (streamClients.size === 0) return;
+  occupancyChanged.add(propertyId);
+  if (occupancyTimer) return;
+  occupancyTimer = setTimeout(async () => {
+    occupancyTimer = null;
+    const propertyIds = [...occupancyChanged];
+    occupancyChanged.clear();
+    try {
+      for (const propertyId of propertyIds) {
+        const clients = [...streamClients].filter(client => client.property.id === propertyId);
+        if (clients.length === 0) continue;
+        const rows = await occupancyRows(clients[0].property);
+        for (const client of clients) client.sendOccupancy(rows);
+      }
+    } catch (error) {
+      console.error('[Stream] Occupancy update failed:', error);
+    }
+  }, STREAM_OCCUPANCY_DELAY_MS);
+}
+
+eventBus.on('event', event => {
+  for (const client of streamClients) client.push(event);
+  scheduleOccupancyUpdate(event.propertyId);
 });
 
-app.post('/api/trpc/settings.update', async (req, res) => {
+app.use('/api/stream', streamTokenFromQuery, authenticate);
+
+// GET /api/stream?accessArea=Lobby,Ballroom
+// Visitor events of the session's property as they happen, then an "occupancy" event after
+// each burst. Reconnecting clients send Last-Event-ID (or ?lastEventId=) and first receive
+// what they missed.
+app.get('/api/stream', requireAccess('user'), async (req, res) => {
+  let input;
   try {
-    const input = parseTrpcInput(req);
-    const { consentText, retentionDays, notificationTime, userId } = input;
+    input = validateInput({
+      accessArea: { type: 'string', max: 1000 },
+      lastEventId: { type: 'string', max: 20 },
+    }, req.query);
+  } catch (error) {
+    return res.status(trpcHttpStatus(error)).json(trpcError(error.message, error.code));
+  }
 
-    if (consentText !== undefined) {
-      await pool.query(
-        'INSERT INTO app_settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2',
-        ['consentText', consentText]
-      );
-    }
-    if (retentionDays !== undefined) {
-      await pool.query(
-        'INSERT INTO app_settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2',
-        ['retentionDays', retentionDays.toString()]
-      );
-    }
-    if (notificationTime !== undefined) {
-      await pool.query(
-        'INSERT INTO app_settings (key, value) VALUES ($1, $2) ON CONFLICT (key) DO UPDATE SET value = $2',
-        ['notificationTime', notificationTime]
+  const areas = parseAccessAreas(input.accessArea);
+  const lastEventId = [req.get('Last-Event-ID'), input.lastEventId].find(id => /^\d{1,18}$/.test(id || ''));
+  let lastSentId = Number(lastEventId || 0);
+  let backlog = []; // live events that arrive while the missed ones are replayed
+
+  const write = chunk => {
+    if (!res.writableEnded) res.write(chunk);
+  };
+  const sendEvent = event => {
+    if (Number(event.id) <= lastSentId) return;
+    lastSentId = Number(event.id);
+    if (event.propertyId !== req.property.id || !inAccessAreas(event.data?.visitor?.accessArea, areas)) return;
+    write(`id: ${event.id}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+  const client = {
+    property: req.property,
+    push: event => (backlog ? backlog.push(event) : sendEvent(event)),
+    sendOccupancy: rows => write(`event: occupancy\ndata: ${JSON.stringify(formatOccupancy(rows, areas))}\n\n`),
+  };
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-store',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no',
+  });
+  res.flushHeaders();
+  write(`retry: ${STREAM_RETRY_MS}\n\n`);
+  streamClients.add(client);
+
+  const heartbeat = setInterval(() => write(': keep-alive\n\n'), STREAM_HEARTBEAT_MS);
+  // Close the stream once the session is logged out, expires or switches property
+  const sessionCheck = setInterval(async () => {
+    try {
+      const session = await pool.query(
+        'SELECT 1 FROM app_sessions WHERE id = $1 AND expires_at > NOW() AND property_id = $2',
+        [req.sessionId, req.property.id]
       );
+      if (session.rows.length === 0) res.end();
+    } catch (error) {
+      console.error('[stream] Session check failed:', error);
     }
+  }, STREAM_SESSION_CHECK_MS);
 
-    await pool.query(
-      'INSERT INTO audit_logs (user_id, action, details) VALUES ($1, $2, $3)',
-      [userId || 'system', 'SETTINGS_UPDATED', 'App settings updated']
-    );
+  res.on('close', () => {
+    streamClients.delete(client);
+    clearInterval(heartbeat);
+    clearInterval(sessionCheck);
+  });
+
+  try {
+    if (lastEventId) {
+      const missed = await pool.query(`
+        SELECT * FROM events WHERE id > $1 AND property_id = $3 AND type <> 'PING' ORDER BY id LIMIT $2
+      `, [lastEventId, STREAM_REPLAY_LIMIT + 1, req.property.id]);
+      const latest = await pool.query('SELECT COALESCE(MAX(id), 0) AS id FROM events');
+
+      if (missed.rows.length > STREAM_REPLAY_LIMIT || lastSentId > Number(latest.rows[0].id)) {
+        // Too far behind (or an unknown id): the dashboard should reload its lists instead
+        lastSentId = Number(latest.rows[0].id);
+        write(`id: ${lastSentId}\nevent: reset\ndata: {}\n\n`);
+      } else {
+        missed.rows.forEach(row => sendEvent(formatEvent(row)));
+      }
+    }
+    backlog.forEach(sendEvent);
+    backlog = null;
 
-    res.json(trpcResponse({ success: true }));
+    client.sendOccupancy(await occupancyRows(req.property));
   } catch (error) {
-    console.error('[settings.update] Error:', error);
-    res.json(trpcResponse({ success: false, error: 'เกิดข้อผิดพลาด' }));
+    console.error('[stream] Error:', error);
+    captureServerError('stream', error, req, req.query);
+    res.end();
   }
 });
 
 // ============================================
-// Audit Logs Routes
+// Audit Trail
 // ============================================
 
-app.get('/api/trpc/auditLogs.list', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM audit_logs ORDER BY timestamp DESC LIMIT 500');
-    res.json(trpcResponse(result.rows.map(log => ({
-      id: log.id,
-      recordId: log.record_id,
-      userId: log.user_id,
-      action: log.action,
-      details: log.details,
-      timestamp: log.timestamp?.toISOString(),
-    }))));
-  } catch (error) {
-    console.error('[auditLogs.list] Error:', error);
-    res.json(trpcResponse([]));
+// Write one audit entry. The hash chain is maintained by the audit_logs trigger.
+// changes is { field: { from, to } } for the fields an update changed (see diffChanges).
+// propertyId defaults to the property of the request being handled (null: a group-level entry).
+async function writeAuditLog({
+  recordId = null, userId, action, details, changes = null, propertyId = requestContext.getStore()?.propertyId ?? null,
+}, db = pool) {
+  await db.query(`
+    INSERT INTO audit_logs (record_id, user_id, action, details, changes, ip_address, user_agent, property_id)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+  `, [recordId, userId, action, details, changes, ...auditSource(), propertyId]);
+}
+
+// [ip, userAgent] of the request being handled; nulls in background jobs
+function auditSource() {
+  const request = requestContext.getStore();
+  return [request?.ip || null, request?.userAgent || null];
+}
+
+// { field: { from, to } } for each field of `after` that was given and differs from `before`;
+// null when nothing changed
+function diffChanges(before, after) {
+  const changes = {};
+  for (const [field, value] of Object.entries(after)) {
+    if (value === undefined) continue;
+    const from = before[field] ?? null;
+    if (JSON.stringify(from) !== JSON.stringify(value)) changes[field] = { from, to: value };
+  }
+  return Object.keys(changes).length > 0 ? changes : null;
+}
+
+const AUDIT_FILTER_SCHEMA = {
+  dateFrom: { type: 'date' },
+  dateTo: { type: 'date' },
+  action: { type: 'string', max: 64 },
+  userId: { type: 'string', max: 64 },
+  recordId: { type: 'string', max: 64 },
+};
+
+// WHERE clauses for AUDIT_FILTER_SCHEMA, within one property (null: every property, group-level
+// entries included). Returns { conditions, values }.
+function buildAuditFilters(input, propertyId) {
+  const conditions = [];
+  const values = [];
+  const param = value => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+
+  if (propertyId != null) conditions.push(`property_id = ${param(propertyId)}`);
+  if (input.dateFrom) conditions.push(`timestamp >= ${param(new Date(input.dateFrom))}`);
+  if (input.dateTo) conditions.push(`timestamp < ${param(new Date(input.dateTo))}`);
+  if (input.action) conditions.push(`action = ${param(input.action)}`);
+  if (input.userId) conditions.push(`user_id = ${param(input.userId)}`);
+  if (input.recordId) conditions.push(`record_id = ${param(input.recordId)}`);
+
+  return { conditions, values };
+}
+
+function formatAuditLog(log) {
+  return {
+    id: log.id,
+    recordId: log.record_id,
+    propertyId: log.property_id,
+    userId: log.user_id,
+    action: log.action,
+    details: log.details,
+    changes: log.changes,
+    ipAddress: log.ip_address,
+    userAgent: log.user_agent,
+    timestamp: log.timestamp?.toISOString(),
+    hash: log.hash,
+  };
+}
+
+// Newest first. Ids follow the hash chain, so the cursor is simply the last id returned.
+router.query('auditLogs.list', 'admin', {
+  ...AUDIT_FILTER_SCHEMA,
+  ...REPORT_SCOPE_SCHEMA,
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+  cursor: { type: 'string', max: 255 },
+}, async (input, ctx) => {
+  const { conditions, values } = buildAuditFilters(input, reportPropertyId(ctx, input));
+  const limit = input.limit || DEFAULT_PAGE_SIZE;
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  const countResult = await pool.query(`SELECT COUNT(*) FROM audit_logs ${where}`, values);
+
+  const pageConditions = [...conditions];
+  const pageValues = [...values];
+  const cursor = input.cursor && Buffer.from(input.cursor, 'base64url').toString();
+  if (/^\d+$/.test(cursor || '')) {
+    pageValues.push(parseInt(cursor));
+    pageConditions.push(`id < $${pageValues.length}`);
   }
+  pageValues.push(limit + 1);
+
+  const result = await pool.query(`
+    SELECT * FROM audit_logs
+    ${pageConditions.length > 0 ? `WHERE ${pageConditions.join(' AND ')}` : ''}
+    ORDER BY id DESC
+    LIMIT $${pageValues.length}
+  `, pageValues);
+
+  const rows = result.rows.slice(0, limit);
+  return {
+    items: rows.map(formatAuditLog),
+    nextCursor: result.rows.length > limit
+      ? Buffer.from(String(rows[rows.length - 1].id)).toString('base64url')
+      : null,
+    totalCount: parseInt(countResult.rows[0].count),
+  };
 });
 
-// ============================================
-// Error Logs Routes
-// ============================================
+const AUDIT_VERIFY_PROBLEM_LIMIT = 100;
 
-app.get('/api/trpc/errorLog.list', async (req, res) => {
-  try {
-    const result = await pool.query('SELECT * FROM error_logs ORDER BY created_at DESC LIMIT 100');
-    res.json(trpcResponse(result.rows.map(log => ({
-      id: log.id,
-      type: log.type,
-      message: log.message,
-      source: log.source,
-      metadata: log.metadata ? JSON.parse(log.metadata) : null,
-      resolved: log.resolved,
-      resolvedAt: log.resolved_at?.toISOString(),
-      resolvedBy: log.resolved_by,
-      createdAt: log.created_at?.toISOString(),
-    }))));
-  } catch (error) {
-    console.error('[errorLog.list] Error:', error);
-    res.json(trpcResponse([]));
+// Recompute the hash chain. An edited entry no longer matches its hash (MODIFIED); a deleted
+// one leaves the next entry pointing at a hash that is gone (CHAIN_BROKEN). Removing the newest
+// entries only shows against a head recorded earlier: pass it as anchorId / anchorHash.
+// The chain spans every property, so this is for group admins.
+router.mutation('auditLogs.verify', 'group_admin', {
+  anchorId: { type: 'integer', min: 1 },
+  anchorHash: { type: 'string', pattern: /^[0-9a-f]{64}$/, patternMessage: 'ต้องเป็น SHA-256 (hex)' },
+}, async (input, ctx) => {
+  const checked = await pool.query(`
+    WITH checked AS (
+      SELECT id,
+        CASE
+          WHEN hash IS DISTINCT FROM audit_log_hash(prev_hash, a) THEN 'MODIFIED'
+          WHEN prev_hash IS DISTINCT FROM LAG(hash) OVER (ORDER BY id) THEN 'CHAIN_BROKEN'
+        END AS problem
+      FROM audit_logs a
+    )
+    SELECT
+      (SELECT COUNT(*) FROM checked)::int AS count,
+      (SELECT json_agg(p) FROM (
+        SELECT id, problem FROM checked WHERE problem IS NOT NULL ORDER BY id LIMIT $1
+      ) p) AS problems
+  `, [AUDIT_VERIFY_PROBLEM_LIMIT]);
+  const problems = checked.rows[0].problems || [];
+
+  if (input.anchorId) {
+    const anchor = await pool.query('SELECT hash FROM audit_logs WHERE id = $1', [input.anchorId]);
+    if (!anchor.rows[0] || (input.anchorHash && anchor.rows[0].hash !== input.anchorHash)) {
+      problems.push({ id: input.anchorId, problem: 'ANCHOR_MISMATCH' });
+    }
   }
+
+  const head = await pool.query('SELECT id, hash FROM audit_logs ORDER BY id DESC LIMIT 1');
+
+  await writeAuditLog({
+    userId: ctx.user.username,
+    action: 'AUDIT_VERIFIED',
+    details: `Audit trail verified: ${checked.rows[0].count} entries, ` +
+      (problems.length > 0 ? `problems at ${problems.map(p => `#${p.id} ${p.problem}`).join(', ')}` : 'no problems'),
+    propertyId: null,
+  });
+
+  return {
+    valid: problems.length === 0,
+    checked: checked.rows[0].count,
+    head: head.rows[0] || null,
+    problems,
+  };
 });
 
-app.post('/api/trpc/errorLog.create', async (req, res) => {
+// ============================================
+// Exports (CSV / XLSX)
+// ============================================
+
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+const EXPORT_BATCH_SIZE = 500;
+
+// Query rows in batches through a server-side cursor, so large exports never sit in memory
+async function* queryInBatches(sql, values) {
+  const client = await pool.connect();
+  let finished = false;
   try {
-    const input = parseTrpcInput(req);
-    const { type, message, source, metadata } = input;
+    await client.query('BEGIN');
+    await client.query(`DECLARE export_cursor NO SCROLL CURSOR FOR ${sql}`, values);
+    for (;;) {
+      const result = await client.query(`FETCH ${EXPORT_BATCH_SIZE} FROM export_cursor`);
+      if (result.rows.length === 0) break;
+      yield result.rows;
+    }
+    await client.query('COMMIT');
+    finished = true;
+  } finally {
+    // Also reached when the consumer stops early (e.g. the client disconnected)
+    if (!finished) await client.query('ROLLBACK').catch(() => {});
+    client.release();
+  }
+}
 
-    const result = await pool.query(
-      'INSERT INTO error_logs (type, message, source, metadata) VALUES ($1, $2, $3, $4) RETURNING id',
-      [type, message, source, metadata ? JSON.stringify(metadata) : null]
-    );
+// Keep only the last 4 characters, e.g. 1103700012345 -> *********2345
+function maskIdNumber(value) {
+  if (!value) return value;
+  const visible = value.length > 4 ? value.slice(-4) : '';
+  return '*'.repeat(value.length - visible.length) + visible;
+}
 
-    res.json(trpcResponse({ success: true, id: result.rows[0].id }));
-  } catch (error) {
-    console.error('[errorLog.create] Error:', error);
-    res.json(trpcResponse({ success: false, error: 'เกิดข้อผิดพลาด' }));
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  let text = value instanceof Date ? value.toISOString() : String(value);
+  // Stop spreadsheet apps from evaluating cell content as a formula
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Writer for one table: { addRow(values), end() }. columns = [{ header, width, date }]
+function createExportWriter(format, res, sheetName, columns) {
+  if (format === 'xlsx') {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+    const sheet = workbook.addWorksheet(sheetName);
+    sheet.columns = columns.map((column, index) => ({
+      header: column.header,
+      key: String(index),
+      width: column.width || 20,
+      style: column.date ? { numFmt: 'yyyy-mm-dd hh:mm:ss' } : {},
+    }));
+    sheet.getRow(1).font = { bold: true };
+    return {
+      addRow: values => sheet.addRow(values).commit(),
+      end: async () => {
+        sheet.commit();
+        await workbook.commit();
+      },
+    };
   }
+
+  // UTF-8 BOM so Excel opens Thai text correctly
+  res.write('\uFEFF' + columns.map(column => csvCell(column.header)).join(',') + '\r\n');
+  return {
+    addRow: async values => {
+      if (!res.write(values.map(csvCell).join(',') + '\r\n')) {
+        await new Promise(resolve => res.once('drain', resolve));
+      }
+    },
+    end: async () => res.end(),
+  };
+}
+
+// Stream the query result as a download and record who exported what.
+// columns = [{ header, width, date, value: row => cell }]
+async function sendExport(req, res, { name, format, columns, sql, values, filters }) {
+  const date = new Date().toISOString().slice(0, 10);
+  res.set({
+    'Content-Type': format === 'xlsx'
+      ? 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+      : 'text/csv; charset=utf-8',
+    'Content-Disposition': `attachment; filename="${name}-${date}.${format}"`,
+    'Cache-Control': 'no-store',
+  });
+
+  const writer = createExportWriter(format, res, name, columns);
+  let count = 0;
+  for await (const rows of queryInBatches(sql, values)) {
+    if (res.destroyed) return;
+    for (const row of rows) {
+      await writer.addRow(columns.map(column => column.value(row)));
+    }
+    count += rows.length;
+  }
+  await writer.end();
+
+  await writeAuditLog({
+    userId: req.user.username,
+    action: 'EXPORT',
+    details: `Exported ${count} rows of ${name} as ${format.toUpperCase()} (filters: ${JSON.stringify(filters)})`,
+  });
+}
+
+// Validation errors go out as JSON; once the download has started we can only abort it
+function exportRoute(access, handler) {
+  return [requireAccess(access), async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (error) {
+      const trpcError = toTrpcError(error);
+      if (!trpcError) {
+        console.error(`[export ${req.path}] Error:`, error);
+        captureServerError(`export${req.path}`, error, req, req.query);
+      }
+      if (res.headersSent) return res.destroy();
+      const failure = trpcError || new TRPCError('INTERNAL_SERVER_ERROR', 'เกิดข้อผิดพลาด');
+      res.status(trpcHttpStatus(failure)).json([trpcErrorItem(failure)]);
+    }
+  }];
+}
+
+const EXPORT_FORMAT_SCHEMA = {
+  format: { type: 'string', enum: EXPORT_FORMATS },
+};
+
+// Exports covering other properties (group admins) say which property each row belongs to
+function propertyCodeSql(table) {
+  return `(SELECT code FROM properties p WHERE p.id = ${table}.property_id) AS property_code`;
+}
+const PROPERTY_EXPORT_COLUMN = { header: 'Property', value: row => row.property_code };
+
+const VISITOR_EXPORT_COLUMNS = [
+  { header: 'Record ID', value: r => r.record_id },
+  { header: 'Full Name', width: 30, value: r => r.full_name },
+  { header: 'Type', value: r => r.type },
+  { header: 'ID Number', value: r => decryptField('id_number', r.id_number) },
+  { header: 'Phone', value: r => decryptField('phone', r.phone) },
+  { header: 'Company', width: 30, value: r => r.company },
+  { header: 'Purpose', width: 40, value: r => r.purpose },
+  { header: 'Access Area', value: r => r.access_area },
+  { header: 'Vehicle Plate', value: r => r.vehicle_plate },
+  { header: 'Locker', width: 10, value: r => r.locker_number },
+  { header: 'Notes', width: 40, value: r => r.notes },
+  { header: 'Status', width: 10, value: r => r.status },
+  { header: 'Check-in Time', date: true, value: r => r.check_in_time },
+  { header: 'Check-out Time', date: true, value: r => r.check_out_time },
+  { header: 'Recorded By', value: r => r.recorded_by },
+  { header: 'Consent Type', value: r => r.consent_type },
+  { header: 'Consent Time', date: true, value: r => r.consent_time },
+  { header: 'Consent Version', width: 10, value: r => r.consent_version },
+  { header: 'Consent Language', width: 10, value: r => r.consent_language },
+];
+
+app.use('/api/export', authenticate);
+
+// GET /api/export/visitors?format=csv|xlsx&dateFrom=&dateTo=&status=&type=&...&includeImages=true
+// (group admins: &propertyId= or &allProperties=true)
+app.get('/api/export/visitors', ...exportRoute('user', async (req, res) => {
+  const input = validateInput({
+    ...VISITOR_FILTER_SCHEMA,
+    ...EXPORT_FORMAT_SCHEMA,
+    ...REPORT_SCOPE_SCHEMA,
+    includeImages: { type: 'boolean' },
+  }, req.query);
+  const { limit, cursor, format = 'csv', includeImages, ...filters } = input;
+  const propertyId = reportPropertyId(req, filters);
+  const { conditions, values } = buildVisitorFilters(filters, propertyId);
+
+  // Staff get ID numbers and phones masked, as in visitors.list
+  const showFull = ACCESS_ROLES.admin.includes(req.user.role);
+  const columns = VISITOR_EXPORT_COLUMNS.map(column => (
+    !showFull && (column.header === 'ID Number' || column.header === 'Phone')
+      ? { ...column, value: r => maskIdNumber(column.value(r)) }
+      : column
+  ));
+  if (propertyId !== req.property.id) columns.unshift(PROPERTY_EXPORT_COLUMN);
+
+  // Images are exported as links to the attachment endpoint, never inline
+  const origin = `${req.protocol}://${req.get('host')}`;
+  const imageColumns = includeImages ? Object.keys(ATTACHMENT_KINDS) : [];
+  for (const kind of imageColumns) {
+    columns.push({ header: kind, width: 40, value: r => r[kind] && origin + attachmentUrl(r[kind]) });
+  }
+
+  await sendExport(req, res, {
+    name: 'visitors',
+    format,
+    columns,
+    sql: `
+      SELECT *, ${propertyCodeSql('visitor_records')}, ${LOCKER_NUMBER_SQL} AS locker_number,
+        (SELECT c.version FROM consent_versions c WHERE c.id = visitor_records.consent_version_id) AS consent_version${imageColumns.map(kind => `,
+        (SELECT a.attachment_id FROM attachments a
+          WHERE a.record_id = visitor_records.record_id AND a.kind = '${kind}') AS ${kind}`).join('')}
+      FROM visitor_records
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY check_in_time DESC, id DESC
+    `,
+    values,
+    filters: { ...filters, includeImages: includeImages || false },
+  });
+}));
+
+// GET /api/export/audit-logs?format=csv|xlsx&dateFrom=&dateTo=&action=&userId=&recordId=
+// (group admins: &propertyId= or &allProperties=true)
+app.get('/api/export/audit-logs', ...exportRoute('admin', async (req, res) => {
+  const { format = 'csv', ...filters } = validateInput({
+    ...EXPORT_FORMAT_SCHEMA,
+    ...AUDIT_FILTER_SCHEMA,
+    ...REPORT_SCOPE_SCHEMA,
+  }, req.query);
+  const propertyId = reportPropertyId(req, filters);
+  const { conditions, values } = buildAuditFilters(filters, propertyId);
+
+  await sendExport(req, res, {
+    name: 'audit-logs',
+    format,
+    columns: [
+      ...(propertyId !== req.property.id ? [PROPERTY_EXPORT_COLUMN] : []),
+      { header: 'Timestamp', date: true, value: log => log.timestamp },
+      { header: 'User', value: log => log.user_id },
+      { header: 'Action', value: log => log.action },
+      { header: 'Record ID', value: log => log.record_id },
+      { header: 'Details', width: 60, value: log => log.details },
+      { header: 'Changes', width: 60, value: log => (log.changes ? JSON.stringify(log.changes) : null) },
+      { header: 'IP Address', value: log => log.ip_address },
+      { header: 'User Agent', width: 40, value: log => log.user_agent },
+      { header: 'Hash', width: 40, value: log => log.hash },
+    ],
+    sql: `
+      SELECT *, ${propertyCodeSql('audit_logs')} FROM audit_logs
+      ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+      ORDER BY id DESC
+    `,
+    values,
+    filters,
+  });
+}));
+
+// GET /api/export/data-requests/:id - everything held about the person of a data-subject
+// request, as one JSON document with the photos and signatures embedded as data URIs
+app.get('/api/export/data-requests/:id', ...exportRoute('admin', async (req, res) => {
+  const { id } = validateInput({ id: { type: 'integer', required: true, min: 1 } }, req.params);
+  const request = await findDataRequest(id, req.property.id);
+  if (request.status === 'rejected' || (request.kind === 'erasure' && request.status === 'fulfilled')) {
+    throw new TRPCError('CONFLICT', 'คำขอนี้ไม่มีข้อมูลให้ดาวน์โหลด');
+  }
+
+  const data = await findDataSubject(req.property.id, {
+    idNumber: decryptField('id_number', request.id_number),
+    phone: decryptField('phone', request.phone),
+  });
+  const visitors = [];
+  for (const visitor of data.visitors) {
+    const formatted = formatSubjectVisitor(visitor);
+    for (const attachment of formatted.attachments) {
+      const stored = visitor.attachments.find(a => a.attachment_id === attachment.id);
+      const buffer = await readBlob(stored.storage_key, stored.key_id);
+      attachment.data = buffer ? `data:${stored.content_type};base64,${buffer.toString('base64')}` : null;
+    }
+    // Images not yet moved to the attachment store are still inline on the record
+    for (const [kind, column] of Object.entries(ATTACHMENT_KINDS)) {
+      if (visitor.record[column] && !formatted.attachments.some(a => a.kind === kind)) {
+        formatted.attachments.push({ kind, data: visitor.record[column] });
+      }
+    }
+    visitors.push(formatted);
+  }
+
+  const bundle = {
+    request: formatDataRequest(request),
+    property: { code: req.property.code, name: req.property.name },
+    generatedAt: new Date().toISOString(),
+    generatedBy: req.user.username,
+    visitors,
+    invitations: data.invitations.map(i => formatInvitation(i)),
+    profiles: data.profiles.map(p => formatVisitorProfile(p)),
+    auditLogs: data.auditLogs.map(formatAuditLog),
+  };
+
+  await writeAuditLog({
+    userId: req.user.username,
+    action: 'DATA_REQUEST_EXPORTED',
+    details: `Data ${request.kind} request #${request.id}: bundle with ${visitors.length} record(s), ` +
+      `${data.invitations.length} invitation(s) and ${data.auditLogs.length} audit entries downloaded`,
+  });
+
+  res.set({
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Disposition': `attachment; filename="data-request-${request.id}.json"`,
+    'Cache-Control': 'no-store',
+  });
+  res.send(JSON.stringify(bundle, null, 2));
+}));
+
+// ============================================
+// Error Logs Routes
+// ============================================
+
+// Same recipe as migrations/007: numbers are blanked so that "Record 12 failed" and
+// "Record 13 failed" land in one group
+function errorFingerprint(source, type, message) {
+  return crypto.createHash('sha256')
+    .update(`${source}\n${type}\n${String(message).replace(/[0-9]+/g, '#')}`)
+    .digest('hex');
+}
+
+// Store one occurrence: a new group, or one more occurrence of an existing group. A resolved
+// error that happens again is reopened, unless reopen is false.
+async function recordError({ type, message, source, metadata, reopen = true }) {
+  const result = await pool.query(`
+    INSERT INTO error_logs (type, message, source, metadata, fingerprint)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (fingerprint) DO UPDATE SET
+      message = EXCLUDED.message,
+      metadata = EXCLUDED.metadata,
+      occurrences = error_logs.occurrences + 1,
+      last_seen_at = NOW(),
+      resolved = error_logs.resolved AND NOT $6::boolean,
+      resolved_at = CASE WHEN $6::boolean THEN NULL ELSE error_logs.resolved_at END,
+      resolved_by = CASE WHEN $6::boolean THEN NULL ELSE error_logs.resolved_by END
+    RETURNING id, occurrences
+  `, [type, message, source, metadata ? JSON.stringify(metadata) : null, errorFingerprint(source, type, message), reopen]);
+  return result.rows[0];
+}
+
+const ERROR_INPUT_REDACTED = /password|token|secret|signature|photo|image/i;
+const ERROR_INPUT_MAX_STRING = 200;
+
+// Procedure input as it can be kept in error_logs: credentials and images removed, ID numbers
+// and phones masked, long strings cut short
+function sanitizeErrorInput(value, key = '', depth = 0) {
+  if (value == null || typeof value === 'number' || typeof value === 'boolean') return value;
+  if (ERROR_INPUT_REDACTED.test(key)) return '[redacted]';
+  if (typeof value === 'string') {
+    if (/^(idNumber|phone)$/.test(key)) return maskIdNumber(value);
+    return value.length > ERROR_INPUT_MAX_STRING ? `${value.slice(0, ERROR_INPUT_MAX_STRING)}… [${value.length} chars]` : value;
+  }
+  if (depth >= 4) return '[…]';
+  if (Array.isArray(value)) return value.slice(0, 20).map(item => sanitizeErrorInput(item, key, depth + 1));
+  if (typeof value === 'object') {
+    return Object.fromEntries(
+      Object.entries(value).map(([name, item]) => [name, sanitizeErrorInput(item, name, depth + 1)])
+    );
+  }
+  return String(value);
+}
+
+// Record an unexpected failure of a route. Never throws: the caller is already failing.
+function captureServerError(source, error, req, input) {
+  recordError({
+    type: error?.name || 'Error',
+    message: error?.message || String(error),
+    source: `server:${source}`.slice(0, 64),
+    metadata: {
+      input: sanitizeErrorInput(input),
+      user: req.user?.username || null,
+      code: error?.code,
+      stack: error?.stack?.split('\n').slice(0, 10).join('\n'),
+    },
+  }).catch(captureError => {
+    console.error('[errorLog] Failed to record error:', captureError);
+  });
+}
+
+function formatErrorLog(log) {
+  return {
+    id: log.id,
+    type: log.type,
+    message: log.message,
+    source: log.source,
+    metadata: log.metadata ? JSON.parse(log.metadata) : null,
+    fingerprint: log.fingerprint,
+    occurrences: log.occurrences,
+    firstSeenAt: log.created_at?.toISOString(),
+    lastSeenAt: log.last_seen_at?.toISOString(),
+    resolved: log.resolved,
+    resolvedAt: log.resolved_at?.toISOString(),
+    resolvedBy: log.resolved_by,
+    createdAt: log.created_at?.toISOString(),
+  };
+}
+
+// Most recently seen first. source matches a prefix, so 'server:' lists every captured failure.
+// Errors are not tied to a property (server failures and client reports of any of them), so
+// they are for group admins
+router.query('errorLog.list', 'group_admin', {
+  source: { type: 'string', max: 64 },
+  type: { type: 'string', max: 64 },
+  resolved: { type: 'boolean' },
+  limit: { type: 'integer', min: 1, max: MAX_PAGE_SIZE },
+}, async (input) => {
+  const conditions = [];
+  const values = [];
+  const param = value => {
+    values.push(value);
+    return `$${values.length}`;
+  };
+  if (input.source) conditions.push(`source LIKE ${param(`${input.source.replace(/[\\%_]/g, '\\$&')}%`)}`);
+  if (input.type) conditions.push(`type = ${param(input.type)}`);
+  if (input.resolved != null) conditions.push(`resolved = ${param(input.resolved)}`);
+
+  const result = await pool.query(`
+    SELECT * FROM error_logs
+    ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+    ORDER BY last_seen_at DESC, id DESC
+    LIMIT ${param(input.limit || 100)}
+  `, values);
+  return result.rows.map(formatErrorLog);
+});
+
+// Anyone can report, so reports are kept apart from server failures (always source 'client:...')
+// and cannot reopen a group an admin has resolved
+router.mutation('errorLog.create', 'public', {
+  type: { type: 'string', required: true, max: 64 },
+  message: { type: 'string', required: true, max: 10000 },
+  source: { type: 'string', required: true, max: 64 },
+  metadata: { type: 'any' },
+}, async (input) => {
+  const source = input.source.startsWith('client:') ? input.source : `client:${input.source}`.slice(0, 64);
+  const { id, occurrences } = await recordError({ ...input, source, reopen: false });
+  return { success: true, id, occurrences };
 });
 
+// Mark an error group resolved (resolve) or open again (reopen)
+function errorStatusMutation(resolved) {
+  return async (input, ctx) => {
+    const result = await pool.query(`
+      UPDATE error_logs SET
+        resolved = $2::boolean,
+        resolved_at = CASE WHEN $2::boolean THEN NOW() END,
+        resolved_by = CASE WHEN $2::boolean THEN $3::text END
+      WHERE id = $1 AND resolved <> $2::boolean
+      RETURNING *
+    `, [input.id, resolved, ctx.user.username]);
+
+    if (result.rows.length === 0) {
+      const existing = await pool.query('SELECT 1 FROM error_logs WHERE id = $1', [input.id]);
+      if (existing.rows.length === 0) {
+        throw new TRPCError('NOT_FOUND', 'ไม่พบรายการ');
+      }
+      throw new TRPCError('CONFLICT', resolved ? 'รายการนี้ได้รับการแก้ไขแล้ว' : 'รายการนี้ยังไม่ได้รับการแก้ไข');
+    }
+
+    const log = result.rows[0];
+    await writeAuditLog({
+      userId: ctx.user.username,
+      action: resolved ? 'ERROR_RESOLVED' : 'ERROR_REOPENED',
+      details: `Error #${log.id} (${log.source}: ${log.type}) ${resolved ? 'resolved' : 'reopened'}` +
+        (input.note ? `: ${input.note}` : ''),
+    });
+
+    return { success: true, errorLog: formatErrorLog(log) };
+  };
+}
+
+const ERROR_STATUS_SCHEMA = {
+  id: { type: 'integer', required: true },
+  note: { type: 'string', max: 1000 },
+};
+
+router.mutation('errorLog.resolve', 'group_admin', ERROR_STATUS_SCHEMA, errorStatusMutation(true));
+router.mutation('errorLog.reopen', 'group_admin', ERROR_STATUS_SCHEMA, errorStatusMutation(false));
+
 // ============================================
 // Statistics
 // ============================================
 
-app.get('/api/trpc/stats.today', async (req, res) => {
-  try {
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+// Timestamps are stored without a zone, in the database session's time zone (NOW()).
+// $3 is always the property's time zone in these fragments.
+const SESSION_TZ = "current_setting('TimeZone')";
+function hotelTimeSql(column) {
+  return `((${column} AT TIME ZONE ${SESSION_TZ}) AT TIME ZONE $3)`;
+}
+// Hotel-local midnight of a date parameter, as a stored (session-zone) timestamp
+function hotelMidnightSql(date) {
+  return `((${date}::timestamp AT TIME ZONE $3) AT TIME ZONE ${SESSION_TZ})`;
+}
 
-    const result = await pool.query('SELECT * FROM visitor_records WHERE check_in_time >= $1', [today]);
-    const records = result.rows;
+// Today's date (YYYY-MM-DD) in a property's time zone
+function hotelDate(timeZone, date = new Date()) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone }).format(date);
+}
 
-    const todayIn = records.length;
-    const todayOut = records.filter(r => r.status === 'OUT').length;
-    const pending = records.filter(r => r.status === 'IN').length;
+// Current time of day (HH:MM) in a property's time zone
+function hotelTime(timeZone, date = new Date()) {
+  return new Intl.DateTimeFormat('en-GB', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' }).format(date);
+}
 
-    res.json(trpcResponse({ todayIn, todayOut, pending }));
-  } catch (error) {
-    console.error('[stats.today] Error:', error);
-    res.json(trpcResponse({ todayIn: 0, todayOut: 0, pending: 0 }));
+// Sum of the given counters over per-property reports
+function sumCounters(reports, keys) {
+  return Object.fromEntries(keys.map(key => [key, reports.reduce((total, report) => total + report[key], 0)]));
+}
+
+async function todayCounts(property) {
+  const today = hotelDate(property.timezone);
+  const result = await pool.query(`
+    SELECT
+      COUNT(*)::int AS today_in,
+      COUNT(*) FILTER (WHERE status = 'OUT')::int AS today_out,
+      COUNT(*) FILTER (WHERE status = 'IN')::int AS pending
+    FROM visitor_records
+    WHERE property_id = $4
+      AND check_in_time >= ${hotelMidnightSql('$1::date')}
+      AND check_in_time < ${hotelMidnightSql('($2::date + 1)')}
+  `, [today, today, property.timezone, property.id]);
+
+  const { today_in: todayIn, today_out: todayOut, pending } = result.rows[0];
+  return { todayIn, todayOut, pending };
+}
+
+// Today (each property's own date). A report across properties adds the per-property counts.
+router.query('stats.today', 'user', REPORT_SCOPE_SCHEMA, async (input, ctx) => {
+  const properties = await reportProperties(ctx, input);
+  if (properties.length === 1 && !input.allProperties) {
+    return await todayCounts(properties[0]);
+  }
+
+  const reports = [];
+  for (const property of properties) {
+    reports.push({ property, ...await todayCounts(property) });
+  }
+  return { ...sumCounters(reports, ['todayIn', 'todayOut', 'pending']), properties: reports };
+});
+
+const STATS_MAX_DAYS = 366;
+const STATS_TOP_N = 20;
+
+// Counts per value of one column, most frequent first
+async function statsBreakdown(column, where, values) {
+  const result = await pool.query(`
+    SELECT ${column} AS value, COUNT(*)::int AS count
+    FROM visitor_records
+    WHERE ${where}
+    GROUP BY ${column}
+    ORDER BY count DESC, value
+    LIMIT ${STATS_TOP_N}
+  `, values);
+  return result.rows;
+}
+
+// Analytics for one property over a period of its local dates ($4 is the property id)
+async function rangeStats(property, dateFrom, dateTo) {
+  const values = [dateFrom, dateTo, property.timezone, property.id];
+  const rangeStart = hotelMidnightSql('$1::date');
+  const rangeEnd = hotelMidnightSql('($2::date + 1)');
+  const inRange = `property_id = $4 AND check_in_time >= ${rangeStart} AND check_in_time < ${rangeEnd}`;
+  // Open visits end now; checked-out rows without a time (old data) count as zero-length
+  const visitEnd = `COALESCE(check_out_time, CASE WHEN status = 'IN' THEN LOCALTIMESTAMP ELSE check_in_time END)`;
+
+  const [totals, daily, hourly, byType, byAccessArea, byCompany, byRecordedBy, peak] = await Promise.all([
+    pool.query(`
+      SELECT
+        COUNT(*)::int AS check_ins,
+        COUNT(*) FILTER (WHERE status = 'OUT')::int AS checked_out,
+        COUNT(*) FILTER (WHERE status = 'IN')::int AS still_in,
+        COUNT(*) FILTER (WHERE recorded_by = 'self-checkin')::int AS self_check_ins,
+        ROUND(AVG(EXTRACT(EPOCH FROM check_out_time - check_in_time)) / 60)::int AS avg_minutes,
+        ROUND(MAX(EXTRACT(EPOCH FROM check_out_time - check_in_time)) / 60)::int AS max_minutes
+      FROM visitor_records
+      WHERE ${inRange}
+    `, values),
+    pool.query(`
+      SELECT day::date::text AS date, COUNT(v.id)::int AS count
+      FROM generate_series($1::date, $2::date, interval '1 day') AS day
+      LEFT JOIN (
+        SELECT id, ${hotelTimeSql('check_in_time')}::date AS local_date
+        FROM visitor_records WHERE ${inRange}
+      ) v ON v.local_date = day::date
+      GROUP BY day
+      ORDER BY day
+    `, values),
+    pool.query(`
+      SELECT hour, COUNT(v.id)::int AS count
+      FROM generate_series(0, 23) AS hour
+      LEFT JOIN (
+        SELECT id, EXTRACT(HOUR FROM ${hotelTimeSql('check_in_time')})::int AS local_hour
+        FROM visitor_records WHERE ${inRange}
+      ) v ON v.local_hour = hour
+      GROUP BY hour
+      ORDER BY hour
+    `, values),
+    statsBreakdown('type', inRange, values),
+    statsBreakdown('access_area', inRange, values),
+    statsBreakdown('company', inRange, values),
+    statsBreakdown('recorded_by', inRange, values),
+    // Highest number of visitors on site at once: running sum of +1 / -1 events over
+    // every visit overlapping the period (clipped to it), departures first on ties
+    pool.query(`
+      WITH visits AS (
+        SELECT GREATEST(check_in_time, ${rangeStart}) AS t_in, LEAST(${visitEnd}, ${rangeEnd}) AS t_out
+        FROM visitor_records
+        WHERE property_id = $4 AND check_in_time < ${rangeEnd} AND ${visitEnd} > ${rangeStart}
+      ),
+      events AS (
+        SELECT t_in AS t, 1 AS delta FROM visits
+        UNION ALL
+        SELECT t_out, -1 FROM visits
+      ),
+      running AS (
+        SELECT t, SUM(delta) OVER (ORDER BY t, delta ROWS UNBOUNDED PRECEDING)::int AS occupancy
+        FROM events
+      )
+      SELECT occupancy, t FROM running ORDER BY occupancy DESC, t LIMIT 1
+    `, values),
+  ]);
+
+  const t = totals.rows[0];
+  return {
+    dateFrom,
+    dateTo,
+    timezone: property.timezone,
+    totals: {
+      checkIns: t.check_ins,
+      checkedOut: t.checked_out,
+      stillIn: t.still_in,
+    },
+    daily: daily.rows,
+    hourly: hourly.rows,
+    byType,
+    byAccessArea,
+    byCompany,
+    byRecordedBy,
+    duration: {
+      averageMinutes: t.avg_minutes,
+      maxMinutes: t.max_minutes,
+    },
+    peakOccupancy: {
+      count: peak.rows[0]?.occupancy || 0,
+      at: peak.rows[0]?.t?.toISOString() || null,
+    },
+    checkInSource: {
+      self: t.self_check_ins,
+      staff: t.check_ins - t.self_check_ins,
+      selfShare: t.check_ins > 0 ? Math.round(t.self_check_ins / t.check_ins * 1000) / 1000 : 0,
+    },
+  };
+}
+
+// Analytics for a period of hotel-local dates (both inclusive; default: the last 7 days of the
+// caller's property). A report across properties has the group totals plus one report each.
+router.query('stats.range', 'user', {
+  dateFrom: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, patternMessage: 'ต้องอยู่ในรูปแบบ YYYY-MM-DD' },
+  dateTo: { type: 'string', pattern: /^\d{4}-\d{2}-\d{2}$/, patternMessage: 'ต้องอยู่ในรูปแบบ YYYY-MM-DD' },
+  ...REPORT_SCOPE_SCHEMA,
+}, async (input, ctx) => {
+  const dateTo = input.dateTo || hotelDate(ctx.property.timezone);
+  const dateFrom = input.dateFrom || new Date(Date.parse(dateTo) - 6 * 86400000).toISOString().slice(0, 10);
+
+  const days = (Date.parse(dateTo) - Date.parse(dateFrom)) / 86400000 + 1;
+  if (!(days >= 1)) {
+    throw new TRPCError('BAD_REQUEST', 'วันที่เริ่มต้นต้องไม่เกินวันที่สิ้นสุด', { fieldErrors: { dateFrom: 'ต้องไม่เกิน dateTo' } });
+  }
+  if (days > STATS_MAX_DAYS) {
+    throw new TRPCError('BAD_REQUEST', `ช่วงวันที่ต้องไม่เกิน ${STATS_MAX_DAYS} วัน`);
+  }
+
+  const properties = await reportProperties(ctx, input);
+  if (properties.length === 1 && !input.allProperties) {
+    return await rangeStats(properties[0], dateFrom, dateTo);
+  }
+
+  const reports = [];
+  for (const property of properties) {
+    reports.push({ property, ...await rangeStats(property, dateFrom, dateTo) });
   }
+  return {
+    dateFrom,
+    dateTo,
+    totals: sumCounters(reports.map(report => report.totals), ['checkIns', 'checkedOut', 'stillIn']),
+    properties: reports,
+  };
 });
 
 // ============================================
 // Start Server
 // ============================================
 
+// Maintenance commands: node server.js <command>
+const COMMANDS = {
+  async migrate() {
+    const client = await pool.connect();
+    try {
+      const count = await runMigrations(client);
+      console.log(count > 0 ? `[Migrations] ${count} migration(s) applied` : '[Migrations] Already up to date');
+    } finally {
+      client.release();
+    }
+  },
+
+  async 'migrate:status'() {
+    const client = await pool.connect();
+    try {
+      for (const m of await migrationStatus(client)) {
+        const state = m.missing ? 'applied, file missing' : m.appliedAt ? `applied ${m.appliedAt}` : 'pending';
+        console.log(`${m.version}_${m.name}: ${state}${m.changed ? ' (file changed since applied)' : ''}`);
+      }
+    } finally {
+      client.release();
+    }
+  },
+
+  async 'migrate:rollback'() {
+    const client = await pool.connect();
+    try {
+      if (!(await rollbackMigration(client))) {
+        console.log('[Migrations] Nothing to roll back');
+      }
+    } finally {
+      client.release();
+    }
+  },
+
+  async 'migrate-attachments'() {
+    await initDatabase();
+    await migrateInlineAttachments();
+  },
+
+  // Before rolling back migration 012: the server would encrypt everything again on startup
+  async 'decrypt-fields'() {
+    const client = await pool.connect();
+    try {
+      await loadFieldKeys(client);
+    } finally {
+      client.release();
+    }
+    await rewriteEncryptedFields({ decrypt: true });
+  },
+};
+
+async function runCommand(command) {
+  try {
+    if (!COMMANDS[command]) {
+      throw new Error(`Unknown command: ${command} (available: ${Object.keys(COMMANDS).join(', ')})`);
+    }
+    await COMMANDS[command]();
+    await pool.end();
+  } catch (error) {
+    console.error(`[${command}] Failed:`, error);
+    process.exit(1);
+  }
+}
+
 async function startServer() {
   try {
     await initDatabase();
-    
+    startRetentionJob();
+    startOverstayJob();
+    startInvitationJob();
+    startRateLimitJob();
+    startWebhookWorker();
+    startEventListener();
+
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`[Server] Hotel VMS Backend running on port ${PORT}`);
       console.log(`[Server] Health check: http://localhost:${PORT}/health`);
@@ -826,4 +7310,8 @@ async function startServer() {
   }
 }
 
-startServer();
+if (process.argv[2]) {
+  runCommand(process.argv[2]);
+} else {
+  startServer();
+}
@@ -0,0 +1,48 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, createDatabase, startServer, call, adminToken } = require('./helpers');
+
+describe('audit trail', { skip }, () => {
+  let database;
+  let server;
+  let token;
+
+  before(async () => {
+    database = await createDatabase();
+    server = await startServer(database.url);
+    token = await adminToken(server);
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+    if (database) await database.drop();
+  });
+
+  async function verify() {
+    const result = await call(server, 'auditLogs.verify', {}, { token });
+    assert.equal(result.status, 200, JSON.stringify(result.error));
+    return result.data;
+  }
+
+  it('verifies an untouched chain', async () => {
+    const checkedIn = await call(server, 'visitors.checkIn', { recordId: 'VIS-AUDIT-1', fullName: 'Audit Visitor' }, { token });
+    assert.equal(checkedIn.status, 200, JSON.stringify(checkedIn.error));
+
+    const result = await verify();
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.problems, []);
+  });
+
+  it('reports an entry moved to another property as modified', async () => {
+    const created = await call(server, 'properties.create', { code: 'annex', name: 'Annex', timezone: 'Asia/Bangkok' }, { token });
+    assert.equal(created.status, 200, JSON.stringify(created.error));
+    const entry = (await database.pool.query(
+      "SELECT id FROM audit_logs WHERE record_id = 'VIS-AUDIT-1' AND action = 'CHECK_IN'"
+    )).rows[0];
+    await database.pool.query('UPDATE audit_logs SET property_id = $2 WHERE id = $1', [entry.id, created.data.property.id]);
+
+    const result = await verify();
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.problems, [{ id: entry.id, problem: 'MODIFIED' }]);
+  });
+});
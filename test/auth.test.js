@@ -0,0 +1,131 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, createDatabase, startServer, call, adminToken } = require('./helpers');
+
+describe('login', { skip }, () => {
+  let database;
+
+  before(async () => {
+    database = await createDatabase();
+  });
+
+  after(async () => {
+    if (database) await database.drop();
+  });
+
+  describe('lockout', () => {
+    let server;
+    let token;
+    let staffId;
+
+    before(async () => {
+      server = await startServer(database.url, { LOGIN_LOCKOUT_THRESHOLD: '3' });
+      token = await adminToken(server);
+      const created = await call(server, 'appUsers.create', {
+        username: 'frontdesk',
+        password: 'Welcome1234',
+        name: 'Front Desk',
+      }, { token });
+      assert.equal(created.status, 200, JSON.stringify(created.error));
+      staffId = created.data.id;
+    });
+
+    after(async () => {
+      if (server) await server.stop();
+    });
+
+    it('logs in with the right password and refuses a wrong one', async () => {
+      const ok = await call(server, 'appUsers.login', { username: 'frontdesk', password: 'Welcome1234' });
+      assert.equal(ok.status, 200);
+      assert.ok(ok.data.token);
+      assert.equal(ok.data.user.mustChangePassword, true);
+
+      const wrong = await call(server, 'appUsers.login', { username: 'frontdesk', password: 'Wrongpass1234' });
+      assert.equal(wrong.status, 401);
+    });
+
+    it('answers an unknown username like a wrong password, after hashing all the same', async () => {
+      const time = async username => {
+        const started = process.hrtime.bigint();
+        const result = await call(server, 'appUsers.login', { username, password: 'Wrongpass1234' });
+        return { result, ms: Number(process.hrtime.bigint() - started) / 1e6 };
+      };
+
+      // Warm up first; the admin's failed attempt is cleared again below
+      await time('nobody');
+      const known = await time('admin');
+      const unknown = await time('nobody');
+
+      assert.equal(unknown.result.status, 401);
+      assert.equal(unknown.result.error.message, known.result.error.message);
+      assert.ok(unknown.ms > known.ms / 3, `unknown ${unknown.ms}ms, known ${known.ms}ms`);
+
+      // Reset admin's failure count
+      await adminToken(server);
+    });
+
+    it('locks the account after LOGIN_LOCKOUT_THRESHOLD failures until an admin unlocks it', async () => {
+      for (let i = 0; i < 2; i++) {
+        const wrong = await call(server, 'appUsers.login', { username: 'frontdesk', password: 'Wrongpass1234' });
+        assert.equal(wrong.status, 401);
+      }
+
+      const locked = await call(server, 'appUsers.login', { username: 'frontdesk', password: 'Welcome1234' });
+      assert.equal(locked.status, 403);
+      assert.ok(locked.error.data.lockedUntil);
+
+      const unlocked = await call(server, 'appUsers.unlock', { id: staffId }, { token });
+      assert.equal(unlocked.status, 200);
+
+      const ok = await call(server, 'appUsers.login', { username: 'frontdesk', password: 'Welcome1234' });
+      assert.equal(ok.status, 200);
+
+      const audit = await database.pool.query(
+        "SELECT action FROM audit_logs WHERE action IN ('ACCOUNT_LOCKED', 'LOGIN_BLOCKED', 'ACCOUNT_UNLOCKED') ORDER BY id"
+      );
+      assert.deepEqual(audit.rows.map(row => row.action), ['ACCOUNT_LOCKED', 'LOGIN_BLOCKED', 'ACCOUNT_UNLOCKED']);
+    });
+  });
+
+  describe('rate limits', () => {
+    let server;
+    let kioskKey;
+
+    before(async () => {
+      server = await startServer(database.url, { RATE_LIMIT_LOGIN: '2', RATE_LIMIT_SELF_CHECK_IN: '1' });
+      const token = await adminToken(server);
+      const kiosk = await call(server, 'kioskKeys.create', { name: 'Lobby' }, { token });
+      assert.equal(kiosk.status, 200, JSON.stringify(kiosk.error));
+      kioskKey = kiosk.data.key;
+    });
+
+    after(async () => {
+      if (server) await server.stop();
+    });
+
+    it('holds one IP to RATE_LIMIT_LOGIN logins and says when to retry', async () => {
+      // adminToken used the first
+      const second = await call(server, 'appUsers.login', { username: 'frontdesk', password: 'Wrongpass1234' });
+      assert.equal(second.status, 401);
+
+      const third = await call(server, 'appUsers.login', { username: 'admin', password: 'Testpass1234' });
+      assert.equal(third.status, 429);
+      assert.ok(parseInt(third.headers.get('retry-after'), 10) > 0);
+    });
+
+    it('counts kiosk check-ins per kiosk instead of against the IP limit', async () => {
+      const visitor = { fullName: 'Kiosk Visitor', consentAccepted: true };
+
+      // Callers without a kiosk key are refused, but only after they are counted
+      const first = await call(server, 'selfCheckIn.submit', visitor);
+      assert.equal(first.status, 401);
+      const second = await call(server, 'selfCheckIn.submit', visitor);
+      assert.equal(second.status, 429);
+
+      for (let i = 0; i < 3; i++) {
+        const submitted = await call(server, 'selfCheckIn.submit', visitor, { headers: { 'X-Kiosk-Key': kioskKey } });
+        assert.equal(submitted.status, 200, JSON.stringify(submitted.error));
+      }
+    });
+  });
+});
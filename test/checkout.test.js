@@ -0,0 +1,70 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, createDatabase, startServer, call, adminToken } = require('./helpers');
+
+describe('visitors.checkOut', { skip }, () => {
+  let database;
+  let server;
+  let token;
+
+  before(async () => {
+    database = await createDatabase();
+    server = await startServer(database.url);
+    token = await adminToken(server);
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+    if (database) await database.drop();
+  });
+
+  async function checkIn(recordId) {
+    const result = await call(server, 'visitors.checkIn', { recordId, fullName: 'Checkout Visitor' }, { token });
+    assert.equal(result.status, 200, JSON.stringify(result.error));
+  }
+
+  async function checkOutEntries(recordId) {
+    const result = await database.pool.query(
+      "SELECT id FROM audit_logs WHERE record_id = $1 AND action = 'CHECK_OUT'",
+      [recordId]
+    );
+    return result.rows.length;
+  }
+
+  it('checks a visitor out once and refuses the second time', async () => {
+    await checkIn('VIS-OUT-1');
+
+    const first = await call(server, 'visitors.checkOut', { recordId: 'VIS-OUT-1' }, { token });
+    assert.equal(first.status, 200);
+    const { rows: [record] } = await database.pool.query(
+      "SELECT status, check_out_time FROM visitor_records WHERE record_id = 'VIS-OUT-1'"
+    );
+    assert.equal(record.status, 'OUT');
+
+    const second = await call(server, 'visitors.checkOut', { recordId: 'VIS-OUT-1' }, { token });
+    assert.equal(second.status, 409);
+    assert.equal(second.error.data.reason, 'ALREADY_CHECKED_OUT');
+
+    const { rows: [later] } = await database.pool.query(
+      "SELECT check_out_time FROM visitor_records WHERE record_id = 'VIS-OUT-1'"
+    );
+    assert.deepEqual(later.check_out_time, record.check_out_time);
+    assert.equal(await checkOutEntries('VIS-OUT-1'), 1);
+  });
+
+  it('lets only one of two simultaneous check-outs through', async () => {
+    await checkIn('VIS-OUT-2');
+
+    const results = await Promise.all([
+      call(server, 'visitors.checkOut', { recordId: 'VIS-OUT-2' }, { token }),
+      call(server, 'visitors.checkOut', { recordId: 'VIS-OUT-2' }, { token }),
+    ]);
+    assert.deepEqual(results.map(result => result.status).sort(), [200, 409]);
+    assert.equal(await checkOutEntries('VIS-OUT-2'), 1);
+  });
+
+  it('answers NOT_FOUND for an unknown visitor', async () => {
+    const result = await call(server, 'visitors.checkOut', { recordId: 'VIS-MISSING' }, { token });
+    assert.equal(result.status, 404);
+  });
+});
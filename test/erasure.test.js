@@ -0,0 +1,93 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, createDatabase, startServer, call, adminToken } = require('./helpers');
+
+// Two people sharing a household phone, each with their own ID number
+const SHARED_PHONE = '0812345678';
+const ALICE = { idNumber: '1100100100001', phone: SHARED_PHONE };
+const BOB = { idNumber: '1100100100002', phone: SHARED_PHONE };
+
+describe('data-subject requests', { skip }, () => {
+  let database;
+  let server;
+  let token;
+
+  before(async () => {
+    database = await createDatabase();
+    server = await startServer(database.url);
+    token = await adminToken(server);
+
+    for (const [recordId, fullName, person] of [
+      ['VIS-ALICE-1', 'Alice', ALICE],
+      ['VIS-ALICE-2', 'Alice', ALICE],
+      ['VIS-BOB-1', 'Bob', BOB],
+    ]) {
+      const checkedIn = await call(server, 'visitors.checkIn', { recordId, fullName, ...person }, { token });
+      assert.equal(checkedIn.status, 200, JSON.stringify(checkedIn.error));
+      const checkedOut = await call(server, 'visitors.checkOut', { recordId }, { token });
+      assert.equal(checkedOut.status, 200, JSON.stringify(checkedOut.error));
+    }
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+    if (database) await database.drop();
+  });
+
+  async function createRequest(kind, subject) {
+    const created = await call(server, 'dataRequests.create', { kind, requesterName: 'Requester', ...subject }, { token });
+    assert.equal(created.status, 200, JSON.stringify(created.error));
+    return created.data.request.id;
+  }
+
+  async function preview(id) {
+    const result = await call(server, 'dataRequests.preview', { id }, { token, method: 'GET' });
+    assert.equal(result.status, 200, JSON.stringify(result.error));
+    return result.data.visitors.map(visitor => visitor.id).sort();
+  }
+
+  async function fullName(recordId) {
+    const result = await database.pool.query('SELECT full_name FROM visitor_records WHERE record_id = $1', [recordId]);
+    return result.rows[0].full_name;
+  }
+
+  it('matches on the ID number and leaves others with the same phone out', async () => {
+    const id = await createRequest('access', ALICE);
+    assert.deepEqual(await preview(id), ['VIS-ALICE-1', 'VIS-ALICE-2']);
+
+    const response = await fetch(`${server.baseUrl}/api/export/data-requests/${id}`, {
+      headers: { Authorization: `Bearer ${token}` },
+    });
+    assert.equal(response.status, 200);
+    const bundle = await response.json();
+    assert.deepEqual(bundle.visitors.map(visitor => visitor.id).sort(), ['VIS-ALICE-1', 'VIS-ALICE-2']);
+  });
+
+  it('falls back to the phone number when the request has no ID number', async () => {
+    const id = await createRequest('access', { phone: SHARED_PHONE });
+    assert.deepEqual(await preview(id), ['VIS-ALICE-1', 'VIS-ALICE-2', 'VIS-BOB-1']);
+  });
+
+  it('erases only the records the admin confirmed', async () => {
+    const id = await createRequest('erasure', ALICE);
+    const matched = await preview(id);
+
+    const stale = await call(server, 'dataRequests.erase', { id, recordIds: ['VIS-ALICE-1'] }, { token });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.error.data.reason, 'RECORDS_CHANGED');
+    assert.deepEqual(stale.error.data.recordIds, matched);
+    assert.equal(await fullName('VIS-ALICE-1'), 'Alice');
+
+    const erased = await call(server, 'dataRequests.erase', { id, recordIds: matched }, { token });
+    assert.equal(erased.status, 200, JSON.stringify(erased.error));
+    assert.equal(erased.data.visitors, 2);
+
+    assert.equal(await fullName('VIS-ALICE-1'), '[anonymized]');
+    assert.equal(await fullName('VIS-ALICE-2'), '[anonymized]');
+    assert.equal(await fullName('VIS-BOB-1'), 'Bob');
+
+    const bob = await call(server, 'visitors.byId', { recordId: 'VIS-BOB-1' }, { token, method: 'GET' });
+    assert.equal(bob.status, 200, JSON.stringify(bob.error));
+    assert.equal(bob.data.phone, SHARED_PHONE);
+  });
+});
@@ -0,0 +1,172 @@
+// Shared helpers for the integration tests. They need a PostgreSQL server: set TEST_DATABASE_URL
+// to a database the tests may connect to (each test file creates and drops its own database).
+const { spawn } = require('child_process');
+const net = require('net');
+const path = require('path');
+const { Pool } = require('pg');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const adminUrl = process.env.TEST_DATABASE_URL;
+const skip = adminUrl ? false : 'TEST_DATABASE_URL not set';
+
+let databaseCount = 0;
+
+// Create an empty database for one test file. Returns its URL, a pool and drop()
+async function createDatabase() {
+  const name = `vms_test_${process.pid}_${++databaseCount}`;
+  const admin = new Pool({ connectionString: adminUrl });
+  await admin.query(`DROP DATABASE IF EXISTS ${name}`);
+  await admin.query(`CREATE DATABASE ${name}`);
+
+  const url = new URL(adminUrl);
+  url.pathname = `/${name}`;
+  const pool = new Pool({ connectionString: url.toString() });
+
+  return {
+    url: url.toString(),
+    pool,
+    async drop() {
+      await pool.end();
+      await admin.query(`DROP DATABASE IF EXISTS ${name} WITH (FORCE)`);
+      await admin.end();
+    },
+  };
+}
+
+// Run a maintenance command (node server.js <command>). Resolves with { code, output }
+function runCommand(databaseUrl, command) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [SERVER, command], {
+      env: { ...process.env, DATABASE_URL: databaseUrl },
+    });
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.on('error', reject);
+    child.on('close', code => resolve({ code, output }));
+  });
+}
+
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Start the API server against a database and wait until /health answers
+async function startServer(databaseUrl, env = {}) {
+  const port = await freePort();
+  const child = spawn(process.execPath, [SERVER], {
+    env: {
+      ...process.env,
+      DATABASE_URL: databaseUrl,
+      PORT: String(port),
+      ATTACHMENT_STORAGE: 'db',
+      ...env,
+    },
+  });
+  let output = '';
+  child.stdout.on('data', chunk => { output += chunk; });
+  child.stderr.on('data', chunk => { output += chunk; });
+
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const deadline = Date.now() + 30000;
+  for (;;) {
+    if (child.exitCode !== null) {
+      throw new Error(`Server exited with code ${child.exitCode}:\n${output}`);
+    }
+    try {
+      const response = await fetch(`${baseUrl}/health`);
+      if (response.ok) break;
+    } catch (error) {
+      // Not listening yet
+    }
+    if (Date.now() > deadline) {
+      child.kill();
+      throw new Error(`Server did not start within 30s:\n${output}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 200));
+  }
+
+  return {
+    baseUrl,
+    output: () => output,
+    stop() {
+      if (child.exitCode !== null) return Promise.resolve();
+      return new Promise(resolve => {
+        child.on('exit', resolve);
+        child.kill();
+      });
+    },
+  };
+}
+
+// Call a tRPC procedure. Queries go as GET, mutations as POST (method overrides the guess)
+async function call(server, procedure, input, { token, method = 'POST', headers = {} } = {}) {
+  const requestHeaders = { 'Content-Type': 'application/json', ...headers };
+  if (token) requestHeaders.Authorization = `Bearer ${token}`;
+
+  let url = `${server.baseUrl}/api/trpc/${procedure}`;
+  let body;
+  const payload = JSON.stringify({ 0: { json: input } });
+  if (method === 'GET') {
+    if (input !== undefined) url += `?input=${encodeURIComponent(payload)}`;
+  } else {
+    body = payload;
+  }
+
+  const response = await fetch(url, { method, headers: requestHeaders, body });
+  const text = await response.text();
+  let json;
+  try {
+    json = JSON.parse(text);
+  } catch (error) {
+    json = text;
+  }
+  const entry = Array.isArray(json) ? json[0] : json;
+  return {
+    status: response.status,
+    headers: response.headers,
+    data: entry && entry.result ? entry.result.data.json : undefined,
+    error: entry && entry.error ? entry.error.json || entry.error : undefined,
+  };
+}
+
+const ADMIN_PASSWORD = 'Testpass1234';
+
+// Log in as the seeded admin, changing the default password on first use. Returns the token
+async function adminToken(server) {
+  let login = await call(server, 'appUsers.login', { username: 'admin', password: ADMIN_PASSWORD });
+  if (login.status !== 200) {
+    login = await call(server, 'appUsers.login', { username: 'admin', password: 'admin123' });
+  }
+  if (login.status !== 200) {
+    throw new Error(`Admin login failed: ${JSON.stringify(login.error)}`);
+  }
+  const { token, user } = login.data;
+  if (user.mustChangePassword) {
+    const changed = await call(server, 'appUsers.changePassword', {
+      currentPassword: 'admin123',
+      newPassword: ADMIN_PASSWORD,
+    }, { token });
+    if (changed.status !== 200) {
+      throw new Error(`Password change failed: ${JSON.stringify(changed.error)}`);
+    }
+  }
+  return token;
+}
+
+module.exports = {
+  skip,
+  createDatabase,
+  runCommand,
+  startServer,
+  call,
+  adminToken,
+};
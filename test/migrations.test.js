@@ -0,0 +1,140 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { skip, createDatabase, runCommand } = require('./helpers');
+
+const VERSIONS = fs.readdirSync(path.join(__dirname, '..', 'migrations'))
+  .filter(file => /^\d+_[\w-]+\.js$/.test(file))
+  .map(file => file.split('_')[0])
+  .sort();
+
+describe('migrations', { skip }, () => {
+  let database;
+
+  before(async () => {
+    database = await createDatabase();
+  });
+
+  after(async () => {
+    if (database) await database.drop();
+  });
+
+  async function migrate() {
+    const result = await runCommand(database.url, 'migrate');
+    assert.equal(result.code, 0, result.output);
+  }
+
+  async function appliedVersions() {
+    const result = await database.pool.query('SELECT version FROM schema_migrations ORDER BY version');
+    return result.rows.map(row => row.version);
+  }
+
+  // Roll back one migration at a time until only those up to version are applied
+  async function rollbackTo(version) {
+    while ((await appliedVersions()).at(-1) > version) {
+      const result = await runCommand(database.url, 'migrate:rollback');
+      assert.equal(result.code, 0, result.output);
+    }
+  }
+
+  it('applies every migration to an empty database', async () => {
+    await migrate();
+    assert.deepEqual(await appliedVersions(), VERSIONS);
+
+    const status = await runCommand(database.url, 'migrate:status');
+    assert.equal(status.code, 0, status.output);
+    assert.doesNotMatch(status.output, /pending|file changed/);
+  });
+
+  it('rolls every migration back down to the baseline, which refuses', async () => {
+    await rollbackTo('001');
+
+    const baseline = await runCommand(database.url, 'migrate:rollback');
+    assert.equal(baseline.code, 1);
+    assert.match(baseline.output, /baseline migration cannot be rolled back/);
+    assert.deepEqual(await appliedVersions(), ['001']);
+  });
+
+  it('applies them again after a full rollback', async () => {
+    await migrate();
+    assert.deepEqual(await appliedVersions(), VERSIONS);
+  });
+
+  it('re-hashes the audit chain with property IDs in 008 and back without them', async () => {
+    const brokenEntries = () => database.pool.query(`
+      SELECT id FROM (
+        SELECT id, hash IS DISTINCT FROM audit_log_hash(prev_hash, a)
+          OR prev_hash IS DISTINCT FROM LAG(hash) OVER (ORDER BY id) AS broken
+        FROM audit_logs a
+      ) checked
+      WHERE broken
+    `);
+
+    await rollbackTo('007');
+    await database.pool.query(`
+      INSERT INTO audit_logs (record_id, user_id, action, details)
+      VALUES ('R-1', 'admin', 'CHECK_IN', 'Visitor checked in'), ('R-1', 'admin', 'CHECK_OUT', 'Visitor checked out')
+    `);
+    const oldHead = (await database.pool.query('SELECT id, hash FROM audit_logs ORDER BY id DESC LIMIT 1')).rows[0];
+
+    await migrate();
+    assert.deepEqual((await brokenEntries()).rows, []);
+    const rehashed = await database.pool.query("SELECT details FROM audit_logs WHERE action = 'AUDIT_CHAIN_REHASHED'");
+    assert.equal(rehashed.rows.length, 1);
+    assert.match(rehashed.rows[0].details, new RegExp(`with property IDs; head was #${oldHead.id} ${oldHead.hash}`));
+
+    // Moving an entry to another property now breaks the chain, and a broken chain is not re-hashed
+    const entry = (await database.pool.query("SELECT id, property_id FROM audit_logs WHERE action = 'CHECK_IN'")).rows[0];
+    await database.pool.query('UPDATE audit_logs SET property_id = NULL WHERE id = $1', [entry.id]);
+    assert.deepEqual((await brokenEntries()).rows, [{ id: entry.id }]);
+
+    await rollbackTo('008');
+    const refused = await runCommand(database.url, 'migrate:rollback');
+    assert.equal(refused.code, 1);
+    assert.match(refused.output, new RegExp(`chain is broken at entry #${entry.id}`));
+
+    await database.pool.query('UPDATE audit_logs SET property_id = $2 WHERE id = $1', [entry.id, entry.property_id]);
+    await rollbackTo('007');
+    assert.deepEqual((await brokenEntries()).rows, []);
+
+    await migrate();
+  });
+
+  it('restores self check-in locker numbers on rollback without overwriting recorded plates', async () => {
+    await rollbackTo('008');
+    await database.pool.query(`
+      INSERT INTO visitor_records (record_id, full_name, vehicle_plate, status, check_in_time, recorded_by, property_id)
+      SELECT record_id, full_name, 'L-7', status, check_in_time, 'self-checkin', (SELECT id FROM properties WHERE code = 'default')
+      FROM (VALUES
+        ('SELF-1', 'Visitor One', 'OUT', NOW() - INTERVAL '2 hours'),
+        ('SELF-2', 'Visitor Two', 'IN', NOW() - INTERVAL '1 hour')
+      ) v (record_id, full_name, status, check_in_time)
+    `);
+
+    await migrate();
+    const lockers = await database.pool.query(`
+      SELECT a.record_id, l.number, a.returned_at IS NOT NULL AS returned
+      FROM locker_assignments a JOIN lockers l ON l.id = a.locker_id
+      ORDER BY a.record_id
+    `);
+    assert.deepEqual(lockers.rows, [
+      { record_id: 'SELF-1', number: 'L-7', returned: true },
+      { record_id: 'SELF-2', number: 'L-7', returned: false },
+    ]);
+
+    // A plate recorded after the migration is real data and must survive the rollback
+    await database.pool.query("UPDATE visitor_records SET vehicle_plate = 'AB 1234' WHERE record_id = 'SELF-2'");
+
+    await rollbackTo('008');
+    const plates = await database.pool.query(
+      "SELECT record_id, vehicle_plate FROM visitor_records WHERE record_id LIKE 'SELF-%' ORDER BY record_id"
+    );
+    assert.deepEqual(plates.rows, [
+      { record_id: 'SELF-1', vehicle_plate: 'L-7' },
+      { record_id: 'SELF-2', vehicle_plate: 'AB 1234' },
+    ]);
+
+    await migrate();
+  });
+});
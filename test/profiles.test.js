@@ -0,0 +1,72 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { skip, createDatabase, startServer, call, adminToken } = require('./helpers');
+
+describe('visitor profiles of edited visits', { skip }, () => {
+  let database;
+  let server;
+  let token;
+
+  before(async () => {
+    database = await createDatabase();
+    server = await startServer(database.url);
+    token = await adminToken(server);
+  });
+
+  after(async () => {
+    if (server) await server.stop();
+    if (database) await database.drop();
+  });
+
+  async function checkIn(recordId, idNumber) {
+    const result = await call(server, 'visitors.checkIn', { recordId, fullName: 'Profile Visitor', idNumber }, { token });
+    assert.equal(result.status, 200, JSON.stringify(result.error));
+  }
+
+  async function update(recordId, idNumber) {
+    const result = await call(server, 'visitors.update', { recordId, idNumber }, { token });
+    assert.equal(result.status, 200, JSON.stringify(result.error));
+  }
+
+  async function profileOf(recordId) {
+    const result = await database.pool.query('SELECT profile_id FROM visitor_records WHERE record_id = $1', [recordId]);
+    return result.rows[0].profile_id;
+  }
+
+  async function profileExists(id) {
+    const result = await database.pool.query('SELECT 1 FROM visitor_profiles WHERE id = $1', [id]);
+    return result.rows.length > 0;
+  }
+
+  it('moves a visit to the profile of its corrected ID number and drops the one left empty', async () => {
+    await checkIn('VIS-P-1', '3100100100001');
+    const first = await profileOf('VIS-P-1');
+    assert.ok(first);
+
+    await update('VIS-P-1', '3100100100002');
+    const second = await profileOf('VIS-P-1');
+    assert.ok(second);
+    assert.notEqual(second, first);
+    assert.equal(await profileExists(first), false);
+  });
+
+  it('unlinks a visit whose ID number is cleared', async () => {
+    const profile = await profileOf('VIS-P-1');
+
+    await update('VIS-P-1', '');
+    assert.equal(await profileOf('VIS-P-1'), null);
+    assert.equal(await profileExists(profile), false);
+  });
+
+  it('keeps a profile that still has other visits', async () => {
+    await checkIn('VIS-P-2', '3100100100003');
+    await checkIn('VIS-P-3', '3100100100003');
+    const profile = await profileOf('VIS-P-2');
+    assert.equal(await profileOf('VIS-P-3'), profile);
+
+    await update('VIS-P-2', '');
+    assert.equal(await profileOf('VIS-P-2'), null);
+    assert.equal(await profileOf('VIS-P-3'), profile);
+    assert.equal(await profileExists(profile), true);
+  });
+});